@@ -0,0 +1,113 @@
+/**
+ * Tests d'aller-retour HtmlNode → TipTap → HtmlNode (converters.js)
+ */
+
+import './helpers/dom.js';
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { htmlArrayToTipTap, tiptapToHtmlArray } from '../www/inc/js/converters.js';
+import { storeImage, clearPluImages } from '../www/inc/js/images.js';
+import { state } from '../www/inc/js/state.js';
+import { ROUND_TRIP_FIXTURES, NORMALIZED_FIXTURES } from './fixtures/html-arrays.js';
+import { assertValidPLU, buildPLU } from './helpers/schema.js';
+
+/**
+ * Aller-retour complet d'un tableau HTML par le format TipTap
+ */
+function roundTrip(htmlArray) {
+    return tiptapToHtmlArray(htmlArrayToTipTap(htmlArray));
+}
+
+describe('converters : aller-retour des fixtures canoniques', () => {
+    for (const [name, fixture] of Object.entries(ROUND_TRIP_FIXTURES)) {
+        it(`restitue à l'identique : ${name}`, () => {
+            assertValidPLU(buildPLU(fixture));
+
+            const result = roundTrip(fixture);
+
+            assert.deepEqual(result, fixture);
+            assertValidPLU(buildPLU(result));
+        });
+    }
+});
+
+describe('converters : normalisation', () => {
+    for (const [name, { input, expected }] of Object.entries(NORMALIZED_FIXTURES)) {
+        it(`normalise puis reste stable : ${name}`, () => {
+            const once = roundTrip(input);
+            const twice = roundTrip(once);
+
+            assert.deepEqual(once, expected);
+            assert.deepEqual(twice, once);
+            assertValidPLU(buildPLU(once));
+        });
+    }
+
+    it('convertit les balises inline d\'un texte hérité en nœuds structurés', () => {
+        const result = roundTrip([{ tag: 'p', text: 'Voir <strong>article <em>2</em></strong><br>suite' }]);
+
+        assert.deepEqual(result, [{
+            tag: 'p',
+            children: ['Voir ', { tag: 'strong', children: ['article ', { tag: 'em', text: '2' }] }, { tag: 'br' }, 'suite']
+        }]);
+        assertValidPLU(buildPLU(result));
+    });
+
+    it('conserve les images d\'un texte hérité', () => {
+        const result = roundTrip([{ tag: 'p', text: 'Symbole <img src="ressources/picto.png" alt="Picto"> en ligne' }]);
+
+        assert.deepEqual(result, [{
+            tag: 'p',
+            children: ['Symbole ', { tag: 'img', attrs: { src: 'ressources/picto.png', alt: 'Picto' } }, ' en ligne']
+        }]);
+        assertValidPLU(buildPLU(result));
+    });
+});
+
+describe('converters : images stockées', () => {
+    const documentId = 'doc-test';
+    const base64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+    afterEach(async () => {
+        await clearPluImages(documentId);
+        state.documentId = null;
+        state.pluData = null;
+    });
+
+    it('affiche l\'image stockée en data URL puis restitue le chemin ressources/', async () => {
+        state.documentId = documentId;
+        state.pluData = buildPLU([]);
+        await storeImage(documentId, 'plan.png', base64, 'image/png');
+
+        const fixture = [{ tag: 'img', attrs: { src: 'ressources/plan.png', alt: 'Plan' } }];
+        const tiptap = htmlArrayToTipTap(fixture);
+
+        assert.equal(tiptap.content[0].attrs.src, `data:image/png;base64,${base64}`);
+        assert.deepEqual(tiptapToHtmlArray(tiptap), fixture);
+    });
+
+    it('résout et restitue les images inline au milieu du texte', async () => {
+        state.documentId = documentId;
+        state.pluData = buildPLU([]);
+        await storeImage(documentId, 'picto.png', base64, 'image/png');
+
+        const fixture = [{ tag: 'p', children: ['Voir ', { tag: 'img', attrs: { src: 'ressources/picto.png', alt: 'Picto' } }, ' ci-dessus'] }];
+        const tiptap = htmlArrayToTipTap(fixture);
+        const image = tiptap.content[0].content[1];
+
+        assert.equal(image.type, 'inlineImage');
+        assert.equal(image.attrs.src, `data:image/png;base64,${base64}`);
+        assert.deepEqual(tiptapToHtmlArray(tiptap), fixture);
+    });
+
+    it('conserve le chemin d\'une image absente du stockage', () => {
+        state.documentId = documentId;
+        state.pluData = buildPLU([]);
+
+        const fixture = [{ tag: 'img', attrs: { src: 'ressources/absente.png', alt: 'Absente' } }];
+
+        assert.deepEqual(roundTrip(fixture), fixture);
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests de la mise à jour d'une base IndexedDB version 1 (images rangées par idUrba)
+ */
+
+import './helpers/dom.js';
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STORES, AUTOSAVE_DOCUMENT_ID, dbGetAll, openDatabase } from '../www/inc/js/db.js';
+import { buildPLU, ID_URBA } from './helpers/schema.js';
+
+const OTHER_ID_URBA = '14118_PLU_20230101';
+
+/**
+ * Crée une base au format de la version 1
+ */
+function createVersion1Database() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open('plu-editor', 1);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const documents = db.createObjectStore(STORES.documents, { keyPath: 'id' });
+            const images = db.createObjectStore(STORES.images, { keyPath: ['idUrba', 'filename'] });
+            images.createIndex('idUrba', 'idUrba');
+            const meta = db.createObjectStore(STORES.meta);
+
+            documents.put({ id: AUTOSAVE_DOCUMENT_ID, timestamp: 1700000000000, pluData: buildPLU([]) });
+            images.put({ idUrba: ID_URBA, filename: 'plan.png', contentType: 'image/png', blob: new Blob(['a']), size: 1, timestamp: 1 });
+            images.put({ idUrba: OTHER_ID_URBA, filename: 'coupe.png', contentType: 'image/png', blob: new Blob(['b']), size: 1, timestamp: 1 });
+            meta.put(true, 'localStorageMigrated');
+        };
+
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+describe('db : passage des images par idUrba aux images par document', () => {
+    before(async () => {
+        await createVersion1Database();
+        await openDatabase();
+    });
+
+    it('rattache les images de la sauvegarde automatique à son document', async () => {
+        const images = await dbGetAll(STORES.images, 'documentId', AUTOSAVE_DOCUMENT_ID);
+
+        assert.deepEqual(images.map(image => image.filename), ['plan.png']);
+        assert.equal(images[0].idUrba, undefined);
+        assert.ok(images[0].blob instanceof Blob);
+    });
+
+    it('range les autres images sous leur idUrba', async () => {
+        const images = await dbGetAll(STORES.images, 'documentId', OTHER_ID_URBA);
+
+        assert.deepEqual(images.map(image => image.filename), ['coupe.png']);
+    });
+});
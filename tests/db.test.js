@@ -0,0 +1,72 @@
+/**
+ * Tests de la migration localStorage -> IndexedDB (db.js)
+ */
+
+import './helpers/dom.js';
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STORES, AUTOSAVE_DOCUMENT_ID, dbGet, dbGetAll, openDatabase } from '../www/inc/js/db.js';
+import { buildPLU, ID_URBA } from './helpers/schema.js';
+
+const OTHER_ID_URBA = '14118_PLU_20230101';
+
+describe('db : migration unique des données localStorage', () => {
+    const pluData = buildPLU([{ tag: 'p', text: 'Texte sauvegardé' }]);
+
+    before(async () => {
+        // Données laissées par les versions précédentes, avant la première ouverture de la base
+        localStorage.setItem('plu_editor_autosave', JSON.stringify({
+            version: 1,
+            timestamp: 1700000000000,
+            dateFormatted: '14/11/2023 23:13:20',
+            pluData
+        }));
+        localStorage.setItem(`plu_image_${ID_URBA}_plan_de_zonage.png`, JSON.stringify({
+            filename: 'plan_de_zonage.png',
+            contentType: 'image/png',
+            base64: 'AAAA',
+            timestamp: 1700000000000
+        }));
+        localStorage.setItem(`plu_image_${OTHER_ID_URBA}_coupe.png`, JSON.stringify({
+            filename: 'coupe.png',
+            contentType: 'image/png',
+            base64: 'BBBB',
+            timestamp: 1700000000000
+        }));
+        localStorage.setItem('plu_editor_export_validation', 'block');
+
+        await openDatabase();
+    });
+
+    it('reprend la sauvegarde automatique comme document', async () => {
+        const autosave = await dbGet(STORES.documents, AUTOSAVE_DOCUMENT_ID);
+
+        assert.equal(autosave.timestamp, 1700000000000);
+        assert.deepEqual(autosave.pluData, pluData);
+    });
+
+    it('rattache les images de la sauvegarde automatique à son document', async () => {
+        const images = await dbGetAll(STORES.images, 'documentId', AUTOSAVE_DOCUMENT_ID);
+
+        assert.equal(images.length, 1);
+        assert.equal(images[0].filename, 'plan_de_zonage.png');
+        assert.ok(images[0].blob instanceof Blob);
+        assert.equal(images[0].blob.type, 'image/png');
+        assert.equal(images[0].size, 3);
+    });
+
+    it('range les images des autres PLU sous leur idUrba', async () => {
+        const images = await dbGetAll(STORES.images, 'documentId', OTHER_ID_URBA);
+
+        assert.deepEqual(images.map(image => image.filename), ['coupe.png']);
+    });
+
+    it('libère les anciennes clés et conserve les réglages', () => {
+        assert.equal(localStorage.getItem('plu_editor_autosave'), null);
+        assert.equal(localStorage.getItem(`plu_image_${ID_URBA}_plan_de_zonage.png`), null);
+        assert.equal(localStorage.getItem(`plu_image_${OTHER_ID_URBA}_coupe.png`), null);
+        assert.equal(localStorage.getItem('plu_editor_export_validation'), 'block');
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests de la comparaison structurelle de deux règlements (diff.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    comparePLU, isIdenticalReport, diffWords, renderDiffReport, buildDiffReportDocument
+} from '../www/inc/js/diff.js';
+import { buildPLU } from './helpers/schema.js';
+
+/**
+ * Construit un titre de test avec un contenu d'un paragraphe
+ */
+function buildTitre(pluData, slug, intitule, text, children = []) {
+    return {
+        idTitre: `${pluData.idReglement}/${slug}`,
+        intitule,
+        niveau: 1,
+        idZone: ['porteeGenerale'],
+        idPrescription: ['nonConcerne'],
+        inseeCommune: ['14027'],
+        contenu: [{
+            idContenu: `${pluData.idReglement}/${slug}/contenu01`,
+            idZone: ['porteeGenerale'],
+            idPrescription: ['nonConcerne'],
+            html: [{ tag: 'p', text }]
+        }],
+        titre: children
+    };
+}
+
+/**
+ * PLU de référence : trois titres, le premier ayant un sous-titre
+ */
+function buildReference() {
+    const pluData = buildPLU([]);
+    pluData.titre = [
+        buildTitre(pluData, 'dg', 'Dispositions générales', 'Le présent règlement s\'applique à toute la commune.', [
+            buildTitre(pluData, 'dg/champ', 'Champ d\'application', 'Il couvre le territoire communal.')
+        ]),
+        buildTitre(pluData, 'ua', 'Zone UA', 'La hauteur des constructions est limitée à 12 mètres.'),
+        buildTitre(pluData, 'ub', 'Zone UB', 'Les clôtures sont végétalisées.')
+    ];
+    return pluData;
+}
+
+/**
+ * Copie profonde d'un PLU
+ */
+function clone(pluData) {
+    return JSON.parse(JSON.stringify(pluData));
+}
+
+describe('diff : comparaison de deux règlements', () => {
+    it('ne signale aucune différence entre deux documents identiques', () => {
+        const report = comparePLU(buildReference(), buildReference());
+
+        assert.ok(isIdenticalReport(report));
+        assert.ok(report.titres.every(titre => titre.status === 'unchanged' && !titre.moved));
+    });
+
+    it('repère les titres ajoutés et supprimés', () => {
+        const before = buildReference();
+        const after = clone(before);
+        after.titre.splice(2, 1);
+        after.titre.push(buildTitre(after, 'n', 'Zone N', 'Les constructions sont interdites.'));
+
+        const report = comparePLU(before, after);
+
+        assert.deepEqual(report.summary, { added: 1, removed: 1, moved: 0, modified: 0 });
+        assert.equal(report.titres.find(titre => titre.status === 'added').after.intitule, 'Zone N');
+        assert.equal(report.titres.find(titre => titre.status === 'removed').before.intitule, 'Zone UB');
+    });
+
+    it('ne signale comme déplacé que le titre qui a changé de place', () => {
+        const before = buildReference();
+        const after = clone(before);
+        const [zoneUB] = after.titre.splice(2, 1);
+        after.titre.unshift(zoneUB);
+
+        const report = comparePLU(before, after);
+
+        const moved = report.titres.filter(titre => titre.moved);
+        assert.deepEqual(moved.map(titre => titre.after.intitule), ['Zone UB']);
+        assert.equal(report.summary.modified, 0);
+    });
+
+    it('signale un titre rattaché à un autre parent', () => {
+        const before = buildReference();
+        const after = clone(before);
+        const [champ] = after.titre[0].titre.splice(0, 1);
+        after.titre[1].titre.push(champ);
+
+        const report = comparePLU(before, after);
+
+        const moved = report.titres.find(titre => titre.moved);
+        assert.deepEqual(moved.before.path, ['Dispositions générales', 'Champ d\'application']);
+        assert.deepEqual(moved.after.path, ['Zone UA', 'Champ d\'application']);
+    });
+
+    it('rapproche par intitulé un titre dont l\'identifiant a changé', () => {
+        const before = buildReference();
+        const after = clone(before);
+        after.titre[1].idTitre = `${after.idReglement}/zone_ua`;
+
+        const report = comparePLU(before, after);
+
+        assert.equal(report.summary.added, 0);
+        assert.equal(report.summary.removed, 0);
+        const zoneUA = report.titres.find(titre => titre.after.intitule === 'Zone UA');
+        assert.equal(zoneUA.matchedBy, 'similarity');
+    });
+
+    it('détaille les changements de zones, prescriptions, INSEE et numéro', () => {
+        const before = buildReference();
+        before.inseeCommune = ['14027', '14118'];
+        const after = clone(before);
+        after.titre[1].idZone = ['UA', 'UAa'];
+        after.titre[1].inseeCommune = ['14027', '14118'];
+        after.titre[1].numero = 'II';
+        after.titre[1].contenu[0].idPrescription = ['01-01'];
+
+        const report = comparePLU(before, after);
+
+        const zoneUA = report.titres.find(titre => titre.after.intitule === 'Zone UA');
+        assert.equal(zoneUA.status, 'modified');
+
+        const zones = zoneUA.changes.find(change => change.key === 'idZone');
+        assert.deepEqual(zones.addedValues, ['UA', 'UAa']);
+        assert.deepEqual(zones.removedValues, ['porteeGenerale']);
+        assert.deepEqual(zoneUA.changes.find(change => change.key === 'inseeCommune').addedValues, ['14118']);
+        assert.equal(zoneUA.changes.find(change => change.key === 'numero').after, 'II');
+
+        const prescriptions = zoneUA.contenus[0].changes.find(change => change.key === 'idPrescription');
+        assert.deepEqual(prescriptions.addedValues, ['01-01']);
+    });
+
+    it('compare le texte des contenus mot à mot', () => {
+        const before = buildReference();
+        const after = clone(before);
+        after.titre[1].contenu[0].html = [{ tag: 'p', text: 'La hauteur des constructions est limitée à 15 mètres.' }];
+
+        const report = comparePLU(before, after);
+
+        const [contenu] = report.titres.find(titre => titre.after.intitule === 'Zone UA').contenus;
+        assert.equal(contenu.status, 'modified');
+        assert.deepEqual(contenu.blocks[0], [
+            { type: 'equal', text: 'La hauteur des constructions est limitée à ' },
+            { type: 'delete', text: '12 ' },
+            { type: 'insert', text: '15 ' },
+            { type: 'equal', text: 'mètres.' }
+        ]);
+    });
+
+    it('signale les changements de métadonnées du document', () => {
+        const before = buildReference();
+        const after = clone(before);
+        after.nom = 'Règlement modifié';
+
+        const report = comparePLU(before, after);
+
+        assert.deepEqual(report.metadata.map(change => change.key), ['nom']);
+        assert.equal(isIdenticalReport(report), false);
+    });
+});
+
+describe('diff : comparaison mot à mot', () => {
+    it('regroupe les mots consécutifs de même nature', () => {
+        assert.deepEqual(diffWords('un deux trois', 'un quatre cinq trois'), [
+            { type: 'equal', text: 'un ' },
+            { type: 'delete', text: 'deux ' },
+            { type: 'insert', text: 'quatre cinq ' },
+            { type: 'equal', text: 'trois' }
+        ]);
+    });
+});
+
+describe('diff : rapport HTML', () => {
+    it('échappe le texte et produit un document autonome', () => {
+        const before = buildReference();
+        const after = clone(before);
+        after.titre[2].contenu[0].html = [{ tag: 'p', text: 'Hauteur <script>' }];
+
+        const report = comparePLU(before, after);
+        const labels = { beforeLabel: 'Version « Arrêt »', afterLabel: 'Document ouvert' };
+
+        const fragment = renderDiffReport(report, labels);
+        assert.ok(fragment.includes('&lt;script&gt;'));
+        assert.ok(!fragment.includes('<script>'));
+        assert.ok(fragment.includes('Titres modifiés (1)'));
+
+        const html = buildDiffReportDocument(report, labels);
+        assert.ok(html.startsWith('<!DOCTYPE html>'));
+        assert.ok(html.includes('<style>'));
+        assert.ok(html.includes(fragment));
+    });
+});
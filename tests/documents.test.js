@@ -0,0 +1,86 @@
+/**
+ * Tests de l'espace de travail (documents.js)
+ */
+
+import './helpers/dom.js';
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createDocumentId, saveDocument, getDocument, listDocuments, getLatestDocument,
+    renameDocument, duplicateDocument, deleteDocument
+} from '../www/inc/js/documents.js';
+import { storeImage, getPluImageBlobs } from '../www/inc/js/images.js';
+import { buildPLU, ID_URBA } from './helpers/schema.js';
+
+describe('documents : espace de travail', () => {
+    afterEach(async () => {
+        for (const doc of await listDocuments()) {
+            await deleteDocument(doc.id);
+        }
+    });
+
+    it('génère des identifiants distincts', () => {
+        assert.notEqual(createDocumentId(), createDocumentId());
+    });
+
+    it('liste les documents du plus récent au plus ancien', async () => {
+        await saveDocument('doc-a', { ...buildPLU([]), nom: 'PLU A' });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await saveDocument('doc-b', { ...buildPLU([]), nom: 'PLU B', typeDoc: 'PLUi' });
+
+        const documents = await listDocuments();
+
+        assert.deepEqual(documents.map(doc => doc.nom), ['PLU B', 'PLU A']);
+        assert.equal(documents[0].typeDoc, 'PLUi');
+        assert.equal(documents[0].idUrba, ID_URBA);
+        assert.equal((await getLatestDocument()).id, 'doc-b');
+    });
+
+    it('renomme un document sans toucher aux autres données', async () => {
+        await saveDocument('doc-a', buildPLU([{ tag: 'p', text: 'Texte' }]));
+
+        await renameDocument('doc-a', 'Nouveau nom');
+
+        const record = await getDocument('doc-a');
+        assert.equal(record.pluData.nom, 'Nouveau nom');
+        assert.deepEqual(record.pluData.titre, buildPLU([{ tag: 'p', text: 'Texte' }]).titre);
+    });
+
+    it('conserve la session d\'édition au renommage mais pas dans une copie', async () => {
+        const session = {
+            draft: { idTitre: 'titre01', contenuIndex: null, content: { type: 'doc', content: [] }, zone: 'UA', prescription: '' },
+            history: { undo: [{ actionName: 'Ajout de contenu', forward: [], inverse: [], size: 0 }], redo: [] }
+        };
+        await saveDocument('doc-a', buildPLU([]), session);
+
+        await renameDocument('doc-a', 'Nouveau nom');
+        const copyId = await duplicateDocument('doc-a');
+
+        assert.deepEqual((await getDocument('doc-a')).session, session);
+        assert.equal((await getDocument(copyId)).session, null);
+    });
+
+    it('duplique un document avec ses images', async () => {
+        await saveDocument('doc-a', { ...buildPLU([]), nom: 'PLU A' });
+        await storeImage('doc-a', 'plan.png', 'AAAA', 'image/png');
+
+        const copyId = await duplicateDocument('doc-a');
+
+        assert.notEqual(copyId, 'doc-a');
+        assert.equal((await getDocument(copyId)).pluData.nom, 'PLU A (copie)');
+        assert.deepEqual((await getPluImageBlobs(copyId)).map(image => image.filename), ['plan.png']);
+        assert.equal((await getPluImageBlobs('doc-a')).length, 1);
+    });
+
+    it('supprime un document et ses images', async () => {
+        await saveDocument('doc-a', buildPLU([]));
+        await storeImage('doc-a', 'plan.png', 'AAAA', 'image/png');
+
+        await deleteDocument('doc-a');
+
+        assert.equal(await getDocument('doc-a'), null);
+        assert.deepEqual(await getPluImageBlobs('doc-a'), []);
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests de la conversion du HTML mammoth (DOCX) en structure PLU (docx.js)
+ */
+
+import './helpers/dom.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseDOCXHTML } from '../www/inc/js/docx.js';
+import { htmlArrayToTipTap, tiptapToHtmlArray } from '../www/inc/js/converters.js';
+import { assertValidPLU, ID_URBA } from './helpers/schema.js';
+
+/**
+ * Charge une sortie mammoth de référence
+ */
+function loadFixture(name) {
+    return readFileSync(new URL(`./fixtures/docx/${name}`, import.meta.url), 'utf8');
+}
+
+/**
+ * Liste tous les contenus d'un PLU
+ */
+function collectContenus(titres) {
+    return titres.flatMap(titre => [...(titre.contenu || []), ...collectContenus(titre.titre || [])]);
+}
+
+describe('docx : règlement simple', () => {
+    const pluData = parseDOCXHTML(loadFixture('reglement-simple.html'));
+
+    it('lit les métadonnées du début du document', () => {
+        assert.equal(pluData.idUrba, ID_URBA);
+        assert.equal(pluData.idReglement, `${ID_URBA}/reglement`);
+        assert.equal(pluData.nom, "Règlement du Plan local d'urbanisme de Test");
+        assert.equal(pluData.typeDoc, 'PLU');
+        assert.deepEqual(pluData.inseeCommune, ['14027', '14028']);
+    });
+
+    it('construit l\'arborescence des titres depuis les niveaux de titre', () => {
+        assert.deepEqual(pluData.titre.map(t => [t.intitule, t.niveau]), [
+            ['Dispositions générales', 1],
+            ['Zone UA', 1]
+        ]);
+        assert.deepEqual(pluData.titre[0].titre.map(t => [t.intitule, t.niveau]), [
+            ["Article 1 – Champ d'application", 2],
+            ['Article 2 – Adaptations mineures', 2]
+        ]);
+        assert.equal(pluData.titre[0].idTitre, `${ID_URBA}/reglement/dispositions_general`);
+        assert.equal(pluData.titre[1].idTitre, `${ID_URBA}/reglement/zone_ua`);
+        assert.equal(pluData.titre[0].titre[1].idTitre, `${ID_URBA}/reglement/dispositions_general/article_2_adaptation`);
+    });
+
+    it('rattache le contenu direct au titre et non aux sous-titres', () => {
+        const [dispositions] = pluData.titre;
+
+        assert.equal(dispositions.contenu.length, 1);
+        assert.equal(dispositions.contenu[0].idContenu, `${dispositions.idTitre}/contenu01`);
+        assert.deepEqual(dispositions.contenu[0].html, [
+            { tag: 'p', text: "Le présent règlement s'applique à l'ensemble du territoire communal." }
+        ]);
+    });
+
+    it('convertit le formatage inline en HtmlNode du schéma', () => {
+        const [article1] = pluData.titre[0].titre;
+
+        assert.deepEqual(article1.contenu[0].html, [
+            {
+                tag: 'p',
+                children: [
+                    "Les dispositions s'appliquent aux ",
+                    { tag: 'strong', text: 'constructions neuves' },
+                    ' et aux ',
+                    { tag: 'em', text: 'extensions' },
+                    ', ',
+                    { tag: 'span', attrs: { style: 'text-decoration: underline' }, text: 'sans exception' },
+                    '.'
+                ]
+            },
+            {
+                tag: 'p',
+                children: [
+                    'Voir le ',
+                    { tag: 'a', attrs: { href: 'https://www.geoportail-urbanisme.gouv.fr/' }, text: "Géoportail de l'urbanisme" },
+                    '.'
+                ]
+            }
+        ]);
+    });
+
+    it('produit un document conforme au schéma', () => {
+        assertValidPLU(pluData);
+    });
+});
+
+describe('docx : tableaux, listes, images et niveaux sautés', () => {
+    const pluData = parseDOCXHTML(loadFixture('reglement-riche.html'));
+    const [zone] = pluData.titre;
+    const html = zone.contenu[0].html;
+
+    it('utilise un code INSEE provisoire en l\'absence de #inseeCommune', () => {
+        assert.deepEqual(pluData.inseeCommune, ['00000']);
+        assert.deepEqual(zone.inseeCommune, ['00000']);
+    });
+
+    it('conserve les images avec leur chemin ressources/', () => {
+        assert.deepEqual(html[0], {
+            tag: 'p',
+            children: [{ tag: 'img', attrs: { src: 'ressources/image_1.png', alt: 'Image 1' } }]
+        });
+    });
+
+    it('conserve l\'en-tête, le corps et les cellules vides des tableaux', () => {
+        const [thead, tbody] = html[1].children;
+
+        assert.equal(html[1].tag, 'table');
+        assert.deepEqual(thead.children[0].children.map(cell => cell.tag), ['th', 'th']);
+        assert.equal(tbody.tag, 'tbody');
+        assert.deepEqual(tbody.children[0].children[1].children, [
+            { tag: 'p', text: '9 m' },
+            { tag: 'p', children: ['12 m en cas de ', { tag: 'strong', text: 'toiture-terrasse' }] }
+        ]);
+        assert.deepEqual(tbody.children[1].children[1], { tag: 'td', text: '' });
+    });
+
+    it('conserve les listes imbriquées', () => {
+        assert.deepEqual(html[2], {
+            tag: 'ul',
+            children: [
+                { tag: 'li', children: ['Clôtures', { tag: 'ul', children: [{ tag: 'li', text: 'hauteur maximale de 1,80 m' }] }] },
+                { tag: 'li', text: 'Portails' }
+            ]
+        });
+        assert.deepEqual(html[3], { tag: 'ol', children: [{ tag: 'li', text: 'Premier alinéa' }] });
+    });
+
+    it('ne garde que le texte des renvois internes au DOCX', () => {
+        assert.deepEqual(html[4], { tag: 'p', text: 'Voir la note[1] et le sommaire.' });
+    });
+
+    it('rattache un titre de niveau 3 directement sous un niveau 1', () => {
+        assert.equal(zone.titre.length, 1);
+        assert.equal(zone.titre[0].intitule, 'Stationnement');
+        assert.equal(zone.titre[0].niveau, 3);
+    });
+
+    it('produit un document conforme au schéma', () => {
+        assertValidPLU(pluData);
+    });
+});
+
+describe('docx : contenu importé puis édité', () => {
+    for (const name of ['reglement-simple.html', 'reglement-riche.html']) {
+        it(`reste conforme et stable après un passage par l'éditeur : ${name}`, () => {
+            const pluData = parseDOCXHTML(loadFixture(name));
+
+            for (const contenu of collectContenus(pluData.titre)) {
+                const once = tiptapToHtmlArray(htmlArrayToTipTap(contenu.html));
+                const twice = tiptapToHtmlArray(htmlArrayToTipTap(once));
+
+                assert.deepEqual(twice, once);
+                contenu.html = once;
+            }
+
+            assertValidPLU(pluData);
+        });
+    }
+});
+
+describe('docx : modèle non respecté', () => {
+    it('refuse un document sans #nom', () => {
+        assert.throws(
+            () => parseDOCXHTML('<p>#idUrba 14027_PLU_20240101</p><p>#typeDoc PLU</p><h1>Titre</h1>'),
+            /ne respecte pas le modèle/
+        );
+    });
+
+    it('refuse un document sans #idUrba', () => {
+        assert.throws(
+            () => parseDOCXHTML('<p>#nom Règlement</p><p>#typeDoc PLU</p><h1>Titre</h1>'),
+            /ne respecte pas le modèle/
+        );
+    });
+});
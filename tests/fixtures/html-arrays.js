@@ -0,0 +1,139 @@
+/**
+ * Tableaux HtmlNode de référence pour les tests des convertisseurs
+ *
+ * Les fixtures "canoniques" sont déjà sous la forme produite par tiptapToHtmlArray :
+ * l'aller-retour doit les restituer à l'identique.
+ */
+
+export const ROUND_TRIP_FIXTURES = {
+    'paragraphes et titres': [
+        { tag: 'h2', children: [{ tag: 'em', text: 'Titre' }, ' suite'] },
+        { tag: 'p', text: 'hauteur < 10 m & R&D' },
+        { tag: 'p', text: 'Second paragraphe' }
+    ],
+
+    'tableau avec en-tête et corps': [
+        {
+            tag: 'table',
+            children: [
+                { tag: 'thead', children: [{ tag: 'tr', children: [{ tag: 'th', text: 'Zone' }, { tag: 'th', text: '' }] }] },
+                {
+                    tag: 'tbody',
+                    children: [{
+                        tag: 'tr',
+                        children: [
+                            { tag: 'td', children: [{ tag: 'p', text: 'UA' }, { tag: 'p', text: 'UB' }] },
+                            { tag: 'td', text: '12 m' }
+                        ]
+                    }]
+                }
+            ]
+        }
+    ],
+
+    'tableau sans sections': [
+        {
+            tag: 'table',
+            children: [
+                { tag: 'tr', children: [{ tag: 'th', text: 'Hauteur' }] },
+                { tag: 'tr', children: [{ tag: 'td', children: ['au plus ', { tag: 'strong', text: '9 m' }] }] }
+            ]
+        }
+    ],
+
+    'listes imbriquées': [
+        {
+            tag: 'ol',
+            children: [
+                {
+                    tag: 'li',
+                    children: [
+                        '1° Les constructions ',
+                        { tag: 'strong', text: 'neuves' },
+                        {
+                            tag: 'ul',
+                            children: [
+                                { tag: 'li', text: 'a) hauteur' },
+                                { tag: 'li', children: ['b) emprise', { tag: 'ol', children: [{ tag: 'li', text: 'i. profondeur' }] }] }
+                            ]
+                        }
+                    ]
+                },
+                { tag: 'li', text: '2° Les extensions' }
+            ]
+        }
+    ],
+
+    'élément de liste à plusieurs paragraphes': [
+        { tag: 'ul', children: [{ tag: 'li', children: [{ tag: 'p', text: 'para 1' }, { tag: 'p', children: [{ tag: 'em', text: 'para 2' }] }] }] }
+    ],
+
+    'images': [
+        { tag: 'p', text: 'Avant' },
+        { tag: 'img', attrs: { src: 'ressources/plan.png', alt: 'Plan de zonage' } },
+        { tag: 'p', text: 'Après' }
+    ],
+
+    'images inline': [
+        {
+            tag: 'p',
+            children: [
+                'Le pictogramme ',
+                { tag: 'img', attrs: { src: 'ressources/picto_inondable.png', alt: 'Zone inondable' } },
+                ' signale les secteurs ',
+                { tag: 'a', attrs: { href: 'https://www.exemple.fr/ppri' }, children: ['du PPRI ', { tag: 'img', attrs: { src: 'ressources/ppri.png', alt: 'PPRI' } }] }
+            ]
+        },
+        { tag: 'p', children: [{ tag: 'img', attrs: { src: 'ressources/a.png', alt: 'A' } }, { tag: 'img', attrs: { src: 'ressources/b.png', alt: 'B' } }] }
+    ],
+
+    'marques imbriquées': [
+        {
+            tag: 'p',
+            children: [
+                'Voir ',
+                { tag: 'a', attrs: { href: 'https://www.exemple.fr/ppri' }, children: [{ tag: 'strong', children: ['le ', { tag: 'em', text: 'PPRI' }] }] },
+                ' et ',
+                { tag: 'strong', children: [{ tag: 'em', children: [{ tag: 'span', attrs: { style: 'text-decoration: underline' }, text: 'tout' }] }, ' gras'] }
+            ]
+        }
+    ],
+
+    'sauts de ligne': [
+        { tag: 'p', children: ['Ligne 1', { tag: 'br' }, 'Ligne 2'] }
+    ]
+};
+
+/**
+ * Entrées non canoniques et la forme normalisée attendue après un aller-retour
+ */
+export const NORMALIZED_FIXTURES = {
+    'texte brut en paragraphe': {
+        input: ['Texte brut'],
+        expected: [{ tag: 'p', text: 'Texte brut' }]
+    },
+
+    'texte alternatif vide': {
+        input: [{ tag: 'img', attrs: { src: 'ressources/coupe.jpg', alt: '' } }],
+        expected: [{ tag: 'img', attrs: { src: 'ressources/coupe.jpg', alt: 'Image' } }]
+    },
+
+    'image seule dans un paragraphe': {
+        input: [{ tag: 'p', children: [{ tag: 'img', attrs: { src: 'ressources/plan.png', alt: 'Plan' } }] }],
+        expected: [{ tag: 'img', attrs: { src: 'ressources/plan.png', alt: 'Plan' } }]
+    },
+
+    'marques adjacentes fusionnées': {
+        input: [{
+            tag: 'p',
+            children: [
+                { tag: 'strong', text: 'le ' },
+                { tag: 'strong', children: [{ tag: 'em', text: 'PPRI' }] }
+            ]
+        }],
+        expected: [{
+            tag: 'p',
+            children: [{ tag: 'strong', children: ['le ', { tag: 'em', text: 'PPRI' }] }]
+        }]
+    }
+};
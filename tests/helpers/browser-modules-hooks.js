@@ -0,0 +1,42 @@
+/**
+ * Crochets de chargement utilisés par browser-modules.js
+ */
+
+// main.js : cycle de vie de TipTap, sans objet dans les tests
+const MAIN_STUB = [
+    'export function initializeTipTapIfNeeded() {}',
+    'export function destroyTipTap() {}'
+].join('\n');
+
+// Traduction des messages Ajv : les messages anglais suffisent dans les tests
+const LOCALIZE_STUB = 'export default function localize() {}';
+
+// Bibliothèques chargées depuis esm.sh dans le navigateur, installées en devDependencies
+const ESM_PACKAGES = [
+    [/^https:\/\/esm\.sh\/ajv@[^/]+\/dist\/2020/, 'ajv/dist/2020.js'],
+    [/^https:\/\/esm\.sh\/ajv-formats@/, 'ajv-formats']
+];
+
+/**
+ * URL d'un module écrit en ligne
+ */
+function inlineModule(source) {
+    return { url: `data:text/javascript,${encodeURIComponent(source)}`, shortCircuit: true };
+}
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === './main.js' && context.parentURL?.includes('/www/inc/js/')) {
+        return inlineModule(MAIN_STUB);
+    }
+
+    if (/^https:\/\/esm\.sh\/ajv-i18n@/.test(specifier)) {
+        return inlineModule(LOCALIZE_STUB);
+    }
+
+    const esmPackage = ESM_PACKAGES.find(([pattern]) => pattern.test(specifier));
+    if (esmPackage) {
+        return nextResolve(esmPackage[1], { ...context, parentURL: import.meta.url });
+    }
+
+    return nextResolve(specifier, context);
+}
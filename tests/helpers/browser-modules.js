@@ -0,0 +1,11 @@
+/**
+ * Remplace sous Node les modules qui ne se chargent que dans le navigateur
+ * (main.js importe TipTap depuis esm.sh)
+ *
+ * À importer avant de charger dynamiquement (await import) les modules testés
+ * qui dépendent de l'interface : tree.js, editor.js, history.js...
+ */
+
+import { register } from 'node:module';
+
+register('./browser-modules-hooks.js', import.meta.url);
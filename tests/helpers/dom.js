@@ -0,0 +1,16 @@
+/**
+ * Environnement DOM (jsdom) et IndexedDB en mémoire pour exécuter les modules du navigateur sous Node
+ */
+
+import 'fake-indexeddb/auto';
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { url: 'http://localhost/' });
+
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+globalThis.localStorage = dom.window.localStorage;
+globalThis.FileReader = dom.window.FileReader;
+
+// jsdom ne calcule pas de mise en page : le défilement vers un élément est sans effet
+dom.window.HTMLElement.prototype.scrollIntoView = function() {};
@@ -0,0 +1,28 @@
+/**
+ * Chargement de la page de l'éditeur dans le DOM de test (sans ses scripts)
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * Remplace le corps du document par celui de plu-editor.html
+ */
+export function loadEditorPage() {
+    const html = readFileSync(new URL('../../www/plu-editor.html', import.meta.url), 'utf8');
+    document.body.innerHTML = html
+        .slice(html.indexOf('<body'), html.lastIndexOf('</body>'))
+        .replace(/^<body[^>]*>/, '')
+        .replace(/<script[\s\S]*?<\/script>/g, '');
+}
+
+/**
+ * Attend qu'une condition devienne vraie (opérations asynchrones déclenchées par un clic)
+ * @param {Function} condition
+ * @returns {Promise<boolean>} - Valeur finale de la condition
+ */
+export async function waitFor(condition) {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return Boolean(condition());
+}
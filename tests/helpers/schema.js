@@ -0,0 +1,59 @@
+/**
+ * Validation des documents produits contre le schéma CNIG SRU Niveau 1 embarqué
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+
+const schema = JSON.parse(readFileSync(new URL('../../schema/schema-sru-niveau1-v2025.json', import.meta.url), 'utf8'));
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+addFormats(ajv);
+const validate = ajv.compile(schema);
+
+export const ID_URBA = '14027_PLU_20240101';
+
+/**
+ * Vérifie qu'un PLU est conforme au schéma
+ * @param {Object} pluData - Données du PLU
+ */
+export function assertValidPLU(pluData) {
+    if (!validate(pluData)) {
+        assert.fail(`Document non conforme au schéma :\n${ajv.errorsText(validate.errors, { separator: '\n' })}`);
+    }
+}
+
+/**
+ * Construit un PLU minimal dont l'unique contenu est le tableau HTML fourni
+ * @param {Array} htmlArray - Tableau de HtmlNode
+ * @returns {Object} - Données du PLU
+ */
+export function buildPLU(htmlArray) {
+    const idReglement = `${ID_URBA}/reglement`;
+
+    return {
+        idReglement,
+        nom: "Règlement du Plan local d'urbanisme de test",
+        typeDoc: 'PLU',
+        lien: 'https://www.geoportail-urbanisme.gouv.fr/',
+        idUrba: ID_URBA,
+        inseeCommune: ['14027'],
+        titre: [{
+            idTitre: `${idReglement}/dg`,
+            intitule: 'Dispositions générales',
+            niveau: 1,
+            idZone: ['porteeGenerale'],
+            idPrescription: ['nonConcerne'],
+            inseeCommune: ['14027'],
+            contenu: [{
+                idContenu: `${idReglement}/dg/contenu01`,
+                idZone: ['porteeGenerale'],
+                idPrescription: ['nonConcerne'],
+                html: htmlArray
+            }],
+            titre: []
+        }]
+    };
+}
@@ -0,0 +1,137 @@
+/**
+ * Tests de l'historique d'annulation par patchs (history.js)
+ */
+
+import './helpers/dom.js';
+import './helpers/browser-modules.js';
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildPLU } from './helpers/schema.js';
+
+// history.js dépend de tree.js et editor.js : chargement après browser-modules.js
+const { state, setPluData } = await import('../www/inc/js/state.js');
+const {
+    captureState, undo, redo, clearHistory, canUndo, canRedo, setHistoryBudget, getHistorySnapshot, restoreHistory
+} = await import('../www/inc/js/history.js');
+
+/**
+ * Copie indépendante des données du PLU ouvert
+ */
+function snapshot() {
+    return JSON.parse(JSON.stringify(state.pluData));
+}
+
+/**
+ * Effectue une action enregistrée dans l'historique : capture puis modification
+ * @returns {Object} - Copie du PLU après l'action
+ */
+function edit(actionName, mutate) {
+    captureState(actionName);
+    mutate(state.pluData);
+    return snapshot();
+}
+
+/**
+ * Nombre d'actions annulables affichées dans le panneau d'historique
+ */
+function countUndoEntries() {
+    return document.querySelectorAll('#history-list .history-entry-undo').length;
+}
+
+describe('history : annuler et rétablir', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="tree"></div><div id="toast"></div><ul id="history-list"></ul>';
+        localStorage.clear();
+        setPluData(buildPLU([{ tag: 'p', text: 'Texte initial' }]));
+        clearHistory();
+    });
+
+    it('revient au même PLU après annulation puis rétablissement', () => {
+        const initial = snapshot();
+        const renamed = edit('Renommer', pluData => { pluData.titre[0].intitule = 'Zone UA'; });
+
+        undo();
+        assert.deepEqual(state.pluData, initial);
+        assert.ok(canRedo());
+
+        redo();
+        assert.deepEqual(state.pluData, renamed);
+        assert.ok(!canRedo());
+    });
+
+    it('parcourt plusieurs actions en une fois depuis le panneau', () => {
+        const initial = snapshot();
+        const first = edit('Renommer', pluData => { pluData.titre[0].intitule = 'Zone UA'; });
+        edit('Numéroter', pluData => { pluData.titre[0].numero = 'Titre I'; });
+        const third = edit('Modifier le texte', pluData => { pluData.titre[0].contenu[0].html[0].text = 'Nouveau texte'; });
+
+        assert.equal(countUndoEntries(), 3);
+
+        // Clic sur l'action la plus ancienne : revenir avant elle
+        document.querySelectorAll('#history-list .history-entry-undo')[2].click();
+        assert.deepEqual(state.pluData, initial);
+        assert.ok(!canUndo());
+
+        redo(1);
+        assert.deepEqual(state.pluData, first);
+
+        redo(2);
+        assert.deepEqual(state.pluData, third);
+    });
+
+    it('vide les actions à rétablir après une nouvelle action', () => {
+        edit('Renommer', pluData => { pluData.titre[0].intitule = 'Zone UA'; });
+        undo();
+        assert.ok(canRedo());
+
+        const numbered = edit('Numéroter', pluData => { pluData.titre[0].numero = 'Titre I'; });
+
+        assert.ok(!canRedo());
+        redo();
+        assert.deepEqual(state.pluData, numbered);
+    });
+
+    it('oublie les actions les plus anciennes au-delà de la mémoire allouée', () => {
+        setHistoryBudget(6000);
+
+        const states = [snapshot()];
+        for (let i = 1; i <= 5; i++) {
+            states.push(edit(`Texte ${i}`, pluData => {
+                pluData.titre[0].contenu[0].html[0].text = `${i} `.repeat(1000);
+            }));
+        }
+
+        const kept = countUndoEntries();
+        assert.ok(kept >= 1 && kept < 5, `${kept} action(s) conservée(s)`);
+
+        // Les actions conservées restent annulables jusqu'à la plus ancienne
+        undo(kept);
+        assert.deepEqual(state.pluData, states[5 - kept]);
+        assert.ok(!canUndo());
+
+        redo(kept);
+        assert.deepEqual(state.pluData, states[5]);
+    });
+
+    it('conserve dans la sauvegarde les modifications faites après avoir tout annulé', () => {
+        edit('Renommer', pluData => { pluData.titre[0].intitule = 'Zone UA'; });
+        undo();
+        const beforeDraft = snapshot();
+
+        // Modification pas encore capturée (ex : saisie enregistrée par l'autosave)
+        state.pluData.titre[0].numero = 'Titre I';
+        const history = getHistorySnapshot();
+
+        assert.equal(history.undo.length, 1);
+        assert.deepEqual(history.redo, []);
+
+        // Réouverture de la sauvegarde
+        setPluData(snapshot());
+        restoreHistory(history);
+
+        undo();
+        assert.deepEqual(state.pluData, beforeDraft);
+    });
+});
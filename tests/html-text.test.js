@@ -0,0 +1,32 @@
+/**
+ * Tests de la conversion des contenus en texte brut (html-text.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractBlocks } from '../www/inc/js/html-text.js';
+
+describe('html-text : blocs de texte', () => {
+    it('découpe listes et tableaux en blocs lisibles', () => {
+        const blocks = extractBlocks([
+            { tag: 'p', children: ['Voir ', { tag: 'strong', text: 'article 2' }] },
+            { tag: 'ul', children: [{ tag: 'li', text: 'Premier point' }] },
+            { tag: 'table', children: [{ tag: 'tr', children: [{ tag: 'td', text: 'UA' }, { tag: 'td', text: '12 m' }] }] },
+            { tag: 'p', children: [{ tag: 'img', attrs: { src: 'ressources/plan.png', alt: 'Plan' } }] }
+        ]);
+
+        assert.deepEqual(blocks, ['Voir article 2', '• Premier point', 'UA | 12 m', '[image plan.png]']);
+    });
+
+    it('ignore les nœuds vides et regroupe les espaces', () => {
+        const blocks = extractBlocks([
+            '  ',
+            null,
+            { tag: 'p', children: ['Hauteur', { tag: 'br' }, '  maximale'] },
+            { tag: 'p', text: ' ' }
+        ]);
+
+        assert.deepEqual(blocks, ['Hauteur maximale']);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests de la règle de construction des identifiants (ids.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    slugify, buildTitreId, buildContenuId, findDuplicateIds, planIdRegeneration, regenerateIds
+} from '../www/inc/js/ids.js';
+import { buildPLU, assertValidPLU } from './helpers/schema.js';
+
+/**
+ * Construit un titre de test avec un contenu par texte fourni
+ */
+function buildTitre(idTitre, intitule, texts = [], children = []) {
+    return {
+        idTitre,
+        intitule,
+        niveau: 1,
+        idZone: ['porteeGenerale'],
+        idPrescription: ['nonConcerne'],
+        inseeCommune: ['14027'],
+        contenu: texts.map((text, index) => ({
+            idContenu: `${idTitre}/contenu${index + 1}`,
+            idZone: ['porteeGenerale'],
+            idPrescription: ['nonConcerne'],
+            html: [{ tag: 'p', text }]
+        })),
+        titre: children
+    };
+}
+
+/**
+ * PLU dont les identifiants ne suivent plus l'arborescence (titre déplacé, doublon)
+ */
+function buildScrambled() {
+    const pluData = buildPLU([]);
+    const id = pluData.idReglement;
+    pluData.titre = [
+        buildTitre(`${id}/dispositions_gen_1`, 'Dispositions générales', ['Texte'], [
+            buildTitre(`${id}/zone_ua_2`, 'Article 1 – Hauteur', ['Voir la zone UA', 'Suite'])
+        ]),
+        buildTitre(`${id}/zone_ua_2`, 'Zone UA', ['Règles de la zone']),
+        buildTitre(`${id}/zone_ub_3`, 'Zone UA', [])
+    ];
+    pluData.titre[0].contenu[0].html = [{
+        tag: 'p',
+        children: [{ tag: 'a', attrs: { href: `titre:${id}/zone_ua_2` }, text: 'zone UA' }]
+    }];
+    return pluData;
+}
+
+describe('ids : règle de construction', () => {
+    it('tire un slug lisible de l\'intitulé', () => {
+        assert.equal(slugify('Dispositions générales'), 'dispositions_general');
+        assert.equal(slugify('Article 1 – Champ d\'application'), 'article_1_champ_d_ap');
+        assert.equal(slugify('  Zone UA  '), 'zone_ua');
+        assert.equal(slugify('« — »'), 'titre');
+    });
+
+    it('suffixe un titre dont le slug est déjà pris par un frère', () => {
+        const taken = ['reglement/zone_ua', 'reglement/zone_ua_2'];
+
+        assert.equal(buildTitreId('reglement', 'Zone UA'), 'reglement/zone_ua');
+        assert.equal(buildTitreId('reglement', 'Zone UA', taken), 'reglement/zone_ua_3');
+        assert.equal(buildContenuId('reglement/zone_ua', 0), 'reglement/zone_ua/contenu01');
+    });
+});
+
+describe('ids : régénération', () => {
+    it('repère les identifiants en double', () => {
+        const id = buildPLU([]).idReglement;
+
+        // Deux titres portent le même identifiant, et donc leurs premiers contenus aussi
+        assert.deepEqual(findDuplicateIds(buildScrambled()), [
+            { id: `${id}/zone_ua_2`, type: 'titre', count: 2 },
+            { id: `${id}/zone_ua_2/contenu1`, type: 'contenu', count: 2 }
+        ]);
+    });
+
+    it('prévisualise les changements sans modifier le document', () => {
+        const pluData = buildScrambled();
+        const before = JSON.stringify(pluData);
+        const id = pluData.idReglement;
+
+        const plan = planIdRegeneration(pluData);
+
+        assert.equal(JSON.stringify(pluData), before);
+        assert.deepEqual(plan.titres.map(change => change.newId), [
+            `${id}/dispositions_general`,
+            `${id}/dispositions_general/article_1_hauteur`,
+            `${id}/zone_ua`,
+            `${id}/zone_ua_2`
+        ]);
+        assert.equal(plan.contenus.length, 4);
+        assert.equal(plan.duplicates.length, 2);
+    });
+
+    it('reconstruit tous les identifiants d\'après l\'arborescence', () => {
+        const pluData = buildScrambled();
+        const id = pluData.idReglement;
+
+        const renamedIds = regenerateIds(pluData);
+
+        const [dispositions, zoneUA, zoneUA2] = pluData.titre;
+        assert.equal(dispositions.titre[0].contenu[1].idContenu, `${id}/dispositions_general/article_1_hauteur/contenu02`);
+        assert.equal(zoneUA2.idTitre, `${id}/zone_ua_2`);
+        assert.deepEqual(findDuplicateIds(pluData), []);
+        assert.deepEqual(planIdRegeneration(pluData).titres, []);
+        assertValidPLU(pluData);
+
+        // Un ancien identifiant en double renvoie vers le premier titre qui le portait
+        assert.equal(renamedIds.get(`${id}/zone_ua_2`), dispositions.titre[0].idTitre);
+        assert.notEqual(renamedIds.get(`${id}/zone_ua_2`), zoneUA.idTitre);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests de la bibliothèque d'images (image-library.js)
+ */
+
+import './helpers/dom.js';
+import './helpers/browser-modules.js';
+
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildPLU } from './helpers/schema.js';
+import { loadEditorPage, waitFor } from './helpers/page.js';
+
+// Modules d'interface : chargement après browser-modules.js
+const { state, setPluData, setDocumentId } = await import('../www/inc/js/state.js');
+const { storeImage, getImage, preloadPluImages, clearPluImages } = await import('../www/inc/js/images.js');
+const { clearHistory, undo, redo } = await import('../www/inc/js/history.js');
+const { showImageLibrary, setupImageLibraryEventHandlers } = await import('../www/inc/js/image-library.js');
+
+const DOCUMENT_ID = 'doc-bibliotheque';
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+/**
+ * Source de l'unique image du document
+ */
+function imageSrc() {
+    return state.pluData.titre[0].contenu[0].html[0].attrs.src;
+}
+
+/**
+ * Clique sur une action de la bibliothèque
+ */
+function clickAction(action, filename = null) {
+    const selector = filename
+        ? `[data-action="${action}"][data-filename="${filename}"]`
+        : `[data-action="${action}"]`;
+    document.querySelector(selector).click();
+}
+
+describe('image-library : renommage et historique', () => {
+    before(() => {
+        loadEditorPage();
+        globalThis.confirm = () => true;
+        setupImageLibraryEventHandlers();
+    });
+
+    afterEach(async () => {
+        await clearPluImages(DOCUMENT_ID);
+    });
+
+    it('retrouve l\'image après l\'annulation d\'un renommage, même après une purge', async () => {
+        await storeImage(DOCUMENT_ID, 'plan.png', PNG_BASE64, 'image/png');
+        setDocumentId(DOCUMENT_ID);
+        setPluData(buildPLU([{ tag: 'img', attrs: { src: 'ressources/plan.png', alt: 'Plan' } }]));
+        clearHistory();
+
+        await showImageLibrary();
+        globalThis.prompt = () => 'carte';
+        clickAction('rename-image', 'plan.png');
+        assert.ok(await waitFor(() => imageSrc() === 'ressources/carte.png'));
+
+        undo();
+        assert.equal(imageSrc(), 'ressources/plan.png');
+
+        // La purge garde carte.png : un rétablissement y fait référence
+        clickAction('purge-unused-images');
+        assert.ok(await waitFor(() => document.getElementById('toast').textContent.includes('conservée')));
+
+        await preloadPluImages(DOCUMENT_ID);
+        assert.ok(getImage(DOCUMENT_ID, 'plan.png'), 'plan.png doit rester stocké');
+        assert.ok(getImage(DOCUMENT_ID, 'carte.png'), 'carte.png doit rester stocké');
+
+        redo();
+        assert.equal(imageSrc(), 'ressources/carte.png');
+    });
+
+    it('purge les images que l\'historique ne référence plus', async () => {
+        await storeImage(DOCUMENT_ID, 'plan.png', PNG_BASE64, 'image/png');
+        await storeImage(DOCUMENT_ID, 'ancien.png', PNG_BASE64, 'image/png');
+        setDocumentId(DOCUMENT_ID);
+        setPluData(buildPLU([{ tag: 'img', attrs: { src: 'ressources/plan.png', alt: 'Plan' } }]));
+        clearHistory();
+
+        await showImageLibrary();
+        clickAction('purge-unused-images');
+        assert.ok(await waitFor(() => !getImage(DOCUMENT_ID, 'ancien.png')));
+
+        await preloadPluImages(DOCUMENT_ID);
+        assert.ok(getImage(DOCUMENT_ID, 'plan.png'));
+        assert.equal(getImage(DOCUMENT_ID, 'ancien.png'), null);
+    });
+});
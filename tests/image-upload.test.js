@@ -0,0 +1,83 @@
+/**
+ * Tests de l'ajout d'images dans l'éditeur (image-upload.js)
+ */
+
+import './helpers/dom.js';
+
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setPluData, setDocumentId } from '../www/inc/js/state.js';
+import { clearPluImages } from '../www/inc/js/images.js';
+import { insertImageFiles } from '../www/inc/js/image-upload.js';
+import { buildPLU } from './helpers/schema.js';
+
+const DOCUMENT_ID = 'doc-ajout-images';
+
+/**
+ * Éditeur minimal : document réduit à une suite de nœuds de taille 1,
+ * avec les commandes d'insertion utilisées par insertImageFiles
+ */
+function createEditor(nodes) {
+    const doc = [...nodes];
+    let cursor = doc.length;
+
+    const editor = {
+        doc,
+        state: { doc: { content: { get size() { return doc.length; } } } },
+        chain() {
+            const steps = [];
+            const chain = {
+                focus: () => chain,
+                insertContentAt: (position, node) => { steps.push([position, node]); return chain; },
+                insertContent: (node) => { steps.push([null, node]); return chain; },
+                run: () => {
+                    steps.forEach(([position, node]) => {
+                        const at = position === null ? cursor : position;
+                        doc.splice(at, 0, node.attrs.alt);
+                        cursor = at + 1;
+                    });
+                }
+            };
+            return chain;
+        }
+    };
+    return editor;
+}
+
+/**
+ * Fichier image déposé
+ */
+function imageFile(name) {
+    return new window.File([new Uint8Array([137, 80, 78, 71])], name, { type: 'image/png' });
+}
+
+describe('image-upload : insertion de plusieurs images', () => {
+    before(() => {
+        document.body.innerHTML = '<div id="toast"></div>';
+        globalThis.prompt = (message, defaultValue) => defaultValue;
+        setDocumentId(DOCUMENT_ID);
+        setPluData(buildPLU([]));
+    });
+
+    afterEach(async () => {
+        await clearPluImages(DOCUMENT_ID);
+    });
+
+    it('insère les images déposées dans l\'ordre des fichiers', async () => {
+        const editor = createEditor(['début', 'fin']);
+
+        const inserted = await insertImageFiles(editor, [imageFile('plan.png'), imageFile('coupe.png'), imageFile('facade.png')], 1);
+
+        assert.equal(inserted, 3);
+        assert.deepEqual(editor.doc, ['début', 'plan', 'coupe', 'facade', 'fin']);
+    });
+
+    it('insère les images choisies à la sélection dans l\'ordre des fichiers', async () => {
+        const editor = createEditor(['début']);
+
+        await insertImageFiles(editor, [imageFile('plan.png'), imageFile('coupe.png')]);
+
+        assert.deepEqual(editor.doc, ['début', 'plan', 'coupe']);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests du stockage des images (images.js)
+ */
+
+import './helpers/dom.js';
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    storeImage, createUniqueImageFilename, getExtensionFromContentType,
+    findImageReferences, renameImageReferences, copyDocumentImages, listPluImages,
+    getImage, deleteImage, clearPluImages, preloadPluImages, getPluImageBlobs
+} from '../www/inc/js/images.js';
+import { buildPLU } from './helpers/schema.js';
+
+const DOCUMENT_ID = 'doc-test';
+const COPY_DOCUMENT_ID = 'doc-copie';
+const OTHER_DOCUMENT_ID = 'doc-autre';
+
+/**
+ * Vide le stockage des images utilisées par les tests
+ */
+async function clearStoredImages() {
+    for (const documentId of [DOCUMENT_ID, COPY_DOCUMENT_ID, OTHER_DOCUMENT_ID]) {
+        await clearPluImages(documentId);
+    }
+}
+
+describe('images : nom de fichier des images ajoutées', () => {
+    afterEach(async () => {
+        await clearStoredImages();
+    });
+
+    it('normalise le nom d\'origine et applique l\'extension du type MIME', () => {
+        assert.equal(createUniqueImageFilename(DOCUMENT_ID, 'Coupe de principe É1.JPEG', 'image/jpeg'), 'coupe_de_principe_e1.jpg');
+    });
+
+    it('nomme "image" un fichier collé sans nom', () => {
+        assert.equal(createUniqueImageFilename(DOCUMENT_ID, '', 'image/png'), 'image.png');
+    });
+
+    it('ajoute un suffixe quand le nom est déjà pris pour ce document', async () => {
+        await storeImage(DOCUMENT_ID, 'plan.png', 'AAAA', 'image/png');
+        await storeImage(DOCUMENT_ID, 'plan_2.png', 'AAAA', 'image/png');
+        await storeImage(OTHER_DOCUMENT_ID, 'plan_3.png', 'AAAA', 'image/png');
+
+        assert.equal(createUniqueImageFilename(DOCUMENT_ID, 'plan.png', 'image/png'), 'plan_3.png');
+    });
+
+    it('utilise png pour un type inconnu', () => {
+        assert.equal(getExtensionFromContentType('image/x-inconnu'), 'png');
+    });
+});
+
+describe('images : références dans les contenus', () => {
+    const buildPLUWithImages = () => buildPLU([
+        { tag: 'img', attrs: { src: 'ressources/plan.png', alt: 'Plan' } },
+        {
+            tag: 'table',
+            children: [{ tag: 'tr', children: [{ tag: 'td', children: ['Voir ', { tag: 'img', attrs: { src: 'ressources/plan.png', alt: 'Plan' } }] }] }]
+        },
+        { tag: 'p', children: [{ tag: 'img', attrs: { src: 'ressources/picto.png', alt: 'Picto' } }, ' légende'] },
+        { tag: 'img', attrs: { src: 'https://www.exemple.fr/externe.png', alt: 'Externe' } }
+    ]);
+
+    it('recense les usages des images ressources/ à toute profondeur', () => {
+        const pluData = buildPLUWithImages();
+        const references = findImageReferences(pluData);
+
+        assert.deepEqual([...references.keys()].sort(), ['picto.png', 'plan.png']);
+        assert.equal(references.get('plan.png').length, 2);
+        assert.equal(references.get('plan.png')[0].titre, pluData.titre[0]);
+        assert.equal(references.get('plan.png')[0].contenu, pluData.titre[0].contenu[0]);
+    });
+
+    it('réécrit toutes les références lors d\'un renommage', () => {
+        const pluData = buildPLUWithImages();
+
+        assert.equal(renameImageReferences(pluData, 'plan.png', 'plan_zonage.png'), 2);
+
+        const references = findImageReferences(pluData);
+        assert.equal(references.has('plan.png'), false);
+        assert.equal(references.get('plan_zonage.png').length, 2);
+        assert.equal(references.get('picto.png').length, 1);
+    });
+});
+
+describe('images : copie entre documents', () => {
+    afterEach(async () => {
+        await clearStoredImages();
+    });
+
+    it('copie les images d\'un document vers un autre', async () => {
+        await storeImage(DOCUMENT_ID, 'plan.png', 'AAAA', 'image/png');
+        await storeImage(DOCUMENT_ID, 'coupe.jpg', 'BBBB', 'image/jpeg');
+        await storeImage(OTHER_DOCUMENT_ID, 'plan.png', 'CCCC', 'image/png');
+
+        assert.equal(await copyDocumentImages(DOCUMENT_ID, COPY_DOCUMENT_ID), 2);
+
+        assert.deepEqual((await getPluImageBlobs(COPY_DOCUMENT_ID)).map(image => image.filename).sort(), ['coupe.jpg', 'plan.png']);
+        assert.equal((await getPluImageBlobs(DOCUMENT_ID)).length, 2);
+        assert.equal((await getPluImageBlobs(OTHER_DOCUMENT_ID)).length, 1);
+    });
+
+    it('conserve les images déjà présentes dans le document cible', async () => {
+        await storeImage(DOCUMENT_ID, 'plan.png', 'AAAA', 'image/png');
+        await storeImage(COPY_DOCUMENT_ID, 'plan.png', 'CCCC', 'image/png');
+
+        assert.equal(await copyDocumentImages(DOCUMENT_ID, COPY_DOCUMENT_ID), 0);
+
+        await preloadPluImages(COPY_DOCUMENT_ID);
+        assert.equal(getImage(COPY_DOCUMENT_ID, 'plan.png').base64, 'CCCC');
+    });
+
+    it('ne fait rien vers le même document', async () => {
+        await storeImage(DOCUMENT_ID, 'plan.png', 'AAAA', 'image/png');
+
+        assert.equal(await copyDocumentImages(DOCUMENT_ID, DOCUMENT_ID), 0);
+        assert.equal(listPluImages(DOCUMENT_ID).length, 1);
+    });
+});
+
+describe('images : stockage IndexedDB', () => {
+    afterEach(async () => {
+        await clearStoredImages();
+    });
+
+    it('conserve les images en Blob et les recharge en mémoire', async () => {
+        await storeImage(DOCUMENT_ID, 'plan.png', 'AAAA', 'image/png');
+
+        const [record] = await getPluImageBlobs(DOCUMENT_ID);
+        assert.equal(record.filename, 'plan.png');
+        assert.ok(record.blob instanceof Blob);
+        assert.equal(record.blob.size, 3);
+
+        await preloadPluImages(OTHER_DOCUMENT_ID);
+        assert.equal(getImage(DOCUMENT_ID, 'plan.png'), null);
+
+        assert.equal(await preloadPluImages(DOCUMENT_ID), 1);
+        assert.equal(getImage(DOCUMENT_ID, 'plan.png').base64, 'AAAA');
+    });
+
+    it('supprime une image du stockage et de la mémoire', async () => {
+        await storeImage(DOCUMENT_ID, 'plan.png', 'AAAA', 'image/png');
+        await deleteImage(DOCUMENT_ID, 'plan.png');
+
+        assert.equal(getImage(DOCUMENT_ID, 'plan.png'), null);
+        assert.deepEqual(await getPluImageBlobs(DOCUMENT_ID), []);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests des patchs JSON de l'historique (json-patch.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPatches, applyPatch, estimatePatchSize } from '../www/inc/js/json-patch.js';
+import { buildPLU } from './helpers/schema.js';
+
+/**
+ * Copie profonde d'une valeur JSON
+ */
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Vérifie que les patchs aller et retour font passer d'une valeur à l'autre
+ */
+function assertRoundTrip(before, after) {
+    const { forward, inverse } = createPatches(before, after);
+
+    assert.deepEqual(applyPatch(clone(before), forward), after);
+    assert.deepEqual(applyPatch(clone(after), inverse), before);
+
+    return { forward, inverse };
+}
+
+describe('json-patch : calcul et application', () => {
+    it('ne produit aucune opération entre deux valeurs égales', () => {
+        const pluData = buildPLU([{ tag: 'p', text: 'Texte' }]);
+
+        assert.deepEqual(createPatches(pluData, clone(pluData)), { forward: [], inverse: [] });
+    });
+
+    it('remplace, ajoute et supprime des propriétés', () => {
+        const before = { nom: 'PLU', lien: 'https://exemple.fr', typeDoc: 'PLU' };
+        const after = { nom: 'PLUi', typeDoc: 'PLU', sirenEpci: '200000000' };
+
+        const { forward } = assertRoundTrip(before, after);
+
+        assert.deepEqual(forward, [
+            { op: 'replace', path: '/nom', value: 'PLUi' },
+            { op: 'remove', path: '/lien' },
+            { op: 'add', path: '/sirenEpci', value: '200000000' }
+        ]);
+    });
+
+    it('garde compacte l\'insertion ou la suppression d\'un élément de tableau', () => {
+        const before = { titre: [{ intitule: 'A' }, { intitule: 'B' }, { intitule: 'C' }] };
+        const inserted = clone(before);
+        inserted.titre.splice(1, 0, { intitule: 'Nouveau' });
+
+        assert.deepEqual(assertRoundTrip(before, inserted).forward, [
+            { op: 'add', path: '/titre/1', value: { intitule: 'Nouveau' } }
+        ]);
+
+        const removed = clone(before);
+        removed.titre.splice(0, 2);
+
+        assert.deepEqual(assertRoundTrip(before, removed).forward, [
+            { op: 'remove', path: '/titre/1' },
+            { op: 'remove', path: '/titre/0' }
+        ]);
+    });
+
+    it('ne touche qu\'au texte modifié dans un PLU', () => {
+        const before = buildPLU([{ tag: 'p', text: 'Avant' }, { tag: 'p', text: 'Inchangé' }]);
+        const after = clone(before);
+        after.titre[0].contenu[0].html[0].text = 'Après';
+
+        const { forward } = assertRoundTrip(before, after);
+
+        assert.deepEqual(forward, [
+            { op: 'replace', path: '/titre/0/contenu/0/html/0/text', value: 'Après' }
+        ]);
+        assert.ok(estimatePatchSize(forward) < estimatePatchSize([before]));
+    });
+
+    it('enchaîne déplacements et modifications d\'un arbre de titres', () => {
+        const before = buildPLU([{ tag: 'p', text: 'Dispositions' }]);
+        before.titre.push({ ...clone(before.titre[0]), idTitre: `${before.idReglement}/ua`, intitule: 'Zone UA' });
+        const after = clone(before);
+        after.titre.reverse();
+        after.titre[1].titre.push(clone(after.titre[0]));
+        after.titre[0].idZone = ['UA'];
+
+        assertRoundTrip(before, after);
+    });
+
+    it('échappe les clés contenant / et ~', () => {
+        assertRoundTrip({ 'a/b': 1, 'c~d': 2 }, { 'a/b': 3, 'c~d': 4 });
+    });
+
+    it('remplace la racine quand les types diffèrent', () => {
+        assert.deepEqual(applyPatch([1], createPatches([1], { a: 1 }).forward), { a: 1 });
+    });
+
+    it('copie les valeurs pour que le patch reste réutilisable', () => {
+        const { forward } = createPatches({ titre: [] }, { titre: [{ intitule: 'A' }] });
+
+        const first = applyPatch({ titre: [] }, forward);
+        first.titre[0].intitule = 'Modifié';
+        const second = applyPatch({ titre: [] }, forward);
+
+        assert.equal(second.titre[0].intitule, 'A');
+        assert.equal(forward[0].value.intitule, 'A');
+    });
+
+    it('refuse un chemin inexistant', () => {
+        assert.throws(
+            () => applyPatch({}, [{ op: 'replace', path: '/titre/0/intitule', value: 'A' }]),
+            /Chemin de patch introuvable/
+        );
+    });
+});
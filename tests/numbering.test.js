@@ -0,0 +1,142 @@
+/**
+ * Tests de la numérotation automatique des titres (numbering.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    NUMBERING_PRESETS, toRoman, applyNumbering, splitLeadingNumero, findLeadingNumeros, extractLeadingNumeros
+} from '../www/inc/js/numbering.js';
+import { buildPLU, assertValidPLU } from './helpers/schema.js';
+
+/**
+ * Construit un titre de test
+ */
+function buildTitre(pluData, slug, intitule, idZone = ['porteeGenerale'], children = []) {
+    return {
+        idTitre: `${pluData.idReglement}/${slug}`,
+        intitule,
+        niveau: 1,
+        idZone,
+        idPrescription: ['nonConcerne'],
+        inseeCommune: ['14027'],
+        contenu: [],
+        titre: children
+    };
+}
+
+/**
+ * PLU de référence : deux titres de premier niveau, la zone UA ayant deux chapitres
+ */
+function buildReference() {
+    const pluData = buildPLU([]);
+    pluData.titre = [
+        buildTitre(pluData, 'dg', 'Dispositions générales'),
+        buildTitre(pluData, 'zu', 'Zones urbaines', ['porteeGenerale'], [
+            buildTitre(pluData, 'zu/ua', 'Zone UA', ['UA'], [
+                buildTitre(pluData, 'zu/ua/a1', 'Occupations interdites'),
+                buildTitre(pluData, 'zu/ua/a2', 'Hauteur')
+            ]),
+            buildTitre(pluData, 'zu/ub', 'Zone UB', ['UB'], [
+                buildTitre(pluData, 'zu/ub/a1', 'Occupations interdites')
+            ])
+        ])
+    ];
+    return pluData;
+}
+
+describe('numbering : numérotation des titres', () => {
+    it('écrit les chiffres romains', () => {
+        assert.deepEqual([1, 4, 9, 14, 40, 1999].map(toRoman), ['I', 'IV', 'IX', 'XIV', 'XL', 'MCMXCIX']);
+    });
+
+    it('applique le schéma Titre / Chapitre / Article de zone', () => {
+        const pluData = buildReference();
+
+        const count = applyNumbering(pluData, NUMBERING_PRESETS.plu.levels);
+
+        assert.equal(count, 7);
+        assert.deepEqual(pluData.titre.map(titre => titre.numero), ['Titre I', 'Titre II']);
+        assert.deepEqual(pluData.titre[1].titre.map(titre => titre.numero), ['Chapitre 1', 'Chapitre 2']);
+        assert.deepEqual(pluData.titre[1].titre[0].titre.map(titre => titre.numero), ['Article UA 1', 'Article UA 2']);
+        assert.equal(pluData.titre[1].titre[1].titre[0].numero, 'Article UB 1');
+        assertValidPLU(pluData);
+    });
+
+    it('numérote en décimal d\'après la position des parents', () => {
+        const pluData = buildReference();
+
+        applyNumbering(pluData, NUMBERING_PRESETS.decimal.levels);
+
+        assert.equal(pluData.titre[1].titre[0].titre[1].numero, '2.1.2');
+        assert.equal(pluData.titre[1].titre[1].numero, '2.2');
+    });
+
+    it('ne renumérote que le sous-arbre demandé', () => {
+        const pluData = buildReference();
+        pluData.titre[1].titre.reverse();
+
+        const count = applyNumbering(pluData, NUMBERING_PRESETS.plu.levels, [1, 0]);
+
+        assert.equal(count, 2);
+        assert.equal(pluData.titre[0].numero, undefined);
+        assert.equal(pluData.titre[1].titre[0].numero, 'Chapitre 1');
+        assert.equal(pluData.titre[1].titre[0].titre[0].numero, 'Article UB 1');
+        assert.equal(pluData.titre[1].titre[1].numero, undefined);
+    });
+});
+
+describe('numbering : numéros en tête des intitulés', () => {
+    it('reconnaît les numéros usuels', () => {
+        assert.deepEqual(splitLeadingNumero('I.1 – Dispositions'), { numero: 'I.1', intitule: 'Dispositions' });
+        assert.deepEqual(splitLeadingNumero('Article UA 1 : Occupations interdites'), { numero: 'Article UA 1', intitule: 'Occupations interdites' });
+        assert.deepEqual(splitLeadingNumero('Chapitre II - Zone UB'), { numero: 'Chapitre II', intitule: 'Zone UB' });
+        assert.deepEqual(splitLeadingNumero('1.2.3 Hauteur'), { numero: '1.2.3', intitule: 'Hauteur' });
+        assert.deepEqual(splitLeadingNumero('A) Clôtures'), { numero: 'A', intitule: 'Clôtures' });
+        assert.deepEqual(splitLeadingNumero('TITRE II - Zones urbaines'), { numero: 'TITRE II', intitule: 'Zones urbaines' });
+    });
+
+    it('laisse intacts les intitulés sans numéro', () => {
+        ['Zone UA', 'Dispositions générales', 'A propos des clôtures', 'Article premier', 'Le 1er étage']
+            .forEach(intitule => assert.equal(splitLeadingNumero(intitule), null, intitule));
+    });
+
+    it('ne prend pas une référence juridique ou un mot pour un numéro', () => {
+        [
+            'Article L. 151-19 : Éléments de paysage',
+            'Article L 151-19 du code de l\'urbanisme',
+            'Article R. 111-2',
+            'Titre civil : x',
+            'Chapitre divers - y',
+            'L. 151-19 : Éléments de paysage',
+            'V 12 logements'
+        ].forEach(intitule => assert.equal(splitLeadingNumero(intitule), null, intitule));
+    });
+
+    it('exige un vrai séparateur après un nombre ou une lettre seuls', () => {
+        ['10 % des surfaces', '2 logements par parcelle', 'M. Dupont']
+            .forEach(intitule => assert.equal(splitLeadingNumero(intitule), null, intitule));
+
+        assert.deepEqual(splitLeadingNumero('10. Hauteur'), { numero: '10', intitule: 'Hauteur' });
+        assert.deepEqual(splitLeadingNumero('II - Zones urbaines'), { numero: 'II', intitule: 'Zones urbaines' });
+        assert.deepEqual(splitLeadingNumero('V. Stationnement'), { numero: 'V', intitule: 'Stationnement' });
+    });
+
+    it('retire le tiret séparateur de l\'intitulé', () => {
+        assert.deepEqual(splitLeadingNumero('Article 6 – 6.1 Implantation'), { numero: 'Article 6', intitule: '6.1 Implantation' });
+        assert.deepEqual(splitLeadingNumero('I.2 - Accès'), { numero: 'I.2', intitule: 'Accès' });
+    });
+
+    it('déplace les numéros trouvés dans numero', () => {
+        const pluData = buildReference();
+        pluData.titre[0].intitule = 'I – Dispositions générales';
+        pluData.titre[1].intitule = 'II – Zones urbaines';
+        pluData.titre[1].numero = 'III';
+
+        assert.equal(findLeadingNumeros(pluData).length, 1);
+        assert.equal(extractLeadingNumeros(pluData), 1);
+        assert.deepEqual([pluData.titre[0].numero, pluData.titre[0].intitule], ['I', 'Dispositions générales']);
+        assert.equal(pluData.titre[1].intitule, 'II – Zones urbaines');
+    });
+});
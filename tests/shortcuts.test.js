@@ -0,0 +1,98 @@
+/**
+ * Tests du registre des raccourcis clavier (shortcuts.js)
+ */
+
+import './helpers/dom.js';
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    matchesKeys, formatKeys, registerShortcut, listShortcuts, handleShortcut
+} from '../www/inc/js/shortcuts.js';
+
+/**
+ * Déclenche un keydown sur un élément et renvoie l'événement
+ */
+function pressKey(target, key, modifiers = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('shortcuts : combinaisons de touches', () => {
+    it('reconnaît Ctrl ou Cmd et respecte exactement les modificateurs', () => {
+        assert.ok(matchesKeys({ key: 'z', ctrlKey: true, metaKey: false, altKey: false, shiftKey: false }, 'Ctrl+Z'));
+        assert.ok(matchesKeys({ key: 'z', ctrlKey: false, metaKey: true, altKey: false, shiftKey: false }, 'Ctrl+Z'));
+        assert.ok(matchesKeys({ key: 'Z', ctrlKey: true, metaKey: false, altKey: false, shiftKey: true }, 'Ctrl+Shift+Z'));
+        assert.ok(!matchesKeys({ key: 'Z', ctrlKey: true, metaKey: false, altKey: false, shiftKey: true }, 'Ctrl+Z'));
+        assert.ok(!matchesKeys({ key: 'z', ctrlKey: false, metaKey: false, altKey: false, shiftKey: false }, 'Ctrl+Z'));
+        assert.ok(matchesKeys({ key: 'ArrowUp', ctrlKey: false, metaKey: false, altKey: true, shiftKey: false }, 'Alt+ArrowUp'));
+    });
+
+    it('affiche les touches nommées de façon lisible', () => {
+        assert.equal(formatKeys('Alt+ArrowUp'), 'Alt+↑');
+        assert.equal(formatKeys('Escape'), 'Échap');
+        assert.equal(formatKeys('Ctrl+S'), 'Ctrl+S');
+    });
+});
+
+describe('shortcuts : registre et gestionnaire global', () => {
+    const calls = [];
+    let blocked = false;
+
+    before(() => {
+        document.body.innerHTML = '<input id="champ"><div id="zone" contenteditable="true"></div>';
+        document.addEventListener('keydown', handleShortcut);
+
+        registerShortcut({ group: 'Historique', keys: 'Ctrl+Z', description: 'Annuler', handler: () => calls.push('undo') });
+        registerShortcut({ group: 'Historique', keys: ['Ctrl+Y', 'Ctrl+Shift+Z'], description: 'Rétablir', handler: () => calls.push('redo') });
+        registerShortcut({ group: 'Édition', keys: 'Ctrl+S', description: 'Enregistrer', allowInInputs: true, handler: () => calls.push('save') });
+        registerShortcut({ group: 'Navigation', keys: 'Alt+ArrowDown', description: 'Titre suivant', when: () => !blocked, handler: () => calls.push('next') });
+    });
+
+    it('exécute le raccourci et empêche l\'action du navigateur', () => {
+        calls.length = 0;
+
+        const event = pressKey(document.body, 'z', { ctrlKey: true });
+        pressKey(document.body, 'Z', { ctrlKey: true, shiftKey: true });
+
+        assert.deepEqual(calls, ['undo', 'redo']);
+        assert.ok(event.defaultPrevented);
+    });
+
+    it('laisse les champs et l\'éditeur gérer leur propre annulation', () => {
+        calls.length = 0;
+
+        const event = pressKey(document.getElementById('champ'), 'z', { ctrlKey: true });
+        pressKey(document.getElementById('zone'), 'z', { ctrlKey: true });
+        pressKey(document.getElementById('zone'), 's', { ctrlKey: true });
+
+        assert.deepEqual(calls, ['save']);
+        assert.equal(event.defaultPrevented, false);
+    });
+
+    it('ignore une touche déjà traitée ou un raccourci inactif', () => {
+        calls.length = 0;
+
+        const zone = document.getElementById('zone');
+        const stop = (e) => e.preventDefault();
+        zone.addEventListener('keydown', stop);
+        pressKey(zone, 's', { ctrlKey: true });
+        zone.removeEventListener('keydown', stop);
+
+        blocked = true;
+        const event = pressKey(document.body, 'ArrowDown', { altKey: true });
+        blocked = false;
+
+        assert.deepEqual(calls, []);
+        assert.equal(event.defaultPrevented, false);
+    });
+
+    it('regroupe les raccourcis pour l\'aide', () => {
+        const groups = listShortcuts();
+
+        assert.deepEqual(groups.map(group => group.group), ['Historique', 'Édition', 'Navigation']);
+        assert.deepEqual(groups[0].shortcuts[1], { keys: ['Ctrl+Y', 'Ctrl+Shift+Z'], description: 'Rétablir' });
+    });
+});
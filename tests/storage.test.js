@@ -0,0 +1,87 @@
+/**
+ * Tests du chargement des fichiers PLU (storage.js)
+ */
+
+import './helpers/dom.js';
+import './helpers/browser-modules.js';
+
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { buildPLU, ID_URBA } from './helpers/schema.js';
+import { loadEditorPage } from './helpers/page.js';
+
+// Modules d'interface : chargement après browser-modules.js
+const { state } = await import('../www/inc/js/state.js');
+const { stopAutosave } = await import('../www/inc/js/autosave.js');
+const { saveDocument, getDocument, listDocuments, deleteDocument } = await import('../www/inc/js/documents.js');
+const { loadPLU } = await import('../www/inc/js/storage.js');
+
+/**
+ * Fichier JSON sélectionné par l'utilisateur
+ */
+function jsonFile(pluData) {
+    return { name: `${pluData.idUrba}.json`, text: async () => JSON.stringify(pluData) };
+}
+
+/**
+ * PLU dont le premier titre porte l'intitulé donné
+ */
+function buildNamedPLU(intitule) {
+    const pluData = buildPLU([{ tag: 'p', text: 'Texte' }]);
+    pluData.titre[0].intitule = intitule;
+    return pluData;
+}
+
+describe('storage : chargement d\'un PLU déjà dans l\'espace de travail', () => {
+    before(() => {
+        loadEditorPage();
+
+        // Schéma CNIG lu sur le disque pour la validation au chargement
+        globalThis.fetch = async (url) => new Response(readFileSync(url));
+    });
+
+    afterEach(async () => {
+        stopAutosave();
+        for (const doc of await listDocuments()) {
+            await deleteDocument(doc.id);
+        }
+    });
+
+    it('remplace le document existant au lieu d\'en créer un autre', async () => {
+        await saveDocument('doc-existant', buildNamedPLU('Version stockée'));
+        globalThis.confirm = () => true;
+
+        await loadPLU(jsonFile(buildNamedPLU('Version du fichier')));
+
+        const documents = await listDocuments();
+        assert.deepEqual(documents.map(doc => doc.id), ['doc-existant']);
+        assert.equal(state.documentId, 'doc-existant');
+        assert.equal((await getDocument('doc-existant')).pluData.titre[0].intitule, 'Version du fichier');
+    });
+
+    it('ouvre le document existant sans le modifier si l\'utilisateur le préfère', async () => {
+        await saveDocument('doc-conserve', buildNamedPLU('Version stockée'));
+        globalThis.confirm = () => false;
+
+        await loadPLU(jsonFile(buildNamedPLU('Version du fichier')));
+
+        const documents = await listDocuments();
+        assert.deepEqual(documents.map(doc => doc.id), ['doc-conserve']);
+        assert.equal(state.documentId, 'doc-conserve');
+        assert.equal(state.pluData.titre[0].intitule, 'Version stockée');
+    });
+
+    it('crée un nouveau document pour un autre PLU', async () => {
+        await saveDocument('doc-existant', buildNamedPLU('Version stockée'));
+        let asked = false;
+        globalThis.confirm = () => { asked = true; return true; };
+
+        await loadPLU(jsonFile({ ...buildNamedPLU('Autre PLU'), idUrba: `${ID_URBA}9` }));
+
+        assert.ok(!asked);
+        assert.equal((await listDocuments()).length, 2);
+        assert.notEqual(state.documentId, 'doc-existant');
+    });
+});
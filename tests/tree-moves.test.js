@@ -0,0 +1,164 @@
+/**
+ * Tests du déplacement des titres dans l'arborescence (tree-moves.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getSubtreeDepth, isNoOpMove, validateTitreMove, moveTitreNode, getDemoteTarget, getPromoteTarget
+} from '../www/inc/js/tree-moves.js';
+import { buildPLU, assertValidPLU } from './helpers/schema.js';
+
+/**
+ * Construit un titre de test et ses sous-titres (niveaux calculés d'après la profondeur)
+ */
+function buildTitre(pluData, slug, children = [], niveau = 1) {
+    return {
+        idTitre: `${pluData.idReglement}/${slug}`,
+        intitule: slug.toUpperCase(),
+        niveau,
+        idZone: ['porteeGenerale'],
+        idPrescription: ['nonConcerne'],
+        inseeCommune: ['14027'],
+        contenu: [],
+        titre: children.map(child => buildTitre(pluData, child, [], niveau + 1))
+    };
+}
+
+/**
+ * PLU de référence : A (A1, A2), B, C
+ */
+function buildReference() {
+    const pluData = buildPLU([]);
+    pluData.titre = [
+        buildTitre(pluData, 'a', ['a1', 'a2']),
+        buildTitre(pluData, 'b'),
+        buildTitre(pluData, 'c')
+    ];
+    return pluData;
+}
+
+/**
+ * Intitulés de l'arbre, sous-titres entre parenthèses
+ */
+function outline(titres) {
+    return titres.map(titre => titre.titre.length > 0
+        ? `${titre.intitule}(${outline(titre.titre)})`
+        : titre.intitule).join(' ');
+}
+
+describe('tree-moves : déplacement de titres', () => {
+    it('dépose avant ou après un titre du même parent', () => {
+        const pluData = buildReference();
+
+        moveTitreNode(pluData, [2], [0], 'before');
+        assert.equal(outline(pluData.titre), 'C A(A1 A2) B');
+
+        moveTitreNode(pluData, [0], [2], 'after');
+        assert.equal(outline(pluData.titre), 'A(A1 A2) B C');
+    });
+
+    it('dépose comme dernier sous-titre et recalcule le niveau', () => {
+        const pluData = buildReference();
+
+        const moved = moveTitreNode(pluData, [1], [0], 'inside');
+
+        assert.equal(outline(pluData.titre), 'A(A1 A2 B) C');
+        assert.equal(moved.niveau, 2);
+        assertValidPLU(pluData);
+    });
+
+    it('remonte un sous-titre à la racine avec ses enfants', () => {
+        const pluData = buildReference();
+        pluData.titre[0].titre[1].titre.push(buildTitre(pluData, 'a2x', [], 3));
+
+        const moved = moveTitreNode(pluData, [0, 1], [2], 'after');
+
+        assert.equal(outline(pluData.titre), 'A(A1) B C A2(A2X)');
+        assert.equal(moved.niveau, 1);
+        assert.equal(moved.titre[0].niveau, 2);
+    });
+
+    it('refuse de déplacer un titre dans sa propre arborescence', () => {
+        const pluData = buildReference();
+
+        assert.throws(() => moveTitreNode(pluData, [0], [0, 1], 'inside'), /propre arborescence/);
+        assert.throws(() => validateTitreMove(pluData, [0], [0], 'inside'), /propre arborescence/);
+        assert.equal(outline(pluData.titre), 'A(A1 A2) B C');
+    });
+
+    it('laisse en place un titre déposé avant ou après lui-même ou contre un frère voisin', () => {
+        const pluData = buildReference();
+
+        [[[1], [1], 'before'], [[1], [1], 'after'], [[1], [0], 'after'], [[1], [2], 'before'], [[0, 1], [0, 0], 'after']]
+            .forEach(([fromPath, targetPath, position]) => {
+                assert.ok(isNoOpMove(pluData, fromPath, targetPath, position), `${fromPath} ${position} ${targetPath}`);
+                assert.equal(validateTitreMove(pluData, fromPath, targetPath, position), fromPath.length);
+                moveTitreNode(pluData, fromPath, targetPath, position);
+            });
+
+        assert.equal(outline(pluData.titre), 'A(A1 A2) B C');
+        assert.ok(!isNoOpMove(pluData, [1], [0], 'before'));
+        assert.ok(!isNoOpMove(pluData, [1], [2], 'after'));
+        assert.ok(!isNoOpMove(pluData, [0, 0], [0], 'after'));
+    });
+
+    it('laisse en place le dernier sous-titre déposé dans son propre parent', () => {
+        const pluData = buildReference();
+
+        assert.ok(isNoOpMove(pluData, [0, 1], [0], 'inside'));
+        assert.equal(validateTitreMove(pluData, [0, 1], [0], 'inside'), 2);
+        moveTitreNode(pluData, [0, 1], [0], 'inside');
+        assert.equal(outline(pluData.titre), 'A(A1 A2) B C');
+
+        // Le premier sous-titre passe bien en dernière position
+        assert.ok(!isNoOpMove(pluData, [0, 0], [0], 'inside'));
+        assert.ok(!isNoOpMove(pluData, [1], [0], 'inside'));
+        moveTitreNode(pluData, [0, 0], [0], 'inside');
+        assert.equal(outline(pluData.titre), 'A(A2 A1) B C');
+    });
+
+    it('refuse un déplacement qui dépasserait le niveau 6', () => {
+        const pluData = buildReference();
+        let deepest = pluData.titre[1];
+        for (let niveau = 2; niveau <= 5; niveau++) {
+            const child = buildTitre(pluData, `b${niveau}`, [], niveau);
+            deepest.titre.push(child);
+            deepest = child;
+        }
+
+        assert.equal(getSubtreeDepth(pluData.titre[1]), 5);
+        assert.equal(validateTitreMove(pluData, [1], [0], 'inside'), 2);
+        assert.throws(() => moveTitreNode(pluData, [1], [0, 0], 'inside'), /niveau 7 \(maximum 6\)/);
+        assert.equal(outline(pluData.titre[0].titre), 'A1 A2');
+    });
+});
+
+describe('tree-moves : remonter et abaisser un titre', () => {
+    it('abaisse un titre sous son frère précédent avec ses sous-titres', () => {
+        const pluData = buildReference();
+        pluData.titre[1].titre.push(buildTitre(pluData, 'b1', [], 2));
+
+        const { targetPath, position } = getDemoteTarget([1]);
+        const moved = moveTitreNode(pluData, [1], targetPath, position);
+
+        assert.equal(outline(pluData.titre), 'A(A1 A2 B(B1)) C');
+        assert.deepEqual([moved.niveau, moved.titre[0].niveau], [2, 3]);
+    });
+
+    it('remonte un titre juste après son parent', () => {
+        const pluData = buildReference();
+
+        const { targetPath, position } = getPromoteTarget([0, 0]);
+        const moved = moveTitreNode(pluData, [0, 0], targetPath, position);
+
+        assert.equal(outline(pluData.titre), 'A(A2) A1 B C');
+        assert.equal(moved.niveau, 1);
+    });
+
+    it('refuse d\'abaisser le premier titre ou de remonter un titre racine', () => {
+        assert.throws(() => getDemoteTarget([0, 0]), /Aucun titre précédent/);
+        assert.throws(() => getPromoteTarget([2]), /déjà au premier niveau/);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests de la recherche dans l'arborescence des titres (tree-search.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeSearchText, parseSearchQuery, searchTitres, highlightTerms } from '../www/inc/js/tree-search.js';
+
+/**
+ * Construit un élément de l'arbre aplati
+ */
+function buildItem(intitule, { numero, idZone = ['porteeGenerale'], inseeCommune = ['14025'], texts = [] } = {}) {
+    return {
+        titre: {
+            idTitre: `reglement/${normalizeSearchText(intitule).replace(/\W+/g, '_')}`,
+            intitule,
+            numero,
+            niveau: 1,
+            idZone,
+            idPrescription: ['nonConcerne'],
+            inseeCommune,
+            contenu: texts.map((text, index) => ({
+                idContenu: `contenu${index + 1}`,
+                idZone: ['porteeGenerale'],
+                idPrescription: ['nonConcerne'],
+                html: [{ tag: 'p', text }]
+            })),
+            titre: []
+        },
+        path: [0]
+    };
+}
+
+const flatTitles = [
+    buildItem('Dispositions générales', { texts: ['Le présent règlement s\'applique à tout le territoire.'] }),
+    buildItem('Zone UA', { idZone: ['UA'] }),
+    buildItem('Hauteur des constructions', { numero: 'Article UA 7', idZone: ['UA'], texts: ['Hauteur limitée à 9 mètres.'] }),
+    buildItem('Zone UB', { idZone: ['UB'], inseeCommune: ['14118'] }),
+    buildItem('Hauteur des constructions', { numero: 'Article UB 7', idZone: ['UB'], texts: ['Hauteur limitée à 12 mètres.'] })
+];
+
+describe('tree-search : recherche des titres', () => {
+    it('ignore les accents et la casse', () => {
+        assert.deepEqual(parseSearchQuery('  Règlement  GÉNÉRAL '), ['reglement', 'general']);
+    });
+
+    it('exige que chaque mot soit trouvé dans un des champs du titre', () => {
+        const results = searchTitres(flatTitles, parseSearchQuery('article 7 UB'));
+
+        assert.deepEqual(results.map(result => result.flatIndex), [4]);
+        assert.deepEqual(results[0].fields, ['numero', 'zone']);
+    });
+
+    it('cherche dans les codes INSEE et le texte des contenus', () => {
+        assert.deepEqual(searchTitres(flatTitles, parseSearchQuery('14118')).map(result => result.flatIndex), [3]);
+
+        const results = searchTitres(flatTitles, parseSearchQuery('metres'));
+        assert.deepEqual(results.map(result => result.flatIndex), [2, 4]);
+        assert.deepEqual(results[0].fields, ['contenu']);
+    });
+
+    it('ne renvoie rien sans mot recherché', () => {
+        assert.deepEqual(searchTitres(flatTitles, []), []);
+    });
+});
+
+describe('tree-search : mise en évidence', () => {
+    it('surligne les mots trouvés dans le texte d\'origine', () => {
+        assert.equal(highlightTerms('Dispositions générales', ['generale']), 'Dispositions <mark>générale</mark>s');
+        assert.equal(highlightTerms('Article UA 7', ['ua', '7']), 'Article <mark>UA</mark> <mark>7</mark>');
+    });
+
+    it('échappe le HTML', () => {
+        assert.equal(highlightTerms('<b> & zone', ['zone']), '&lt;b&gt; &amp; <mark>zone</mark>');
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests du rendu de l'arborescence des titres (tree.js)
+ */
+
+import './helpers/dom.js';
+import './helpers/browser-modules.js';
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildPLU } from './helpers/schema.js';
+import { loadEditorPage } from './helpers/page.js';
+
+// tree.js dépend de editor.js : chargement après browser-modules.js
+const { state, setPluData } = await import('../www/inc/js/state.js');
+const { renderTree, setTreeSearch, setupTreeEventHandlers } = await import('../www/inc/js/tree.js');
+
+describe('tree : rendu des titres', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="tree"></div><span id="tree-search-count"></span>';
+        const pluData = buildPLU([{ tag: 'p', text: 'Texte' }]);
+        pluData.titre[0].numero = '<img src=x onerror="alert(1)">';
+        setPluData(pluData);
+        setTreeSearch('');
+    });
+
+    it('affiche le numéro du titre comme du texte', () => {
+        renderTree();
+
+        const numero = document.querySelector('.tree-item-numero');
+        assert.equal(numero.textContent, '<img src=x onerror="alert(1)">');
+        assert.equal(document.querySelector('#tree img'), null);
+    });
+
+    it('affiche le numéro comme du texte dans les résultats de recherche', () => {
+        setTreeSearch('img');
+
+        assert.ok(document.querySelector('.tree-item-match'));
+        assert.equal(document.querySelector('.tree-item-numero').textContent, '<img src=x onerror="alert(1)">');
+        assert.equal(document.querySelector('#tree img'), null);
+    });
+});
+
+describe('tree : résultats de la recherche', () => {
+    beforeEach(() => {
+        loadEditorPage();
+        setupTreeEventHandlers();
+
+        const pluData = buildPLU([{ tag: 'p', text: 'Texte' }]);
+        pluData.titre[0].titre = [{
+            ...structuredClone(pluData.titre[0]),
+            idTitre: `${pluData.titre[0].idTitre}/hauteur`,
+            intitule: 'Hauteur',
+            niveau: 2,
+            titre: []
+        }];
+        pluData.titre[0].titre[0].contenu[0].html = [{ tag: 'p', text: 'Hauteur maximale' }];
+        setPluData(pluData);
+        setTreeSearch('maximale');
+    });
+
+    it('réutilise les résultats au dépliage et les recalcule après une modification', () => {
+        const count = document.getElementById('tree-search-count');
+        assert.equal(count.textContent, '– / 1');
+
+        // Modification pas encore signalée par renderTree : le dépliage ne relance pas la recherche
+        state.pluData.titre[0].titre[0].contenu[0].html[0].text = 'Hauteur minimale';
+        document.querySelector('[data-action="toggle-expand"]').click();
+        assert.equal(count.textContent, '– / 1');
+
+        renderTree();
+        assert.equal(count.textContent, 'Aucun résultat');
+    });
+});
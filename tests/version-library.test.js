@@ -0,0 +1,51 @@
+/**
+ * Tests du panneau des versions (version-library.js)
+ */
+
+import './helpers/dom.js';
+import './helpers/browser-modules.js';
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildPLU } from './helpers/schema.js';
+import { loadEditorPage, waitFor } from './helpers/page.js';
+
+// Modules d'interface : chargement après browser-modules.js
+const { state, setPluData, setDocumentId } = await import('../www/inc/js/state.js');
+const { createVersion } = await import('../www/inc/js/versions.js');
+const { renderTree } = await import('../www/inc/js/tree.js');
+const { selectTitre, saveTitreMetadata } = await import('../www/inc/js/editor.js');
+const { showVersions, setupVersionLibraryEventHandlers } = await import('../www/inc/js/version-library.js');
+
+describe('version-library : restauration', () => {
+    before(() => {
+        loadEditorPage();
+        globalThis.confirm = () => true;
+        setupVersionLibraryEventHandlers();
+    });
+
+    it('resélectionne le titre ouvert dans la version restaurée', async () => {
+        const pluData = buildPLU([{ tag: 'p', text: 'Texte' }]);
+        pluData.titre[0].intitule = 'Version enregistrée';
+        setDocumentId('doc-versions');
+        setPluData(pluData);
+        await createVersion('doc-versions', pluData, { label: 'Arrêt du projet' });
+
+        state.pluData.titre[0].intitule = 'Copie de travail';
+        renderTree();
+        selectTitre(0);
+
+        await showVersions();
+        document.querySelector('[data-action="restore-version"]').click();
+        assert.ok(await waitFor(() => state.pluData.titre[0].intitule === 'Version enregistrée'));
+
+        assert.equal(state.currentTitre, state.pluData.titre[0]);
+        assert.equal(document.getElementById('input-intitule').value, 'Version enregistrée');
+
+        // Les métadonnées enregistrées ensuite vont dans le document restauré
+        document.getElementById('input-intitule').value = 'Après restauration';
+        saveTitreMetadata();
+        assert.equal(state.pluData.titre[0].intitule, 'Après restauration');
+    });
+});
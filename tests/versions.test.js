@@ -0,0 +1,97 @@
+/**
+ * Tests des versions nommées (versions.js)
+ */
+
+import './helpers/dom.js';
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createVersion, listVersions, getVersion, deleteVersion, restoreVersionImages
+} from '../www/inc/js/versions.js';
+import { saveDocument, listDocuments, deleteDocument } from '../www/inc/js/documents.js';
+import { storeImage, deleteImage, getPluImageBlobs } from '../www/inc/js/images.js';
+import { buildPLU } from './helpers/schema.js';
+
+const DOCUMENT_ID = 'doc-versions';
+
+describe('versions : instantanés nommés des documents', () => {
+    afterEach(async () => {
+        for (const doc of await listDocuments()) {
+            await deleteDocument(doc.id);
+        }
+    });
+
+    it('fige le règlement et ses images avec libellé, auteur et date', async () => {
+        const pluData = buildPLU([{ tag: 'p', text: 'Texte arrêté' }]);
+        await saveDocument(DOCUMENT_ID, pluData);
+        await storeImage(DOCUMENT_ID, 'plan.png', 'AAAA', 'image/png');
+
+        const summary = await createVersion(DOCUMENT_ID, pluData, { label: ' Arrêt du projet ', author: 'Service urbanisme' });
+
+        assert.equal(summary.label, 'Arrêt du projet');
+        assert.equal(summary.author, 'Service urbanisme');
+        assert.equal(summary.imageCount, 1);
+        assert.ok(summary.dateFormatted);
+
+        // La version ne suit pas les modifications de la copie de travail
+        pluData.nom = 'Modifié après coup';
+
+        const version = await getVersion(summary.id);
+        assert.notEqual(version.pluData.nom, 'Modifié après coup');
+        assert.equal(version.images[0].filename, 'plan.png');
+        assert.ok(version.images[0].blob instanceof Blob);
+    });
+
+    it('exige un libellé', async () => {
+        await assert.rejects(
+            createVersion(DOCUMENT_ID, buildPLU([]), { label: '  ' }),
+            /libellé de la version est requis/
+        );
+    });
+
+    it('liste les versions d\'un document de la plus récente à la plus ancienne', async () => {
+        await saveDocument(DOCUMENT_ID, buildPLU([]));
+        await createVersion(DOCUMENT_ID, buildPLU([]), { label: 'Arrêt du projet' });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await createVersion(DOCUMENT_ID, buildPLU([]), { label: 'Approbation' });
+        await createVersion('doc-autre', buildPLU([]), { label: 'Autre document' });
+
+        const versions = await listVersions(DOCUMENT_ID);
+
+        assert.deepEqual(versions.map(version => version.label), ['Approbation', 'Arrêt du projet']);
+
+        await deleteVersion(versions[0].id);
+        assert.equal((await listVersions(DOCUMENT_ID)).length, 1);
+        assert.equal(await getVersion(versions[0].id), null);
+
+        await deleteVersion((await listVersions('doc-autre'))[0].id);
+    });
+
+    it('remet les images de la version sans supprimer les autres', async () => {
+        await saveDocument(DOCUMENT_ID, buildPLU([]));
+        await storeImage(DOCUMENT_ID, 'plan.png', 'AAAA', 'image/png');
+        const summary = await createVersion(DOCUMENT_ID, buildPLU([]), { label: 'Enquête publique' });
+
+        await deleteImage(DOCUMENT_ID, 'plan.png');
+        await storeImage(DOCUMENT_ID, 'coupe.png', 'BBBB', 'image/png');
+
+        const count = await restoreVersionImages(await getVersion(summary.id), DOCUMENT_ID);
+
+        assert.equal(count, 1);
+        assert.deepEqual(
+            (await getPluImageBlobs(DOCUMENT_ID)).map(image => image.filename).sort(),
+            ['coupe.png', 'plan.png']
+        );
+    });
+
+    it('supprime les versions avec leur document', async () => {
+        await saveDocument(DOCUMENT_ID, buildPLU([]));
+        await createVersion(DOCUMENT_ID, buildPLU([]), { label: 'Approbation' });
+
+        await deleteDocument(DOCUMENT_ID);
+
+        assert.deepEqual(await listVersions(DOCUMENT_ID), []);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests de l'espace de travail (workspace.js)
+ */
+
+import './helpers/dom.js';
+import './helpers/browser-modules.js';
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildPLU } from './helpers/schema.js';
+import { loadEditorPage, waitFor } from './helpers/page.js';
+
+// Modules d'interface : chargement après browser-modules.js
+const { state, setPluData, setDocumentId } = await import('../www/inc/js/state.js');
+const { stopAutosave } = await import('../www/inc/js/autosave.js');
+const { captureState, clearHistory, canUndo, undo, getHistorySnapshot } = await import('../www/inc/js/history.js');
+const { saveDocument, listDocuments, deleteDocument } = await import('../www/inc/js/documents.js');
+const { showWorkspace, setupWorkspaceEventHandlers } = await import('../www/inc/js/workspace.js');
+
+describe('workspace : ouverture d\'un document', () => {
+    before(() => {
+        loadEditorPage();
+        setupWorkspaceEventHandlers();
+    });
+
+    after(async () => {
+        stopAutosave();
+        for (const doc of await listDocuments()) {
+            await deleteDocument(doc.id);
+        }
+    });
+
+    it('rouvre le document avec son historique sauvegardé', async () => {
+        // Document modifié puis quitté : sa session contient l'historique
+        setPluData(buildPLU([{ tag: 'p', text: 'Texte' }]));
+        clearHistory();
+        captureState('Renommer');
+        state.pluData.titre[0].intitule = 'Zone UA';
+        await saveDocument('doc-session', JSON.parse(JSON.stringify(state.pluData)), {
+            draft: null,
+            history: getHistorySnapshot()
+        });
+
+        setDocumentId('doc-ouvert');
+        setPluData(buildPLU([{ tag: 'p', text: 'Autre document' }]));
+        clearHistory();
+
+        await showWorkspace();
+        document.querySelector('[data-action="open-document"][data-document-id="doc-session"]').click();
+        assert.ok(await waitFor(() => state.documentId === 'doc-session'));
+        assert.ok(await waitFor(() => canUndo()));
+
+        undo();
+        assert.equal(state.pluData.titre[0].intitule, 'Dispositions générales');
+    });
+});
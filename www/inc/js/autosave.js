@@ -1,13 +1,18 @@
 /**
- * Module de sauvegarde automatique dans localStorage
+ * Module de sauvegarde automatique du document ouvert dans l'espace de travail (IndexedDB)
  */
 
 import { state } from './state.js';
+import { showToast } from './ui.js';
+import { saveDocument, getLatestDocument } from './documents.js';
+import { getEditorDraft } from './editor.js';
+import { getHistorySnapshot } from './history.js';
 
-const AUTOSAVE_KEY = 'plu_editor_autosave';
 const AUTOSAVE_INTERVAL = 30000; // 30 secondes
 let autosaveTimer = null;
+let lastSavedDocumentId = null;
 let lastSavedData = null;
+let autosaveFailed = false;
 
 /**
  * Démarre l'autosave automatique
@@ -38,83 +43,68 @@ export function stopAutosave() {
 }
 
 /**
- * Effectue une sauvegarde automatique
+ * Effectue une sauvegarde automatique (PLU, saisie en cours dans l'éditeur et historique)
  */
-function performAutosave() {
+async function performAutosave() {
     // Ne rien sauvegarder si aucun PLU n'est chargé
-    if (!state.pluData) {
+    if (!state.pluData || !state.documentId) {
         return;
     }
 
     try {
+        const documentId = state.documentId;
+
+        const session = {
+            draft: getEditorDraft(),
+            history: getHistorySnapshot()
+        };
+
         // Vérifier si les données ont changé (éviter les sauvegardes inutiles)
-        const currentData = JSON.stringify(state.pluData);
-        if (currentData === lastSavedData) {
+        // L'historique ne change pas sans que le PLU ou le nombre d'actions change
+        const currentData = JSON.stringify([
+            state.pluData,
+            session.draft,
+            session.history?.undo.length,
+            session.history?.redo.length
+        ]);
+        if (documentId === lastSavedDocumentId && currentData === lastSavedData) {
             return; // Aucun changement
         }
 
-        // Créer l'objet de sauvegarde avec métadonnées
-        const autosaveData = {
-            version: 1,
-            timestamp: Date.now(),
-            dateFormatted: new Date().toLocaleString('fr-FR'),
-            pluData: state.pluData
-        };
-
-        // Sauvegarder dans localStorage
-        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(autosaveData));
+        // Sauvegarder le document dans IndexedDB
+        const record = await saveDocument(documentId, state.pluData, session);
+        lastSavedDocumentId = documentId;
         lastSavedData = currentData;
+        autosaveFailed = false;
 
         // Mettre à jour l'indicateur visuel
-        updateAutosaveIndicator(autosaveData.timestamp);
+        updateAutosaveIndicator(record.timestamp);
     } catch (error) {
         console.error('Erreur lors de l\'autosave:', error);
-        // Si localStorage est plein, essayer de nettoyer
-        if (error.name === 'QuotaExceededError') {
-            console.warn('localStorage plein, impossible de sauvegarder');
+
+        // Prévenir une seule fois tant que la sauvegarde échoue
+        if (!autosaveFailed) {
+            autosaveFailed = true;
+            showToast(`Sauvegarde automatique impossible : ${error.message}`, "error");
         }
     }
 }
 
 /**
- * Sauvegarde manuelle (appelée lors d'un export par exemple)
+ * Sauvegarde manuelle (avant de changer de document par exemple)
+ * @returns {Promise<void>}
  */
 export function manualSave() {
-    performAutosave();
-}
-
-/**
- * Efface la sauvegarde automatique
- */
-export function clearAutosave() {
-    try {
-        localStorage.removeItem(AUTOSAVE_KEY);
-        lastSavedData = null;
-        updateAutosaveIndicator(null);
-    } catch (error) {
-        console.error('Erreur lors de la suppression de l\'autosave:', error);
-    }
+    return performAutosave();
 }
 
 /**
- * Récupère la sauvegarde automatique
- * @returns {Object|null} Les données sauvegardées ou null
+ * Récupère la sauvegarde automatique la plus récente (dernier document modifié)
+ * @returns {Promise<Object|null>} Les données sauvegardées ou null
  */
-export function getAutosave() {
+export async function getAutosave() {
     try {
-        const saved = localStorage.getItem(AUTOSAVE_KEY);
-        if (!saved) {
-            return null;
-        }
-
-        const autosaveData = JSON.parse(saved);
-
-        // Vérifier la structure
-        if (!autosaveData.pluData || !autosaveData.timestamp) {
-            return null;
-        }
-
-        return autosaveData;
+        return await getLatestDocument();
     } catch (error) {
         console.error('Erreur lors de la récupération de l\'autosave:', error);
         return null;
@@ -123,10 +113,10 @@ export function getAutosave() {
 
 /**
  * Vérifie si une autosave existe
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-export function hasAutosave() {
-    return getAutosave() !== null;
+export async function hasAutosave() {
+    return (await getAutosave()) !== null;
 }
 
 /**
@@ -174,8 +164,8 @@ export function initAutosave() {
 /**
  * Vérifie s'il y a une sauvegarde à récupérer et affiche le modal
  */
-function checkForRecovery() {
-    const autosaveData = getAutosave();
+async function checkForRecovery() {
+    const autosaveData = await getAutosave();
 
     // Pas d'autosave ou déjà un PLU chargé
     if (!autosaveData || state.pluData) {
@@ -210,6 +200,12 @@ function showRecoveryModal(autosaveData) {
         nameElem.textContent = pluName;
     }
 
+    // Signaler une saisie en cours qui sera rouverte dans l'éditeur
+    const draftElem = document.getElementById('recovery-draft');
+    if (draftElem) {
+        draftElem.style.display = autosaveData.session?.draft ? 'block' : 'none';
+    }
+
     // Afficher le modal
     modal.classList.add('show');
 
@@ -236,8 +232,8 @@ function setupRecoveryButtons() {
 /**
  * Accepte la récupération et charge les données
  */
-function acceptRecovery() {
-    const autosaveData = getAutosave();
+async function acceptRecovery() {
+    const autosaveData = await getAutosave();
 
     if (!autosaveData || !autosaveData.pluData) {
         console.error('Données de récupération invalides');
@@ -245,34 +241,31 @@ function acceptRecovery() {
         return;
     }
 
-    // Importer les modules nécessaires dynamiquement
-    import('./state.js').then(({ setPluData }) => {
-        import('./tree.js').then(({ renderTree }) => {
-            import('./ui.js').then(({ showToast }) => {
-                // Charger les données
-                setPluData(autosaveData.pluData);
-                renderTree();
+    try {
+        // Importer le module de chargement dynamiquement (dépendance circulaire)
+        const { openDocument } = await import('./storage.js');
 
-                // Démarrer l'autosave
-                startAutosave();
+        // Fermer le modal
+        closeRecoveryModal();
 
-                // Fermer le modal
-                closeRecoveryModal();
+        // Rouvrir aussi l'historique et la saisie en cours
+        await openDocument(autosaveData.id, autosaveData.pluData, autosaveData.session);
 
-                // Notifier l'utilisateur
-                showToast('Travail récupéré avec succès !');
-            });
-        });
-    });
+        // Notifier l'utilisateur
+        showToast(state.isEditing
+            ? 'Travail récupéré avec succès, saisie en cours rouverte !'
+            : 'Travail récupéré avec succès !');
+    } catch (error) {
+        console.error('Erreur lors de la récupération:', error);
+        closeRecoveryModal();
+        showToast(`Récupération impossible : ${error.message}`, "error");
+    }
 }
 
 /**
- * Refuse la récupération et supprime l'autosave
+ * Refuse la récupération (le document reste disponible dans l'espace de travail)
  */
 function declineRecovery() {
-    // Supprimer l'autosave
-    clearAutosave();
-
     // Fermer le modal
     closeRecoveryModal();
 }
@@ -0,0 +1,225 @@
+/**
+ * Module de la vue de comparaison de deux règlements
+ * (document ouvert, version nommée ou fichier JSON / ZIP)
+ */
+
+import { state } from './state.js';
+import { showToast, showModal, closeModal, handleError } from './ui.js';
+import { listVersions, getVersion } from './versions.js';
+import { readPLUFile } from './storage.js';
+import { comparePLU, renderDiffReport, buildDiffReportDocument } from './diff.js';
+
+// Fichiers chargés pour chaque côté de la comparaison
+const loadedFiles = { before: null, after: null };
+
+// Côté en attente d'un fichier
+let pendingSide = null;
+
+// Dernier rapport affiché (pour l'export HTML)
+let lastComparison = null;
+
+/**
+ * Ouvre la vue de comparaison
+ * @param {string} beforeSource - Source de référence ('current', 'version:<id>' ou 'file')
+ * @param {string} afterSource - Source comparée
+ */
+export async function showCompare(beforeSource = 'current', afterSource = 'current') {
+    try {
+        if (!state.pluData || !state.documentId) {
+            throw new Error("Aucun PLU chargé");
+        }
+
+        await renderSourceOptions();
+        document.getElementById('compare-before').value = beforeSource;
+        document.getElementById('compare-after').value = afterSource;
+
+        document.getElementById('compare-report').innerHTML = '';
+        document.getElementById('compare-export').disabled = true;
+        lastComparison = null;
+
+        showModal('compareModal');
+
+        if (beforeSource !== afterSource) {
+            await runComparison();
+        }
+    } catch (error) {
+        handleError(error, "ouverture de la comparaison");
+    }
+}
+
+/**
+ * Remplit les listes de sources avec le document ouvert et ses versions
+ */
+async function renderSourceOptions() {
+    const versions = await listVersions(state.documentId);
+
+    ['before', 'after'].forEach(side => {
+        const select = document.getElementById(`compare-${side}`);
+        select.innerHTML = '';
+
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        };
+
+        addOption('current', 'Document ouvert');
+        versions.forEach(version => {
+            addOption(`version:${version.id}`, `Version « ${version.label} » (${version.dateFormatted})`);
+        });
+        addOption('file', loadedFiles[side]
+            ? `Fichier : ${loadedFiles[side].name}`
+            : 'Fichier JSON / ZIP...');
+    });
+}
+
+/**
+ * Résout une source de comparaison
+ * @param {string} source - 'current', 'version:<id>' ou 'file'
+ * @param {string} side - 'before' ou 'after'
+ * @returns {Promise<Object>} - { label, pluData }
+ */
+async function resolveSource(source, side) {
+    if (source === 'current') {
+        return { label: `Document ouvert (${state.pluData.nom || 'Document sans nom'})`, pluData: state.pluData };
+    }
+
+    if (source === 'file') {
+        if (!loadedFiles[side]) {
+            throw new Error("Aucun fichier chargé pour la comparaison");
+        }
+        return { label: `Fichier ${loadedFiles[side].name}`, pluData: loadedFiles[side].pluData };
+    }
+
+    const version = await getVersion(source.replace('version:', ''));
+    if (!version) {
+        throw new Error("Version introuvable");
+    }
+    return { label: `Version « ${version.label} » (${version.dateFormatted})`, pluData: version.pluData };
+}
+
+/**
+ * Compare les deux sources sélectionnées et affiche le rapport
+ */
+async function runComparison() {
+    try {
+        const before = await resolveSource(document.getElementById('compare-before').value, 'before');
+        const after = await resolveSource(document.getElementById('compare-after').value, 'after');
+
+        const report = comparePLU(before.pluData, after.pluData);
+        const labels = { beforeLabel: before.label, afterLabel: after.label };
+
+        document.getElementById('compare-report').innerHTML = renderDiffReport(report, labels);
+        document.getElementById('compare-export').disabled = false;
+        lastComparison = { report, labels, idUrba: after.pluData.idUrba || before.pluData.idUrba };
+    } catch (error) {
+        handleError(error, "comparaison");
+    }
+}
+
+/**
+ * Exporte le dernier rapport en page HTML autonome
+ */
+function exportComparisonReport() {
+    if (!lastComparison) {
+        showToast("Lancez d'abord une comparaison", "error");
+        return;
+    }
+
+    const html = buildDiffReportDocument(lastComparison.report, lastComparison.labels);
+    const blob = new Blob([html], { type: 'text/html' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `comparaison_${lastComparison.idUrba || 'plu'}.html`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showToast("Rapport de comparaison exporté");
+}
+
+/**
+ * Charge un fichier JSON ou ZIP pour un côté de la comparaison
+ * @param {File} file - Fichier choisi
+ */
+async function loadComparisonFile(file) {
+    const side = pendingSide;
+    pendingSide = null;
+
+    try {
+        const pluData = await readPLUFile(file);
+        loadedFiles[side] = { name: file.name, pluData };
+
+        // Conserver la sélection de l'autre côté
+        const otherSide = side === 'before' ? 'after' : 'before';
+        const otherValue = document.getElementById(`compare-${otherSide}`).value;
+
+        await renderSourceOptions();
+        document.getElementById(`compare-${side}`).value = 'file';
+        document.getElementById(`compare-${otherSide}`).value = otherValue;
+    } catch (error) {
+        handleError(error, "chargement du fichier à comparer");
+    }
+}
+
+/**
+ * Configure les gestionnaires d'événements de la comparaison
+ */
+export function setupCompareEventHandlers() {
+    const showBtn = document.querySelector('[data-action="show-compare"]');
+    if (showBtn) {
+        showBtn.addEventListener('click', () => showCompare());
+    }
+
+    const closeBtn = document.querySelector('[data-action="close-compare"]');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => closeModal('compareModal'));
+    }
+
+    const runBtn = document.querySelector('[data-action="run-compare"]');
+    if (runBtn) {
+        runBtn.addEventListener('click', runComparison);
+    }
+
+    const exportBtn = document.getElementById('compare-export');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportComparisonReport);
+    }
+
+    // Choisir « Fichier » ouvre le sélecteur de fichier
+    const fileInput = document.getElementById('compareFileInput');
+    ['before', 'after'].forEach(side => {
+        const select = document.getElementById(`compare-${side}`);
+        if (select && fileInput) {
+            select.addEventListener('change', () => {
+                if (select.value === 'file' && !loadedFiles[side]) {
+                    pendingSide = side;
+                    fileInput.click();
+                }
+            });
+        }
+    });
+
+    const loadFileBtns = document.querySelectorAll('[data-action="compare-load-file"]');
+    loadFileBtns.forEach(button => {
+        button.addEventListener('click', () => {
+            pendingSide = button.dataset.side;
+            fileInput.click();
+        });
+    });
+
+    if (fileInput) {
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file && pendingSide) {
+                loadComparisonFile(file);
+            }
+            // Permettre de recharger le même fichier
+            fileInput.value = '';
+        });
+    }
+}
@@ -11,12 +11,12 @@ import { getImageDataUrl, listPluImages } from './images.js';
  * @returns {string|null} - Nom du fichier ou null
  */
 function convertDataUrlToRessourcePath(dataUrl) {
-    if (!state.pluData?.idUrba) {
+    if (!state.documentId) {
         return null;
     }
 
-    // Récupérer toutes les images du PLU
-    const images = listPluImages(state.pluData.idUrba);
+    // Récupérer toutes les images du document
+    const images = listPluImages(state.documentId);
 
     // Comparer le data URL avec chaque image
     for (const imageData of images) {
@@ -29,6 +29,60 @@ function convertDataUrlToRessourcePath(dataUrl) {
     return null;
 }
 
+/**
+ * Résout la source d'une image pour l'éditeur : ressources/ devient une data URL
+ * si l'image est stockée pour le PLU courant
+ * @param {string} src - Source HtmlNode
+ * @returns {string} - Source TipTap
+ */
+function resolveImageSrc(src) {
+    if (src.startsWith('ressources/') && state.documentId) {
+        const dataUrl = getImageDataUrl(state.documentId, src.replace('ressources/', ''));
+        if (dataUrl) {
+            return dataUrl;
+        }
+    }
+    return src;
+}
+
+/**
+ * Convertit une image TipTap (bloc ou inline) en HtmlNode img
+ * Les data URL d'images stockées redeviennent des chemins ressources/
+ */
+function convertTipTapImage(node) {
+    let src = node.attrs?.src || '';
+
+    if (src.startsWith('data:')) {
+        const filename = convertDataUrlToRessourcePath(src);
+        if (filename) {
+            src = `ressources/${filename}`;
+        }
+    }
+
+    return {
+        tag: 'img',
+        attrs: {
+            src: src,
+            alt: node.attrs?.alt || 'Image'
+        }
+    };
+}
+
+/**
+ * Convertit un HtmlNode img en nœud image TipTap
+ * @param {Object} element - HtmlNode img
+ * @param {string} type - 'image' (bloc) ou 'inlineImage'
+ */
+function convertHtmlImage(element, type) {
+    return {
+        type,
+        attrs: {
+            src: resolveImageSrc(element.attrs?.src || ''),
+            alt: element.attrs?.alt || 'Image'
+        }
+    };
+}
+
 /**
  * Convertit un document TipTap JSON en tableau HTML
  */
@@ -89,23 +143,8 @@ function convertTipTapNode(node) {
             return convertTableCell(node);
         
         case 'image':
-            let src = node.attrs?.src || '';
-
-            // Si l'image est une data URL, la convertir en référence ressources/
-            if (src.startsWith('data:')) {
-                const filename = convertDataUrlToRessourcePath(src);
-                if (filename) {
-                    src = `ressources/${filename}`;
-                }
-            }
-
-            return {
-                tag: 'img',
-                attrs: {
-                    src: src,
-                    alt: node.attrs?.alt || 'Image'
-                }
-            };
+        case 'inlineImage':
+            return convertTipTapImage(node);
         
         case 'hardBreak':
             return { tag: 'br' };
@@ -181,22 +220,36 @@ function convertList(node, tag) {
 
 /**
  * Convertit un élément de liste TipTap
+ * Un paragraphe suivi de sous-listes donne <li>texte<ul>...</ul></li>,
+ * comme dans les listes imbriquées issues du DOCX
  */
 function convertListItem(node) {
-    if (!node.content) {
+    if (!node.content || node.content.length === 0) {
         return { tag: 'li', text: '' };
     }
 
-    // Si le contenu est un simple paragraphe, extraire son texte
-    if (node.content.length === 1 && node.content[0].type === 'paragraph') {
-        const content = convertInlineContent(node.content[0].content || []);
-        if (typeof content === 'string') {
-            return { tag: 'li', text: content };
-        } else if (Array.isArray(content)) {
-            return { tag: 'li', children: content };
-        } else {
-            return { tag: 'li', text: '' };
+    const [first, ...rest] = node.content;
+    const restAreLists = rest.every(child => child.type === 'bulletList' || child.type === 'orderedList');
+
+    if (first.type === 'paragraph' && restAreLists) {
+        const inline = convertInlineContent(first.content || []);
+
+        if (rest.length === 0) {
+            if (typeof inline === 'string') {
+                return { tag: 'li', text: inline };
+            }
+            return { tag: 'li', children: inline };
         }
+
+        const children = typeof inline === 'string'
+            ? (inline ? [inline] : [])
+            : [...inline];
+
+        rest.map(convertTipTapNode)
+            .filter(n => n)
+            .forEach(list => children.push(list));
+
+        return { tag: 'li', children };
     }
 
     const children = node.content
@@ -208,20 +261,43 @@ function convertListItem(node) {
 
 /**
  * Convertit un tableau TipTap
+ * Si le tableau d'origine avait des sections, les lignes d'en-tête initiales
+ * sont regroupées dans un thead et les suivantes dans un tbody
  */
 function convertTable(node) {
     if (!node.content) {
         return null;
     }
 
-    const children = node.content
-        .map(convertTipTapNode)
-        .filter(n => n);
+    const rows = node.content
+        .map(row => ({ row, html: convertTipTapNode(row) }))
+        .filter(item => item.html);
 
-    if (children.length === 0) {
+    if (rows.length === 0) {
         return null;
     }
 
+    if (!node.attrs?.sections) {
+        return { tag: 'table', children: rows.map(item => item.html) };
+    }
+
+    const isHeaderRow = ({ row }) =>
+        row.content && row.content.length > 0 &&
+        row.content.every(cell => cell.type === 'tableHeader');
+
+    let headerCount = 0;
+    while (headerCount < rows.length && isHeaderRow(rows[headerCount])) {
+        headerCount++;
+    }
+
+    const children = [];
+    if (headerCount > 0) {
+        children.push({ tag: 'thead', children: rows.slice(0, headerCount).map(item => item.html) });
+    }
+    if (headerCount < rows.length) {
+        children.push({ tag: 'tbody', children: rows.slice(headerCount).map(item => item.html) });
+    }
+
     return { tag: 'table', children };
 }
 
@@ -273,9 +349,87 @@ function convertTableCell(node) {
     return { tag, children };
 }
 
+/**
+ * Ordre d'emboîtement des marques (de l'extérieur vers l'intérieur)
+ */
+const MARK_ORDER = ['link', 'bold', 'italic', 'underline'];
+
+/**
+ * Convertit une marque TipTap en HtmlNode (sans contenu) ou null si non supportée
+ */
+function markToHtmlNode(mark) {
+    switch (mark.type) {
+        case 'bold':
+            return { tag: 'strong' };
+        case 'italic':
+            return { tag: 'em' };
+        case 'underline':
+            return { tag: 'span', attrs: { style: 'text-decoration: underline' } };
+        case 'link':
+            return { tag: 'a', attrs: { href: mark.attrs?.href || '' } };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Compare deux marques (type et attributs)
+ */
+function isSameMark(a, b) {
+    return a.type === b.type && JSON.stringify(a.attrs || {}) === JSON.stringify(b.attrs || {});
+}
+
+/**
+ * Construit l'arbre HtmlNode d'une suite de fragments inline
+ * Les fragments consécutifs partageant la même marque externe sont regroupés
+ * sous un même nœud, puis la construction se poursuit avec les marques suivantes
+ * @param {Array} runs - Fragments { marks, node } (marques triées, node = texte ou HtmlNode)
+ * @returns {Array} - Enfants HtmlNode (chaînes ou objets)
+ */
+function buildInlineTree(runs) {
+    const result = [];
+    let i = 0;
+
+    while (i < runs.length) {
+        const run = runs[i];
+
+        if (run.marks.length === 0) {
+            // Fusionner les textes adjacents
+            if (typeof run.node === 'string' && typeof result[result.length - 1] === 'string') {
+                result[result.length - 1] += run.node;
+            } else {
+                result.push(run.node);
+            }
+            i++;
+            continue;
+        }
+
+        const mark = run.marks[0];
+        const group = [];
+        while (i < runs.length && runs[i].marks.length > 0 && isSameMark(runs[i].marks[0], mark)) {
+            group.push({ marks: runs[i].marks.slice(1), node: runs[i].node });
+            i++;
+        }
+
+        const children = buildInlineTree(group);
+        const htmlNode = markToHtmlNode(mark);
+
+        if (children.length === 1 && typeof children[0] === 'string') {
+            htmlNode.text = children[0];
+        } else {
+            htmlNode.children = children;
+        }
+
+        result.push(htmlNode);
+    }
+
+    return result;
+}
+
 /**
  * Convertit le contenu inline (texte avec formatage)
  * Retourne soit une chaîne simple (si pas de formatage), soit un tableau de nœuds
+ * dans lequel les marques multiples sont emboîtées (ex: <a><strong>...</strong></a>)
  */
 function convertInlineContent(content) {
     if (!content || content.length === 0) {
@@ -285,7 +439,8 @@ function convertInlineContent(content) {
     // Vérifier s'il y a du formatage
     const hasFormatting = content.some(node => 
         (node.type === 'text' && node.marks && node.marks.length > 0) ||
-        node.type === 'hardBreak'
+        node.type === 'hardBreak' ||
+        node.type === 'inlineImage'
     );
 
     // Si pas de formatage, retourner une simple chaîne
@@ -294,64 +449,24 @@ function convertInlineContent(content) {
     }
 
     // Sinon, construire un tableau de nœuds structurés
-    const result = [];
-    
+    const runs = [];
+
     for (const node of content) {
+        const marks = (node.marks || [])
+            .filter(mark => MARK_ORDER.includes(mark.type))
+            .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+
         if (node.type === 'text') {
-            const text = node.text || '';
-            
-            if (node.marks && node.marks.length > 0) {
-                // Appliquer les marques en emboîtant les nœuds
-                let currentNode = { text };
-                
-                // Traiter les marques dans l'ordre inverse pour créer l'emboîtement correct
-                for (let i = node.marks.length - 1; i >= 0; i--) {
-                    const mark = node.marks[i];
-                    let tag = null;
-                    let attrs = null;
-                    
-                    switch (mark.type) {
-                        case 'bold':
-                            tag = 'strong';
-                            break;
-                        case 'italic':
-                            tag = 'em';
-                            break;
-                        case 'underline':
-                            tag = 'span';
-                            attrs = { style: 'text-decoration: underline' };
-                            break;
-                        case 'link':
-                            tag = 'a';
-                            attrs = { href: mark.attrs?.href || '' };
-                            break;
-                    }
-                    
-                    if (tag) {
-                        const newNode = { tag };
-                        if (attrs) {
-                            newNode.attrs = attrs;
-                        }
-                        if (currentNode.text !== undefined) {
-                            newNode.text = currentNode.text;
-                        } else {
-                            newNode.children = [currentNode];
-                        }
-                        currentNode = newNode;
-                    }
-                }
-                
-                result.push(currentNode);
-            } else {
-                // Texte sans formatage - ajouter comme chaîne simple
-                result.push(text);
-            }
+            runs.push({ marks, node: node.text || '' });
+        } else if (node.type === 'inlineImage') {
+            // Une image inline peut porter des marques (ex: pictogramme dans un lien)
+            runs.push({ marks, node: convertTipTapImage(node) });
         } else if (node.type === 'hardBreak') {
-            result.push({ tag: 'br' });
+            runs.push({ marks: [], node: { tag: 'br' } });
         }
     }
 
-    return result;
+    return buildInlineTree(runs);
 }
 
 /**
@@ -417,82 +532,26 @@ function convertHtmlToTipTap(element) {
             return convertHtmlHeading(element);
         
         case 'ul':
-            return {
-                type: 'bulletList',
-                content: (element.children || [])
-                    .map(convertHtmlToTipTap)
-                    .filter(n => n)
-            };
+            return convertHtmlList(element, 'bulletList');
         
         case 'ol':
-            return {
-                type: 'orderedList',
-                content: (element.children || [])
-                    .map(convertHtmlToTipTap)
-                    .filter(n => n)
-            };
+            return convertHtmlList(element, 'orderedList');
         
         case 'li':
-            return {
-                type: 'listItem',
-                content: [convertHtmlListItemContent(element)]
-            };
+            return convertHtmlListItem(element);
         
         case 'table':
-            return {
-                type: 'table',
-                content: (element.children || [])
-                    .map(convertHtmlToTipTap)
-                    .filter(n => n)
-            };
+            return convertHtmlTable(element);
         
         case 'tr':
-            return {
-                type: 'tableRow',
-                content: (element.children || [])
-                    .map(convertHtmlToTipTap)
-                    .filter(n => n)
-            };
+            return convertHtmlTableRow(element, false);
         
         case 'td':
-            return {
-                type: 'tableCell',
-                content: [convertHtmlTableCellContent(element)]
-            };
-        
         case 'th':
-            return {
-                type: 'tableHeader',
-                content: [convertHtmlTableCellContent(element)]
-            };
+            return convertHtmlTableCell(element, false);
         
         case 'img':
-            let imgSrc = element.attrs?.src || '';
-            console.log('Conversion HTML → TipTap: Image trouvée avec src =', imgSrc);
-
-            // Si l'image est une référence ressources/, la convertir en data URL depuis localStorage
-            if (imgSrc.startsWith('ressources/')) {
-                const filename = imgSrc.replace('ressources/', '');
-                console.log('Image ressources/ détectée, filename =', filename, 'idUrba =', state.pluData?.idUrba);
-
-                if (state.pluData?.idUrba) {
-                    const dataUrl = getImageDataUrl(state.pluData.idUrba, filename);
-                    console.log('Data URL récupérée:', dataUrl ? 'OK (longueur: ' + dataUrl.length + ')' : 'NON TROUVÉE');
-                    if (dataUrl) {
-                        imgSrc = dataUrl;
-                    }
-                }
-            }
-
-            console.log('Image finale pour TipTap:', imgSrc.substring(0, 50) + '...');
-
-            return {
-                type: 'image',
-                attrs: {
-                    src: imgSrc,
-                    alt: element.attrs?.alt || 'Image'
-                }
-            };
+            return convertHtmlImage(element, 'image');
         
         case 'br':
             return { type: 'hardBreak' };
@@ -525,54 +584,15 @@ function convertHtmlParagraph(element) {
             const images = element.children.filter(child => typeof child === 'object' && child.tag === 'img');
 
             if (images.length === 1) {
-                // Un seul image - retourner directement le nœud image
-                const img = images[0];
-                let imgSrc = img.attrs?.src || '';
-                console.log('Image seule dans paragraphe, conversion en bloc, src =', imgSrc);
-
-                if (imgSrc.startsWith('ressources/')) {
-                    const filename = imgSrc.replace('ressources/', '');
-                    if (state.pluData?.idUrba) {
-                        const dataUrl = getImageDataUrl(state.pluData.idUrba, filename);
-                        if (dataUrl) {
-                            imgSrc = dataUrl;
-                        }
-                    }
-                }
-
-                return {
-                    type: 'image',
-                    attrs: {
-                        src: imgSrc,
-                        alt: img.attrs?.alt || 'Image'
-                    }
-                };
+                // Une seule image - retourner directement le nœud image
+                return convertHtmlImage(images[0], 'image');
             }
         }
 
         // Paragraphe normal avec du contenu mixte
-        const content = [];
-        for (const child of element.children) {
-            if (typeof child === 'string') {
-                content.push({ type: 'text', text: child });
-            } else if (child.tag === 'br') {
-                content.push({ type: 'hardBreak' });
-            } else if (child.tag === 'img') {
-                // Image inline - convertir en texte avec avertissement
-                console.warn('Image trouvée à l\'intérieur d\'un paragraphe avec du texte - TipTap ne supporte pas les images inline');
-                // On pourrait ignorer l'image ou la convertir en lien
-                // Pour l'instant, on l'ignore
-            } else {
-                // Pour d'autres types d'éléments, les convertir récursivement
-                const converted = convertHtmlToTipTap(child);
-                if (converted) {
-                    content.push(converted);
-                }
-            }
-        }
         return {
             type: 'paragraph',
-            content: content.length > 0 ? content : []
+            content: convertHtmlInlineNodes(element.children)
         };
     }
 
@@ -587,6 +607,15 @@ function convertHtmlParagraph(element) {
  */
 function convertHtmlHeading(element) {
     const level = parseInt(element.tag.substring(1));
+
+    if (element.children) {
+        return {
+            type: 'heading',
+            attrs: { level },
+            content: convertHtmlInlineNodes(element.children)
+        };
+    }
+
     const text = element.text || '';
     
     if (text.includes('<')) {
@@ -602,115 +631,342 @@ function convertHtmlHeading(element) {
     return {
         type: 'heading',
         attrs: { level },
-        content: [{ type: 'text', text: text }]
+        content: text ? [{ type: 'text', text: text }] : []
     };
 }
 
 /**
- * Convertit le contenu d'un élément de liste HTML
+ * Convertit une liste HTML (à puces ou numérotée)
+ * @param {Object} element - Nœud ul ou ol
+ * @param {string} type - Type de liste TipTap
  */
-function convertHtmlListItemContent(element) {
-    if (element.text) {
-        const content = parseInlineHtml(element.text);
-        return {
-            type: 'paragraph',
-            content: content
-        };
-    } else if (element.children) {
-        const content = [];
-        for (const child of element.children) {
-            if (typeof child === 'string') {
-                content.push({ type: 'text', text: child });
+function convertHtmlList(element, type) {
+    const items = (element.children || [])
+        .map(child => {
+            if (child && typeof child === 'object' && child.tag === 'li') {
+                return convertHtmlListItem(child);
             }
+            // Contenu hors <li> : l'envelopper dans un élément de liste
+            return convertHtmlListItem({ tag: 'li', children: [child] });
+        })
+        .filter(n => n);
+
+    if (items.length === 0) {
+        return null;
+    }
+
+    return { type, content: items };
+}
+
+/**
+ * Convertit un élément de liste HTML avec tout son contenu
+ * (plusieurs paragraphes, marques inline, sous-listes à toute profondeur)
+ */
+function convertHtmlListItem(element) {
+    const content = convertHtmlBlockContent(element);
+
+    // TipTap impose un paragraphe en tête de chaque élément de liste
+    if (content[0].type !== 'paragraph') {
+        content.unshift({ type: 'paragraph', content: [] });
+    }
+
+    return {
+        type: 'listItem',
+        content
+    };
+}
+
+/**
+ * Convertit un tableau HTML (avec ou sans thead/tbody)
+ * Les lignes de thead deviennent des cellules d'en-tête et le découpage
+ * est mémorisé dans l'attribut "sections" pour être reconstruit à l'enregistrement
+ */
+function convertHtmlTable(element) {
+    const rows = [];
+    let hasSections = false;
+
+    for (const child of element.children || []) {
+        if (!child || typeof child !== 'object') continue;
+
+        if (child.tag === 'thead' || child.tag === 'tbody') {
+            hasSections = true;
+            const isHeader = child.tag === 'thead';
+            for (const row of child.children || []) {
+                if (row && row.tag === 'tr') {
+                    rows.push(convertHtmlTableRow(row, isHeader));
+                }
+            }
+        } else if (child.tag === 'tr') {
+            rows.push(convertHtmlTableRow(child, false));
         }
-        return {
-            type: 'paragraph',
-            content: content.length > 0 ? content : []
-        };
+    }
+
+    const rowNodes = rows.filter(n => n);
+    if (rowNodes.length === 0) {
+        return null;
+    }
+
+    const table = {
+        type: 'table',
+        content: rowNodes
+    };
+
+    if (hasSections) {
+        table.attrs = { sections: true };
+    }
+
+    return table;
+}
+
+/**
+ * Convertit une ligne de tableau HTML
+ * @param {Object} element - Nœud tr
+ * @param {boolean} isHeader - La ligne provient d'un thead
+ */
+function convertHtmlTableRow(element, isHeader) {
+    const cells = (element.children || [])
+        .filter(child => child && (child.tag === 'td' || child.tag === 'th'))
+        .map(child => convertHtmlTableCell(child, isHeader));
+
+    if (cells.length === 0) {
+        return null;
     }
 
     return {
-        type: 'paragraph',
-        content: []
+        type: 'tableRow',
+        content: cells
     };
 }
 
 /**
- * Convertit le contenu d'une cellule de tableau HTML
+ * Convertit une cellule de tableau HTML en conservant tous ses blocs
+ * @param {Object} element - Nœud td ou th
+ * @param {boolean} isHeader - La cellule provient d'un thead
  */
-function convertHtmlTableCellContent(element) {
-    if (element.text) {
-        const content = parseInlineHtml(element.text);
-        return {
+function convertHtmlTableCell(element, isHeader) {
+    return {
+        type: (isHeader || element.tag === 'th') ? 'tableHeader' : 'tableCell',
+        content: convertHtmlBlockContent(element)
+    };
+}
+
+/**
+ * Balises HtmlNode de niveau bloc (les autres sont regroupées en paragraphes)
+ */
+const HTML_BLOCK_TAGS = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table'];
+
+/**
+ * Convertit le contenu d'un conteneur (cellule, élément de liste) en blocs TipTap
+ * Le texte et les éléments inline consécutifs forment un paragraphe,
+ * les blocs (paragraphes, listes, tableaux...) sont convertis tels quels
+ * @param {Object} element - HtmlNode conteneur
+ * @returns {Array} - Nœuds bloc TipTap (au moins un paragraphe)
+ */
+function convertHtmlBlockContent(element) {
+    const blocks = [];
+
+    if (element.text !== undefined) {
+        blocks.push({
             type: 'paragraph',
-            content: content
-        };
+            content: element.text ? parseInlineHtml(element.text) : []
+        });
     } else if (element.children) {
-        const content = [];
+        let pendingInline = [];
+
+        const flushInline = () => {
+            const meaningful = pendingInline.some(child => typeof child !== 'string' || child.trim() !== '');
+            if (meaningful) {
+                blocks.push(convertHtmlParagraph({ tag: 'p', children: pendingInline }));
+            }
+            pendingInline = [];
+        };
+
         for (const child of element.children) {
-            if (typeof child === 'string') {
-                content.push({ type: 'text', text: child });
+            if (child && typeof child === 'object' && HTML_BLOCK_TAGS.includes(child.tag)) {
+                flushInline();
+                const converted = convertHtmlToTipTap(child);
+                if (converted) {
+                    blocks.push(converted);
+                }
+            } else {
+                pendingInline.push(child);
             }
         }
-        return {
-            type: 'paragraph',
-            content: content.length > 0 ? content : []
-        };
+
+        flushInline();
     }
 
-    return {
-        type: 'paragraph',
-        content: []
-    };
+    if (blocks.length === 0) {
+        blocks.push({ type: 'paragraph', content: [] });
+    }
+
+    return blocks;
+}
+
+/**
+ * Retourne la marque TipTap correspondant à une balise HtmlNode inline (ou null)
+ */
+function getMarkForHtmlNode(element) {
+    switch (element.tag) {
+        case 'strong':
+            return { type: 'bold' };
+        case 'em':
+            return { type: 'italic' };
+        case 'span':
+            if (/text-decoration:\s*underline/.test(element.attrs?.style || '')) {
+                return { type: 'underline' };
+            }
+            return null;
+        case 'a':
+            return { type: 'link', attrs: { href: element.attrs?.href || '' } };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Convertit des enfants HtmlNode inline en nœuds texte TipTap
+ * Les marques des éléments imbriqués (ex: gras dans un lien) sont cumulées
+ * @param {Array} children - Enfants HtmlNode (chaînes ou objets)
+ * @param {Array} marks - Marques héritées des éléments parents
+ * @returns {Array} - Nœuds inline TipTap
+ */
+function convertHtmlInlineNodes(children, marks = []) {
+    const content = [];
+
+    for (const child of children || []) {
+        if (typeof child === 'string') {
+            if (child) {
+                const textNode = { type: 'text', text: child };
+                if (marks.length > 0) {
+                    textNode.marks = marks;
+                }
+                content.push(textNode);
+            }
+            continue;
+        }
+
+        if (!child || typeof child !== 'object') continue;
+
+        if (child.tag === 'br') {
+            content.push({ type: 'hardBreak' });
+            continue;
+        }
+
+        if (child.tag === 'img') {
+            // Image au milieu du texte (pictogramme, symbole...)
+            const image = convertHtmlImage(child, 'inlineImage');
+            if (marks.length > 0) {
+                image.marks = marks;
+            }
+            content.push(image);
+            continue;
+        }
+
+        // Cumuler la marque de l'élément avec celles des parents (sans doublon)
+        const mark = getMarkForHtmlNode(child);
+        const childMarks = mark && !marks.some(m => m.type === mark.type)
+            ? [...marks, mark]
+            : marks;
+
+        if (child.children) {
+            content.push(...convertHtmlInlineNodes(child.children, childMarks));
+        } else if (child.text) {
+            content.push(...convertHtmlInlineNodes([child.text], childMarks));
+        }
+    }
+
+    return content;
 }
 
 /**
  * Parse le HTML inline et retourne un tableau de nœuds TipTap
+ * (texte brut, ou ancien format avec balises dans le champ text)
  */
 function parseInlineHtml(htmlString) {
+    if (!htmlString) {
+        return [];
+    }
+
+    // Texte sans balise : ne pas l'interpréter comme du HTML ("hauteur < 10 m", "R&D")
+    if (!/<\/?[a-z][^>]*>/i.test(htmlString)) {
+        return [{ type: 'text', text: htmlString }];
+    }
+
     const tempDiv = document.createElement('div');
     tempDiv.innerHTML = htmlString;
-    
+
+    return parseInlineDomNodes(tempDiv.childNodes, []);
+}
+
+/**
+ * Retourne la marque TipTap correspondant à un élément DOM inline (ou null)
+ */
+function getMarkForDomElement(element) {
+    const tagName = element.tagName.toLowerCase();
+
+    if (tagName === 'strong' || tagName === 'b') {
+        return { type: 'bold' };
+    }
+    if (tagName === 'em' || tagName === 'i') {
+        return { type: 'italic' };
+    }
+    if (tagName === 'u' || (tagName === 'span' && /text-decoration:\s*underline/.test(element.getAttribute('style') || ''))) {
+        return { type: 'underline' };
+    }
+    if (tagName === 'a') {
+        return { type: 'link', attrs: { href: element.getAttribute('href') || '' } };
+    }
+    return null;
+}
+
+/**
+ * Parcourt récursivement des nœuds DOM inline en cumulant les marques
+ * @param {NodeList} nodes - Nœuds DOM
+ * @param {Array} marks - Marques héritées des éléments parents
+ * @returns {Array} - Nœuds inline TipTap
+ */
+function parseInlineDomNodes(nodes, marks) {
     const content = [];
-    
-    Array.from(tempDiv.childNodes).forEach(node => {
+
+    Array.from(nodes).forEach(node => {
         if (node.nodeType === 3) {
             // Nœud texte
             if (node.textContent) {
-                content.push({ type: 'text', text: node.textContent });
+                const textNode = { type: 'text', text: node.textContent };
+                if (marks.length > 0) {
+                    textNode.marks = marks;
+                }
+                content.push(textNode);
             }
         } else if (node.nodeType === 1) {
             // Nœud élément
-            const tagName = node.tagName.toLowerCase();
-            const text = node.textContent;
-            
-            if (!text) return;
-            
-            const textNode = { type: 'text', text: text };
-            const marks = [];
-            
-            if (tagName === 'strong' || tagName === 'b') {
-                marks.push({ type: 'bold' });
-            } else if (tagName === 'em' || tagName === 'i') {
-                marks.push({ type: 'italic' });
-            } else if (tagName === 'u') {
-                marks.push({ type: 'underline' });
-            } else if (tagName === 'a') {
-                marks.push({
-                    type: 'link',
-                    attrs: { href: node.getAttribute('href') || '' }
-                });
+            if (node.tagName.toLowerCase() === 'br') {
+                content.push({ type: 'hardBreak' });
+                return;
             }
-            
-            if (marks.length > 0) {
-                textNode.marks = marks;
+
+            if (node.tagName.toLowerCase() === 'img') {
+                const image = convertHtmlImage({
+                    attrs: { src: node.getAttribute('src') || '', alt: node.getAttribute('alt') || '' }
+                }, 'inlineImage');
+                if (marks.length > 0) {
+                    image.marks = marks;
+                }
+                content.push(image);
+                return;
             }
-            
-            content.push(textNode);
+
+            const mark = getMarkForDomElement(node);
+            const childMarks = mark && !marks.some(m => m.type === mark.type)
+                ? [...marks, mark]
+                : marks;
+
+            content.push(...parseInlineDomNodes(node.childNodes, childMarks));
         }
     });
-    
-    return content.length > 0 ? content : [];
+
+    return content;
 }
 
 /**
@@ -0,0 +1,354 @@
+/**
+ * Module de stockage persistant dans IndexedDB (documents, images, versions, réglages)
+ *
+ * Les images sont conservées sous forme de Blob, sans passer par le base64,
+ * ce qui évite le quota d'environ 5 Mo du localStorage.
+ */
+
+const DB_NAME = 'plu-editor';
+const DB_VERSION = 3;
+
+// Magasins de la base
+export const STORES = {
+    documents: 'documents',
+    images: 'images',
+    versions: 'versions',
+    meta: 'meta'
+};
+
+// Identifiant du document issu de l'ancienne sauvegarde automatique unique
+export const AUTOSAVE_DOCUMENT_ID = 'autosave';
+
+// Anciennes clés localStorage (avant IndexedDB), migrées une seule fois
+const LEGACY_AUTOSAVE_KEY = 'plu_editor_autosave';
+const LEGACY_IMAGE_PREFIX = 'plu_image_';
+const MIGRATION_FLAG = 'localStorageMigrated';
+
+let dbPromise = null;
+
+/**
+ * Transforme une requête IndexedDB en promesse
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Attend la fin (validation) d'une transaction
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction annulée'));
+    });
+}
+
+/**
+ * Traduit les erreurs de quota en message compréhensible
+ */
+function toStorageError(error) {
+    if (error && error.name === 'QuotaExceededError') {
+        return new Error("Espace de stockage du navigateur insuffisant. Exportez le PLU puis supprimez les images inutilisées.");
+    }
+    return error;
+}
+
+/**
+ * Crée le magasin des images, rangées par document
+ */
+function createImageStore(db) {
+    const images = db.createObjectStore(STORES.images, { keyPath: ['documentId', 'filename'] });
+    images.createIndex('documentId', 'documentId');
+    return images;
+}
+
+/**
+ * Document auquel rattacher une image stockée sous un idUrba (versions précédentes)
+ * Les images de l'ancienne sauvegarde automatique la suivent ; les autres restent
+ * rangées sous leur idUrba et sont reprises à l'ouverture d'un JSON de ce PLU
+ */
+export function getLegacyImageDocumentId(idUrba, autosaveIdUrba) {
+    return idUrba === autosaveIdUrba ? AUTOSAVE_DOCUMENT_ID : idUrba;
+}
+
+/**
+ * Version 2 : les images sont rangées par document et non plus par idUrba
+ */
+function upgradeImageStoreToDocuments(db, transaction) {
+    const autosaveRequest = transaction.objectStore(STORES.documents).get(AUTOSAVE_DOCUMENT_ID);
+    autosaveRequest.onsuccess = () => {
+        const autosaveIdUrba = autosaveRequest.result?.pluData?.idUrba;
+        const imagesRequest = transaction.objectStore(STORES.images).getAll();
+
+        imagesRequest.onsuccess = () => {
+            db.deleteObjectStore(STORES.images);
+            const images = createImageStore(db);
+
+            imagesRequest.result.forEach(({ idUrba, ...image }) => {
+                images.put({ ...image, documentId: getLegacyImageDocumentId(idUrba, autosaveIdUrba) });
+            });
+        };
+    };
+}
+
+/**
+ * Ouvre (et crée si besoin) la base IndexedDB, puis migre les anciennes données localStorage
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error("Le stockage IndexedDB n'est pas disponible dans ce navigateur"));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains(STORES.documents)) {
+                    db.createObjectStore(STORES.documents, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(STORES.images)) {
+                    createImageStore(db);
+                } else if (event.oldVersion < 2) {
+                    upgradeImageStoreToDocuments(db, request.transaction);
+                }
+                if (!db.objectStoreNames.contains(STORES.versions)) {
+                    // Version 3 : versions nommées des documents
+                    const versions = db.createObjectStore(STORES.versions, { keyPath: 'id' });
+                    versions.createIndex('documentId', 'documentId');
+                }
+                if (!db.objectStoreNames.contains(STORES.meta)) {
+                    db.createObjectStore(STORES.meta);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error("La base de données est bloquée par un autre onglet de l'éditeur"));
+        })
+            .then(db => migrateFromLocalStorage(db).then(() => db))
+            .catch(error => {
+                // Permettre une nouvelle tentative au prochain appel
+                dbPromise = null;
+                throw error;
+            });
+    }
+    return dbPromise;
+}
+
+/**
+ * Lit un enregistrement
+ * @param {string} storeName - Nom du magasin (STORES)
+ * @param {*} key - Clé de l'enregistrement
+ * @returns {Promise<*>} - Enregistrement ou undefined
+ */
+export async function dbGet(storeName, key) {
+    const db = await openDatabase();
+    return requestToPromise(db.transaction(storeName).objectStore(storeName).get(key));
+}
+
+/**
+ * Lit tous les enregistrements d'un magasin (ou ceux d'un index pour une valeur)
+ * @param {string} storeName - Nom du magasin (STORES)
+ * @param {string} [indexName] - Nom de l'index
+ * @param {*} [value] - Valeur recherchée dans l'index
+ * @returns {Promise<Array>}
+ */
+export async function dbGetAll(storeName, indexName, value) {
+    const db = await openDatabase();
+    const store = db.transaction(storeName).objectStore(storeName);
+    const source = indexName ? store.index(indexName) : store;
+    return requestToPromise(indexName ? source.getAll(value) : source.getAll());
+}
+
+/**
+ * Écrit un enregistrement
+ * @param {string} storeName - Nom du magasin (STORES)
+ * @param {*} value - Valeur à écrire
+ * @param {*} [key] - Clé (magasins sans keyPath uniquement)
+ */
+export async function dbPut(storeName, value, key) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+
+    if (key === undefined) {
+        store.put(value);
+    } else {
+        store.put(value, key);
+    }
+
+    try {
+        await transactionDone(transaction);
+    } catch (error) {
+        throw toStorageError(error);
+    }
+}
+
+/**
+ * Supprime un enregistrement
+ * @param {string} storeName - Nom du magasin (STORES)
+ * @param {*} key - Clé de l'enregistrement
+ */
+export async function dbDelete(storeName, key) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).delete(key);
+    await transactionDone(transaction);
+}
+
+/**
+ * Exécute plusieurs opérations dans une même transaction (tout ou rien)
+ * Le callback doit lancer ses requêtes de façon synchrone (ou depuis leurs onsuccess)
+ * @param {Array<string>} storeNames - Magasins concernés
+ * @param {Function} callback - Reçoit les magasins indexés par nom
+ */
+export async function dbTransaction(storeNames, callback) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeNames, 'readwrite');
+    const done = transactionDone(transaction);
+
+    const stores = {};
+    storeNames.forEach(name => {
+        stores[name] = transaction.objectStore(name);
+    });
+
+    try {
+        callback(stores);
+    } catch (error) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw error;
+    }
+
+    try {
+        await done;
+    } catch (error) {
+        throw toStorageError(error);
+    }
+}
+
+/**
+ * Estime l'espace utilisé et disponible pour l'application
+ * @returns {Promise<Object|null>} - { usage, quota } en octets, ou null si indisponible
+ */
+export async function getStorageEstimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+        return null;
+    }
+
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    } catch (error) {
+        console.error('Erreur lors de l\'estimation du stockage:', error);
+        return null;
+    }
+}
+
+/**
+ * Convertit base64 en Blob
+ * @param {string} base64 - Données en base64
+ * @param {string} contentType - Type MIME
+ * @returns {Blob}
+ */
+export function base64ToBlob(base64, contentType) {
+    const byteCharacters = atob(base64);
+    const byteArray = new Uint8Array(byteCharacters.length);
+    for (let i = 0; i < byteCharacters.length; i++) {
+        byteArray[i] = byteCharacters.charCodeAt(i);
+    }
+    return new Blob([byteArray], { type: contentType });
+}
+
+/**
+ * Convertit un Blob en base64
+ * @param {Blob} blob - Données binaires
+ * @returns {Promise<string>} - Données en base64
+ */
+export async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+
+    // Par tranches pour ne pas dépasser la taille maximale des arguments
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+
+    return btoa(binary);
+}
+
+/**
+ * Migre une seule fois la sauvegarde automatique et les images du localStorage
+ * (plu_editor_autosave, plu_image_<idUrba>_<fichier>) vers IndexedDB
+ */
+async function migrateFromLocalStorage(db) {
+    const alreadyMigrated = await requestToPromise(
+        db.transaction(STORES.meta).objectStore(STORES.meta).get(MIGRATION_FLAG)
+    );
+    if (alreadyMigrated || typeof localStorage === 'undefined') {
+        return;
+    }
+
+    const transaction = db.transaction([STORES.documents, STORES.images, STORES.meta], 'readwrite');
+    const migratedKeys = [];
+    let autosaveIdUrba = null;
+
+    const autosave = localStorage.getItem(LEGACY_AUTOSAVE_KEY);
+    if (autosave) {
+        try {
+            const autosaveData = JSON.parse(autosave);
+            if (autosaveData.pluData) {
+                transaction.objectStore(STORES.documents).put({ ...autosaveData, id: AUTOSAVE_DOCUMENT_ID });
+                autosaveIdUrba = autosaveData.pluData.idUrba;
+            }
+        } catch (error) {
+            console.error('Sauvegarde automatique illisible, ignorée lors de la migration:', error);
+        }
+        migratedKeys.push(LEGACY_AUTOSAVE_KEY);
+    }
+
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key || !key.startsWith(LEGACY_IMAGE_PREFIX)) continue;
+
+        try {
+            const imageData = JSON.parse(localStorage.getItem(key));
+            // La clé est plu_image_<idUrba>_<filename> : l'idUrba se déduit du nom de fichier
+            const idUrba = key.substring(LEGACY_IMAGE_PREFIX.length, key.length - imageData.filename.length - 1);
+            const blob = base64ToBlob(imageData.base64, imageData.contentType);
+
+            transaction.objectStore(STORES.images).put({
+                documentId: getLegacyImageDocumentId(idUrba, autosaveIdUrba),
+                filename: imageData.filename,
+                contentType: imageData.contentType,
+                blob,
+                size: blob.size,
+                timestamp: imageData.timestamp || Date.now()
+            });
+        } catch (error) {
+            console.error(`Image illisible, ignorée lors de la migration (${key}):`, error);
+        }
+        migratedKeys.push(key);
+    }
+
+    transaction.objectStore(STORES.meta).put(true, MIGRATION_FLAG);
+
+    await transactionDone(transaction);
+
+    // Libérer le localStorage une fois la migration validée
+    migratedKeys.forEach(key => localStorage.removeItem(key));
+
+    if (migratedKeys.length > 0) {
+        console.log(`Migration vers IndexedDB : ${migratedKeys.length} entrée(s) déplacée(s) depuis le localStorage`);
+    }
+}
@@ -0,0 +1,719 @@
+/**
+ * Module de comparaison structurelle de deux versions d'un règlement
+ *
+ * Les titres et les contenus sont appariés par identifiant (idTitre, idContenu),
+ * puis par similarité d'intitulé ou de texte lorsque l'identifiant a changé.
+ */
+
+import { extractBlocks } from './html-text.js';
+
+// Similarité minimale pour apparier deux éléments sans identifiant commun
+const SIMILARITY_THRESHOLD = 0.6;
+
+// Taille maximale de la table de comparaison mot à mot d'un paragraphe
+const MAX_DIFF_CELLS = 4000000;
+
+const DOCUMENT_FIELDS = [
+    { key: 'nom', label: 'Nom' },
+    { key: 'typeDoc', label: 'Type de document' },
+    { key: 'idUrba', label: 'idUrba' },
+    { key: 'idReglement', label: 'idReglement' },
+    { key: 'lien', label: 'Lien' },
+    { key: 'inseeCommune', label: 'Communes (INSEE)' },
+    { key: 'sirenEpci', label: 'SIREN EPCI' }
+];
+
+const TITRE_FIELDS = [
+    { key: 'intitule', label: 'Intitulé' },
+    { key: 'numero', label: 'Numéro' },
+    { key: 'niveau', label: 'Niveau' },
+    { key: 'idZone', label: 'Zones' },
+    { key: 'idPrescription', label: 'Prescriptions' },
+    { key: 'inseeCommune', label: 'Communes (INSEE)' }
+];
+
+const CONTENU_FIELDS = [
+    { key: 'idZone', label: 'Zones' },
+    { key: 'idPrescription', label: 'Prescriptions' }
+];
+
+/**
+ * Compare deux PLU
+ * @param {Object} before - PLU de référence (avant)
+ * @param {Object} after - PLU comparé (après)
+ * @returns {Object} - Rapport { summary, metadata, titres }
+ */
+export function comparePLU(before, after) {
+    if (!before || !after) {
+        throw new Error("Deux PLU sont nécessaires pour la comparaison");
+    }
+
+    const beforeEntries = flattenForDiff(before.titre || []);
+    const afterEntries = flattenForDiff(after.titre || []);
+
+    const { pairs, removed, added } = matchItems(
+        beforeEntries,
+        afterEntries,
+        entry => entry.titre.idTitre,
+        entry => entry.titre.intitule
+    );
+
+    const movedEntries = findMovedEntries(pairs);
+    const pairByAfter = new Map(pairs.map(pair => [pair.after, pair]));
+
+    const titres = [];
+
+    // Titres conservés ou ajoutés, dans l'ordre du PLU comparé
+    afterEntries.forEach(entry => {
+        const pair = pairByAfter.get(entry);
+        if (!pair) {
+            titres.push({
+                status: 'added',
+                moved: false,
+                after: describeEntry(entry),
+                changes: [],
+                contenus: (entry.titre.contenu || []).map(contenu => describeAddedContenu(contenu))
+            });
+            return;
+        }
+
+        const changes = compareFields(pair.before.titre, pair.after.titre, TITRE_FIELDS);
+        const contenus = compareContenus(pair.before.titre.contenu || [], pair.after.titre.contenu || []);
+        const modified = changes.length > 0 || contenus.some(contenu => contenu.status !== 'unchanged');
+
+        titres.push({
+            status: modified ? 'modified' : 'unchanged',
+            moved: movedEntries.has(pair.after),
+            matchedBy: pair.matchedBy,
+            before: describeEntry(pair.before),
+            after: describeEntry(pair.after),
+            changes,
+            contenus
+        });
+    });
+
+    removed.forEach(entry => {
+        titres.push({
+            status: 'removed',
+            moved: false,
+            before: describeEntry(entry),
+            changes: [],
+            contenus: (entry.titre.contenu || []).map(contenu => describeRemovedContenu(contenu))
+        });
+    });
+
+    return {
+        summary: {
+            added: titres.filter(titre => titre.status === 'added').length,
+            removed: titres.filter(titre => titre.status === 'removed').length,
+            moved: titres.filter(titre => titre.moved).length,
+            modified: titres.filter(titre => titre.status === 'modified').length
+        },
+        metadata: compareFields(before, after, DOCUMENT_FIELDS),
+        titres
+    };
+}
+
+/**
+ * Indique si un rapport ne contient aucune différence
+ * @param {Object} report - Rapport de comparePLU
+ * @returns {boolean}
+ */
+export function isIdenticalReport(report) {
+    const { added, removed, moved, modified } = report.summary;
+    return report.metadata.length === 0 && added + removed + moved + modified === 0;
+}
+
+/**
+ * Aplatit l'arbre des titres en conservant le parent et la position de chacun
+ */
+function flattenForDiff(titres, parent = null, parentPath = []) {
+    const flat = [];
+    titres.forEach((titre, position) => {
+        const path = [...parentPath, titre.intitule || 'Sans titre'];
+        const entry = { titre, parent, position, path };
+        flat.push(entry);
+        if (titre.titre && titre.titre.length > 0) {
+            flat.push(...flattenForDiff(titre.titre, entry, path));
+        }
+    });
+    return flat;
+}
+
+/**
+ * Résumé d'un titre pour le rapport
+ */
+function describeEntry(entry) {
+    return {
+        idTitre: entry.titre.idTitre,
+        intitule: entry.titre.intitule || 'Sans titre',
+        numero: entry.titre.numero || '',
+        path: entry.path
+    };
+}
+
+/**
+ * Apparie deux listes : d'abord par identifiant, puis par similarité de texte
+ * @param {Array} beforeItems - Éléments de référence
+ * @param {Array} afterItems - Éléments comparés
+ * @param {Function} getId - Identifiant d'un élément
+ * @param {Function} getText - Texte servant au rapprochement
+ * @returns {Object} - { pairs: [{ before, after, matchedBy }], removed, added }
+ */
+function matchItems(beforeItems, afterItems, getId, getText) {
+    const pairs = [];
+    const matchedBefore = new Set();
+    const matchedAfter = new Set();
+
+    const afterById = new Map();
+    afterItems.forEach(item => {
+        const id = getId(item);
+        if (id && !afterById.has(id)) {
+            afterById.set(id, item);
+        }
+    });
+
+    beforeItems.forEach(item => {
+        const match = afterById.get(getId(item));
+        if (match && !matchedAfter.has(match)) {
+            pairs.push({ before: item, after: match, matchedBy: 'id' });
+            matchedBefore.add(item);
+            matchedAfter.add(match);
+        }
+    });
+
+    // Rapprocher les éléments restants par similarité, les meilleurs scores d'abord
+    const candidates = [];
+    const remainingAfter = afterItems.filter(item => !matchedAfter.has(item));
+    beforeItems.filter(item => !matchedBefore.has(item)).forEach(beforeItem => {
+        const beforeWords = tokenizeWords(getText(beforeItem));
+        remainingAfter.forEach(afterItem => {
+            const score = similarity(beforeWords, tokenizeWords(getText(afterItem)));
+            if (score >= SIMILARITY_THRESHOLD) {
+                candidates.push({ before: beforeItem, after: afterItem, score });
+            }
+        });
+    });
+
+    candidates
+        .sort((a, b) => b.score - a.score)
+        .forEach(({ before, after }) => {
+            if (matchedBefore.has(before) || matchedAfter.has(after)) return;
+            pairs.push({ before, after, matchedBy: 'similarity' });
+            matchedBefore.add(before);
+            matchedAfter.add(after);
+        });
+
+    return {
+        pairs,
+        removed: beforeItems.filter(item => !matchedBefore.has(item)),
+        added: afterItems.filter(item => !matchedAfter.has(item))
+    };
+}
+
+/**
+ * Mots normalisés d'un texte (minuscules, sans accents)
+ */
+function tokenizeWords(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word);
+}
+
+/**
+ * Coefficient de Dice entre deux listes de mots (0 à 1)
+ */
+function similarity(wordsA, wordsB) {
+    if (wordsA.length === 0 && wordsB.length === 0) {
+        return 0;
+    }
+
+    const setB = new Set(wordsB);
+    const setA = new Set(wordsA);
+    const common = [...setA].filter(word => setB.has(word)).length;
+    return (2 * common) / (setA.size + setB.size);
+}
+
+/**
+ * Titres déplacés : parent différent, ou ordre modifié parmi les frères
+ * @param {Array} pairs - Titres appariés
+ * @returns {Set} - Entrées (après) des titres déplacés
+ */
+function findMovedEntries(pairs) {
+    const moved = new Set();
+    const afterByBefore = new Map(pairs.map(pair => [pair.before, pair.after]));
+    const siblingGroups = new Map();
+
+    pairs.forEach(pair => {
+        const expectedParent = pair.before.parent ? afterByBefore.get(pair.before.parent) : null;
+        if (expectedParent !== pair.after.parent) {
+            moved.add(pair.after);
+            return;
+        }
+
+        if (!siblingGroups.has(pair.after.parent)) {
+            siblingGroups.set(pair.after.parent, []);
+        }
+        siblingGroups.get(pair.after.parent).push(pair);
+    });
+
+    // Parmi les frères restés sous le même parent, seuls ceux qui sortent
+    // de la plus longue suite ordonnée ont été déplacés
+    siblingGroups.forEach(group => {
+        group.sort((a, b) => a.after.position - b.after.position);
+        const kept = longestIncreasingSubsequence(group.map(pair => pair.before.position));
+        group.forEach((pair, index) => {
+            if (!kept.has(index)) {
+                moved.add(pair.after);
+            }
+        });
+    });
+
+    return moved;
+}
+
+/**
+ * Indices de la plus longue sous-suite strictement croissante
+ * @param {Array<number>} values - Valeurs
+ * @returns {Set<number>} - Indices retenus
+ */
+function longestIncreasingSubsequence(values) {
+    const lengths = values.map(() => 1);
+    const previous = values.map(() => -1);
+
+    for (let i = 0; i < values.length; i++) {
+        for (let j = 0; j < i; j++) {
+            if (values[j] < values[i] && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                previous[i] = j;
+            }
+        }
+    }
+
+    const kept = new Set();
+    let index = lengths.indexOf(Math.max(0, ...lengths));
+    while (index !== -1) {
+        kept.add(index);
+        index = previous[index];
+    }
+    return kept;
+}
+
+/**
+ * Compare les champs indiqués de deux objets
+ * Les listes (zones, prescriptions, INSEE) sont comparées sans tenir compte de l'ordre
+ * @returns {Array} - [{ key, label, before, after, addedValues?, removedValues? }]
+ */
+function compareFields(before, after, fields) {
+    const changes = [];
+
+    fields.forEach(({ key, label }) => {
+        const beforeValue = before[key];
+        const afterValue = after[key];
+
+        if (Array.isArray(beforeValue) || Array.isArray(afterValue)) {
+            const beforeList = beforeValue || [];
+            const afterList = afterValue || [];
+            const addedValues = afterList.filter(value => !beforeList.includes(value));
+            const removedValues = beforeList.filter(value => !afterList.includes(value));
+            if (addedValues.length > 0 || removedValues.length > 0) {
+                changes.push({ key, label, before: beforeList, after: afterList, addedValues, removedValues });
+            }
+            return;
+        }
+
+        if ((beforeValue ?? '') !== (afterValue ?? '')) {
+            changes.push({ key, label, before: beforeValue ?? '', after: afterValue ?? '' });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Compare les contenus de deux titres appariés
+ */
+function compareContenus(beforeContenus, afterContenus) {
+    const { pairs, removed, added } = matchItems(
+        beforeContenus,
+        afterContenus,
+        contenu => contenu.idContenu,
+        contenu => extractBlocks(contenu.html || []).join(' ')
+    );
+
+    const pairByAfter = new Map(pairs.map(pair => [pair.after, pair]));
+    const contenus = [];
+
+    afterContenus.forEach(contenu => {
+        const pair = pairByAfter.get(contenu);
+        if (!pair) {
+            contenus.push(describeAddedContenu(contenu));
+            return;
+        }
+
+        const changes = compareFields(pair.before, pair.after, CONTENU_FIELDS);
+        const blocks = diffBlocks(extractBlocks(pair.before.html || []), extractBlocks(pair.after.html || []));
+        const textChanged = blocks.some(block => block.some(op => op.type !== 'equal'));
+        if (pair.before.idContenu !== pair.after.idContenu) {
+            changes.unshift({ key: 'idContenu', label: 'Identifiant', before: pair.before.idContenu, after: pair.after.idContenu });
+        }
+
+        contenus.push({
+            status: changes.length > 0 || textChanged ? 'modified' : 'unchanged',
+            matchedBy: pair.matchedBy,
+            idContenu: contenu.idContenu,
+            changes,
+            blocks
+        });
+    });
+
+    removed.forEach(contenu => contenus.push(describeRemovedContenu(contenu)));
+
+    return contenus;
+}
+
+/**
+ * Contenu ajouté : tout son texte est une insertion
+ */
+function describeAddedContenu(contenu) {
+    return {
+        status: 'added',
+        idContenu: contenu.idContenu,
+        changes: [],
+        blocks: extractBlocks(contenu.html || []).map(text => [{ type: 'insert', text }])
+    };
+}
+
+/**
+ * Contenu supprimé : tout son texte est une suppression
+ */
+function describeRemovedContenu(contenu) {
+    return {
+        status: 'removed',
+        idContenu: contenu.idContenu,
+        changes: [],
+        blocks: extractBlocks(contenu.html || []).map(text => [{ type: 'delete', text }])
+    };
+}
+
+/**
+ * Compare deux listes de blocs de texte
+ * Les blocs identiques servent de repères ; les blocs modifiés entre deux
+ * repères sont comparés mot à mot
+ * @param {Array<string>} beforeBlocks - Blocs de référence
+ * @param {Array<string>} afterBlocks - Blocs comparés
+ * @returns {Array<Array>} - Un tableau d'opérations { type, text } par bloc
+ */
+export function diffBlocks(beforeBlocks, afterBlocks) {
+    const blocks = [];
+    let deleted = [];
+    let inserted = [];
+
+    const flushChanges = () => {
+        const count = Math.max(deleted.length, inserted.length);
+        for (let i = 0; i < count; i++) {
+            if (i < deleted.length && i < inserted.length) {
+                blocks.push(diffWords(deleted[i], inserted[i]));
+            } else if (i < deleted.length) {
+                blocks.push([{ type: 'delete', text: deleted[i] }]);
+            } else {
+                blocks.push([{ type: 'insert', text: inserted[i] }]);
+            }
+        }
+        deleted = [];
+        inserted = [];
+    };
+
+    diffSequences(beforeBlocks, afterBlocks, (a, b) => a === b).forEach(op => {
+        if (op.type === 'equal') {
+            flushChanges();
+            blocks.push([{ type: 'equal', text: op.value }]);
+        } else if (op.type === 'delete') {
+            deleted.push(op.value);
+        } else {
+            inserted.push(op.value);
+        }
+    });
+    flushChanges();
+
+    return blocks;
+}
+
+/**
+ * Compare deux textes mot à mot
+ * @param {string} beforeText - Texte de référence
+ * @param {string} afterText - Texte comparé
+ * @returns {Array} - Opérations { type: 'equal'|'delete'|'insert', text }
+ */
+export function diffWords(beforeText, afterText) {
+    const beforeTokens = beforeText.match(/\S+\s*/g) || [];
+    const afterTokens = afterText.match(/\S+\s*/g) || [];
+
+    const ops = diffSequences(beforeTokens, afterTokens, (a, b) => a.trim() === b.trim());
+
+    // Regrouper les opérations consécutives de même type
+    const merged = [];
+    ops.forEach(op => {
+        const last = merged[merged.length - 1];
+        if (last && last.type === op.type) {
+            last.text += op.value;
+        } else {
+            merged.push({ type: op.type, text: op.value });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Plus longue sous-suite commune de deux séquences, en opérations d'édition
+ * Au-delà de MAX_DIFF_CELLS, la partie centrale est traitée comme remplacée
+ * @returns {Array} - Opérations { type: 'equal'|'delete'|'insert', value }
+ */
+function diffSequences(before, after, isEqual) {
+    // Écarter le début et la fin communs
+    let start = 0;
+    while (start < before.length && start < after.length && isEqual(before[start], after[start])) {
+        start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && isEqual(before[endBefore - 1], after[endAfter - 1])) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const ops = before.slice(0, start).map(value => ({ type: 'equal', value }));
+    const middleBefore = before.slice(start, endBefore);
+    const middleAfter = after.slice(start, endAfter);
+    const rows = middleBefore.length;
+    const cols = middleAfter.length;
+
+    if ((rows + 1) * (cols + 1) > MAX_DIFF_CELLS) {
+        middleBefore.forEach(value => ops.push({ type: 'delete', value }));
+        middleAfter.forEach(value => ops.push({ type: 'insert', value }));
+    } else {
+        // lengths[i][j] = longueur de la sous-suite commune de middleBefore[i..] et middleAfter[j..]
+        const lengths = new Uint32Array((rows + 1) * (cols + 1));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i * (cols + 1) + j] = isEqual(middleBefore[i], middleAfter[j])
+                    ? lengths[(i + 1) * (cols + 1) + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * (cols + 1) + j], lengths[i * (cols + 1) + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < cols) {
+            if (isEqual(middleBefore[i], middleAfter[j])) {
+                ops.push({ type: 'equal', value: middleAfter[j] });
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * (cols + 1) + j] >= lengths[i * (cols + 1) + j + 1]) {
+                ops.push({ type: 'delete', value: middleBefore[i] });
+                i++;
+            } else {
+                ops.push({ type: 'insert', value: middleAfter[j] });
+                j++;
+            }
+        }
+        middleBefore.slice(i).forEach(value => ops.push({ type: 'delete', value }));
+        middleAfter.slice(j).forEach(value => ops.push({ type: 'insert', value }));
+    }
+
+    after.slice(endAfter).forEach(value => ops.push({ type: 'equal', value }));
+    return ops;
+}
+
+/**
+ * Échappe le texte pour l'insérer dans du HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Valeur d'un champ pour l'affichage
+ */
+function formatValue(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.join(', ') : '(aucune)';
+    }
+    return value === '' ? '(vide)' : String(value);
+}
+
+/**
+ * Liste HTML des changements de champs
+ */
+function renderFieldChanges(changes) {
+    if (changes.length === 0) return '';
+
+    const items = changes.map(change => {
+        if (change.addedValues) {
+            const parts = [
+                ...change.addedValues.map(value => `<ins class="diff-ins">+ ${escapeHtml(value)}</ins>`),
+                ...change.removedValues.map(value => `<del class="diff-del">− ${escapeHtml(value)}</del>`)
+            ];
+            return `<li><strong>${escapeHtml(change.label)}</strong> : ${parts.join(' ')}</li>`;
+        }
+        return `<li><strong>${escapeHtml(change.label)}</strong> : ` +
+            `<del class="diff-del">${escapeHtml(formatValue(change.before))}</del> → ` +
+            `<ins class="diff-ins">${escapeHtml(formatValue(change.after))}</ins></li>`;
+    });
+
+    return `<ul class="diff-fields">${items.join('')}</ul>`;
+}
+
+/**
+ * HTML des blocs de texte modifiés d'un contenu (les blocs inchangés sont résumés)
+ */
+function renderBlocks(blocks) {
+    const parts = [];
+    let unchanged = 0;
+
+    const flushUnchanged = () => {
+        if (unchanged > 0) {
+            parts.push(`<p class="diff-unchanged">… ${unchanged} paragraphe(s) inchangé(s)</p>`);
+            unchanged = 0;
+        }
+    };
+
+    blocks.forEach(ops => {
+        if (ops.every(op => op.type === 'equal')) {
+            unchanged++;
+            return;
+        }
+        flushUnchanged();
+        const html = ops.map(op => {
+            if (op.type === 'insert') return `<ins class="diff-ins">${escapeHtml(op.text)}</ins>`;
+            if (op.type === 'delete') return `<del class="diff-del">${escapeHtml(op.text)}</del>`;
+            return escapeHtml(op.text);
+        }).join('');
+        parts.push(`<p class="diff-text">${html}</p>`);
+    });
+    flushUnchanged();
+
+    return parts.join('');
+}
+
+/**
+ * HTML d'un titre du rapport
+ */
+function renderTitre(titre) {
+    const entry = titre.after || titre.before;
+    const badges = [];
+
+    if (titre.status === 'added') badges.push('<span class="diff-badge diff-badge-added">Ajouté</span>');
+    if (titre.status === 'removed') badges.push('<span class="diff-badge diff-badge-removed">Supprimé</span>');
+    if (titre.status === 'modified') badges.push('<span class="diff-badge diff-badge-modified">Modifié</span>');
+    if (titre.moved) badges.push('<span class="diff-badge diff-badge-moved">Déplacé</span>');
+
+    let html = `<div class="diff-titre diff-titre-${titre.status}">`;
+    html += `<h4>${escapeHtml(entry.path.join(' › '))} ${badges.join(' ')}</h4>`;
+
+    if (titre.moved) {
+        html += `<p class="diff-note">Ancien emplacement : ${escapeHtml(titre.before.path.join(' › '))}</p>`;
+    }
+    if (titre.matchedBy === 'similarity') {
+        html += `<p class="diff-note">Rapproché par similarité de l'intitulé (identifiant ${escapeHtml(titre.before.idTitre)} → ${escapeHtml(titre.after.idTitre)})</p>`;
+    }
+
+    html += renderFieldChanges(titre.changes);
+
+    titre.contenus
+        .filter(contenu => contenu.status !== 'unchanged')
+        .forEach(contenu => {
+            const label = { added: 'ajouté', removed: 'supprimé', modified: 'modifié' }[contenu.status];
+            html += `<div class="diff-contenu diff-contenu-${contenu.status}">`;
+            html += `<p class="diff-contenu-title">Contenu ${label} <code>${escapeHtml(contenu.idContenu)}</code></p>`;
+            html += renderFieldChanges(contenu.changes);
+            html += renderBlocks(contenu.blocks);
+            html += '</div>';
+        });
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Rend le rapport de comparaison en HTML
+ * @param {Object} report - Rapport de comparePLU
+ * @param {Object} labels - { beforeLabel, afterLabel }
+ * @returns {string} - Fragment HTML
+ */
+export function renderDiffReport(report, { beforeLabel, afterLabel }) {
+    const { added, removed, moved, modified } = report.summary;
+
+    let html = `<p class="diff-sources"><del class="diff-del">${escapeHtml(beforeLabel)}</del> → <ins class="diff-ins">${escapeHtml(afterLabel)}</ins></p>`;
+
+    if (isIdenticalReport(report)) {
+        return html + '<p class="diff-identical">Aucune différence entre les deux documents.</p>';
+    }
+
+    html += `<p class="diff-summary">${added} titre(s) ajouté(s), ${removed} supprimé(s), ${moved} déplacé(s), ${modified} modifié(s)</p>`;
+
+    if (report.metadata.length > 0) {
+        html += '<h3>Métadonnées du document</h3>';
+        html += renderFieldChanges(report.metadata);
+    }
+
+    const sections = [
+        { title: 'Titres ajoutés', titres: report.titres.filter(titre => titre.status === 'added') },
+        { title: 'Titres supprimés', titres: report.titres.filter(titre => titre.status === 'removed') },
+        { title: 'Titres déplacés', titres: report.titres.filter(titre => titre.moved && titre.status === 'unchanged') },
+        { title: 'Titres modifiés', titres: report.titres.filter(titre => titre.status === 'modified') }
+    ];
+
+    sections
+        .filter(section => section.titres.length > 0)
+        .forEach(section => {
+            html += `<h3>${section.title} (${section.titres.length})</h3>`;
+            html += section.titres.map(renderTitre).join('');
+        });
+
+    return html;
+}
+
+/**
+ * Construit un rapport HTML autonome, lisible hors de l'éditeur
+ * @param {Object} report - Rapport de comparePLU
+ * @param {Object} labels - { beforeLabel, afterLabel }
+ * @returns {string} - Document HTML complet
+ */
+export function buildDiffReportDocument(report, labels) {
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="UTF-8">
+<title>Comparaison de règlements</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 960px; margin: 30px auto; padding: 0 20px; color: #2c3e50; line-height: 1.5; }
+h3 { border-bottom: 2px solid #e1e8ed; padding-bottom: 5px; margin-top: 30px; }
+h4 { margin: 0 0 8px; }
+.diff-ins { background: #d4f4dd; color: #1e7b34; text-decoration: none; }
+.diff-del { background: #fde2e1; color: #b03a2e; }
+.diff-titre { border: 1px solid #e1e8ed; border-radius: 6px; padding: 12px; margin: 10px 0; }
+.diff-contenu { border-left: 3px solid #e1e8ed; padding-left: 10px; margin: 10px 0; }
+.diff-contenu-title { font-weight: 600; margin: 0 0 5px; }
+.diff-note, .diff-unchanged { color: #7f8c8d; font-size: 13px; }
+.diff-badge { display: inline-block; font-size: 11px; font-weight: normal; padding: 2px 6px; border-radius: 3px; color: white; }
+.diff-badge-added { background: #27ae60; }
+.diff-badge-removed { background: #e74c3c; }
+.diff-badge-modified { background: #3498db; }
+.diff-badge-moved { background: #f39c12; }
+</style>
+</head>
+<body>
+<h1>Comparaison de règlements</h1>
+<p class="diff-note">Rapport généré le ${escapeHtml(new Date().toLocaleString('fr-FR'))}</p>
+${renderDiffReport(report, labels)}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Module de l'espace de travail : documents PLU stockés localement (IndexedDB)
+ *
+ * Chaque document a son identifiant, sa sauvegarde automatique et ses images.
+ */
+
+import { STORES, dbGet, dbPut, dbGetAll, dbTransaction } from './db.js';
+import { deleteDocumentVersions } from './versions.js';
+
+/**
+ * Génère un identifiant de document
+ * @returns {string}
+ */
+export function createDocumentId() {
+    return `doc-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Enregistre les données d'un document
+ * @param {string} documentId - ID du document
+ * @param {Object} pluData - Données du PLU
+ * @param {Object|null} session - Session d'édition en cours { draft, history }, rouverte à la récupération
+ * @returns {Promise<Object>} - Enregistrement sauvegardé
+ */
+export async function saveDocument(documentId, pluData, session = null) {
+    const record = {
+        id: documentId,
+        version: 1,
+        timestamp: Date.now(),
+        dateFormatted: new Date().toLocaleString('fr-FR'),
+        pluData,
+        session
+    };
+
+    await dbPut(STORES.documents, record);
+    return record;
+}
+
+/**
+ * Récupère un document
+ * @param {string} documentId - ID du document
+ * @returns {Promise<Object|null>} - Enregistrement ou null
+ */
+export async function getDocument(documentId) {
+    const record = await dbGet(STORES.documents, documentId);
+
+    // Vérifier la structure
+    if (!record || !record.pluData || !record.timestamp) {
+        return null;
+    }
+
+    return record;
+}
+
+/**
+ * Liste les documents de l'espace de travail, du plus récent au plus ancien
+ * @returns {Promise<Array>} - Liste de { id, nom, idUrba, typeDoc, timestamp, dateFormatted }
+ */
+export async function listDocuments() {
+    const records = await dbGetAll(STORES.documents);
+
+    return records
+        .filter(record => record.pluData && record.timestamp)
+        .map(record => ({
+            id: record.id,
+            nom: record.pluData.nom || 'Document sans nom',
+            idUrba: record.pluData.idUrba || '',
+            typeDoc: record.pluData.typeDoc || '',
+            timestamp: record.timestamp,
+            dateFormatted: record.dateFormatted
+        }))
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Récupère le dernier document modifié
+ * @returns {Promise<Object|null>} - Enregistrement ou null
+ */
+export async function getLatestDocument() {
+    const [latest] = await listDocuments();
+    return latest ? getDocument(latest.id) : null;
+}
+
+/**
+ * Renomme un document (nom du règlement)
+ * @param {string} documentId - ID du document
+ * @param {string} nom - Nouveau nom
+ */
+export async function renameDocument(documentId, nom) {
+    const record = await getDocument(documentId);
+    if (!record) {
+        throw new Error("Document introuvable");
+    }
+
+    await saveDocument(documentId, { ...record.pluData, nom }, record.session);
+}
+
+/**
+ * Duplique un document et ses images
+ * @param {string} documentId - ID du document à dupliquer
+ * @returns {Promise<string>} - ID de la copie
+ */
+export async function duplicateDocument(documentId) {
+    const record = await getDocument(documentId);
+    if (!record) {
+        throw new Error("Document introuvable");
+    }
+
+    const copyId = createDocumentId();
+    const timestamp = Date.now();
+
+    await dbTransaction([STORES.documents, STORES.images], ({ documents, images }) => {
+        documents.put({
+            ...record,
+            id: copyId,
+            timestamp,
+            dateFormatted: new Date(timestamp).toLocaleString('fr-FR'),
+            pluData: { ...record.pluData, nom: `${record.pluData.nom || 'Document sans nom'} (copie)` },
+            // La copie repart sans brouillon ni historique
+            session: null
+        });
+
+        const request = images.index('documentId').getAll(documentId);
+        request.onsuccess = () => {
+            request.result.forEach(image => images.put({ ...image, documentId: copyId }));
+        };
+    });
+
+    return copyId;
+}
+
+/**
+ * Supprime un document, ses images et ses versions
+ * @param {string} documentId - ID du document
+ */
+export async function deleteDocument(documentId) {
+    await dbTransaction([STORES.documents, STORES.images, STORES.versions], ({ documents, images, versions }) => {
+        documents.delete(documentId);
+        deleteDocumentVersions(versions, documentId);
+
+        const request = images.index('documentId').getAllKeys(documentId);
+        request.onsuccess = () => {
+            request.result.forEach(key => images.delete(key));
+        };
+    });
+}
@@ -0,0 +1,399 @@
+/**
+ * Module de conversion du HTML produit par mammoth (DOCX) en structure PLU
+ */
+
+import { buildTitreId, buildContenuId } from './ids.js';
+
+/**
+ * Parse le contenu HTML du DOCX (sortie de mammoth) en structure PLU
+ * @param {string} html - HTML produit par mammoth
+ * @returns {Object} - Données du PLU
+ */
+export function parseDOCXHTML(html) {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = html;
+    
+    // Extraire les métadonnées du début
+    const metadata = {};
+    const nodes = Array.from(tempDiv.childNodes);
+    let contentStartIndex = 0;
+    
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if (node.nodeType === 1) {
+            const text = node.textContent.trim();
+            if (text.startsWith('#')) {
+                const match = text.match(/^#(\w+)\s+(.+)$/);
+                if (match) {
+                    metadata[match[1]] = match[2].trim();
+                    contentStartIndex = i + 1;
+                }
+            } else if (text) {
+                break;
+            }
+        }
+    }
+
+    // Validation préliminaire : vérifier si #nom existe (indicateur que le template est suivi)
+    if (!metadata.nom) {
+        throw new Error("Le docx ne respecte pas le modèle pour pouvoir être importé");
+    }
+
+    // Valider les autres métadonnées critiques
+    if (!metadata.idUrba) {
+        throw new Error("Le docx ne respecte pas le modèle pour pouvoir être importé");
+    }
+    if (!metadata.typeDoc) {
+        throw new Error("Le docx ne respecte pas le modèle pour pouvoir être importé");
+    }
+
+    // Parser les codes INSEE (optionnel - peut être ajouté via l'éditeur de métadonnées)
+    let inseeCommune = metadata.inseeCommune
+        ? metadata.inseeCommune.split(',').map(s => s.trim()).filter(s => s)
+        : [];
+
+    // Si aucun code INSEE n'est fourni, utiliser un placeholder que l'utilisateur devra modifier
+    if (inseeCommune.length === 0) {
+        inseeCommune = ["00000"]; // Placeholder à remplacer via l'éditeur de métadonnées
+    }
+
+    // Créer la structure PLU
+    const pluData = {
+        idReglement: metadata.idReglement || `${metadata.idUrba}/reglement`,
+        nom: metadata.nom,
+        typeDoc: metadata.typeDoc,
+        lien: metadata.lien || "https://www.geoportail-urbanisme.gouv.fr/",
+        idUrba: metadata.idUrba,
+        inseeCommune: inseeCommune,
+        titre: []
+    };
+
+    if (metadata.sirenEpci) {
+        pluData.sirenEpci = metadata.sirenEpci;
+    }
+
+    // Parser le contenu depuis le HTML
+    const contentNodes = nodes.slice(contentStartIndex);
+    parseTitlesFromHTMLNodes(contentNodes, pluData.titre, pluData, 1, pluData.idReglement);
+
+    return pluData;
+}
+
+/**
+ * Parse les titres depuis les nœuds HTML
+ * (parentId : idTitre du titre parent, ou idReglement pour les titres racine)
+ */
+function parseTitlesFromHTMLNodes(nodes, targetArray, pluDataRef, currentLevel, parentId) {
+    let i = 0;
+    
+    while (i < nodes.length) {
+        const node = nodes[i];
+        
+        if (node.nodeType !== 1) {
+            i++;
+            continue;
+        }
+        
+        const tagName = node.tagName.toLowerCase();
+        
+        // Détecter le niveau de titre
+        let headingLevel = 0;
+        let headingText = '';
+        
+        if (tagName.match(/^h[1-6]$/)) {
+            headingLevel = parseInt(tagName.substring(1));
+            headingText = node.textContent.trim();
+        }
+
+        if (headingLevel > 0) {
+            if (headingLevel === currentLevel) {
+                // Collecter TOUT le contenu jusqu'au prochain titre du même niveau ou supérieur
+                const allContentNodes = [];
+                let j = i + 1;
+                
+                while (j < nodes.length) {
+                    const nextNode = nodes[j];
+                    if (nextNode.nodeType === 1) {
+                        const nextTag = nextNode.tagName.toLowerCase();
+                        const nextLevel = nextTag.match(/^h([1-6])$/) ? parseInt(nextTag.substring(1)) : 0;
+                        
+                        if (nextLevel > 0 && nextLevel <= currentLevel) {
+                            break;
+                        }
+                    }
+                    
+                    allContentNodes.push(nextNode);
+                    j++;
+                }
+
+                // Créer le titre
+                const titleId = buildTitreId(parentId, headingText, targetArray.map(titre => titre.idTitre));
+                const newTitle = {
+                    idTitre: titleId,
+                    intitule: headingText,
+                    niveau: headingLevel,
+                    numero: "",
+                    idZone: ["porteeGenerale"],
+                    idPrescription: ["nonConcerne"],
+                    inseeCommune: pluDataRef.inseeCommune,
+                    contenu: [],
+                    titre: []
+                };
+
+                // Trouver le premier niveau de sous-titre (si présent)
+                let firstSubLevel = 7;
+                for (const cNode of allContentNodes) {
+                    if (cNode.nodeType === 1) {
+                        const cTag = cNode.tagName.toLowerCase();
+                        const cLevel = cTag.match(/^h([1-6])$/) ? parseInt(cTag.substring(1)) : 0;
+                        
+                        if (cLevel > currentLevel && cLevel < firstSubLevel) {
+                            firstSubLevel = cLevel;
+                        }
+                    }
+                }
+
+                // Séparer le contenu DIRECT des sous-sections
+                const directContentNodes = [];
+                const subSectionNodes = [];
+                let inSubSection = false;
+                
+                for (const cNode of allContentNodes) {
+                    if (cNode.nodeType === 1) {
+                        const cTag = cNode.tagName.toLowerCase();
+                        const cLevel = cTag.match(/^h([1-6])$/) ? parseInt(cTag.substring(1)) : 0;
+                        
+                        if (cLevel === firstSubLevel && !inSubSection) {
+                            inSubSection = true;
+                        }
+                        
+                        if (inSubSection) {
+                            subSectionNodes.push(cNode);
+                        } else {
+                            directContentNodes.push(cNode);
+                        }
+                    } else {
+                        if (inSubSection) {
+                            subSectionNodes.push(cNode);
+                        } else {
+                            directContentNodes.push(cNode);
+                        }
+                    }
+                }
+
+                // Parser le contenu direct
+                if (directContentNodes.length > 0) {
+                    parseContentFromHTMLNodes(directContentNodes, newTitle, titleId, headingLevel);
+                }
+
+                // Parser les sous-sections récursivement
+                if (subSectionNodes.length > 0 && firstSubLevel < 7) {
+                    parseTitlesFromHTMLNodes(subSectionNodes, newTitle.titre, pluDataRef, firstSubLevel, titleId);
+                }
+
+                targetArray.push(newTitle);
+                i = j;
+            } else if (headingLevel < currentLevel) {
+                return;
+            } else {
+                i++;
+            }
+        } else {
+            i++;
+        }
+    }
+}
+
+/**
+ * Parse le contenu depuis les noeuds HTML
+ */
+function parseContentFromHTMLNodes(nodes, title, titleId, titleLevel) {
+    const htmlArray = [];
+
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        
+        if (node.nodeType !== 1) continue;
+        
+        const tagName = node.tagName.toLowerCase();
+        
+        // Ignorer les sous-titres
+        if (tagName.match(/^h([1-6])$/)) {
+            const level = parseInt(tagName.substring(1));
+            if (level > titleLevel) continue;
+        }
+        
+        // Convertir le noeud en objet HTML (une balise inconnue peut donner plusieurs noeuds)
+        const htmlObj = convertNodeToHtmlObject(node);
+        const items = Array.isArray(htmlObj) ? htmlObj : [htmlObj];
+        items.forEach(item => {
+            if (item && (typeof item !== 'string' || item.trim() !== '')) {
+                htmlArray.push(typeof item === 'string' ? item.trim() : item);
+            }
+        });
+    }
+
+    // Créer le contenu à partir du HTML collecté
+    if (htmlArray.length > 0) {
+        const contentId = buildContenuId(titleId, title.contenu.length);
+        
+        title.contenu.push({
+            idContenu: contentId,
+            idZone: title.idZone,
+            idPrescription: title.idPrescription,
+            html: htmlArray
+        });
+    }
+}
+
+/**
+ * Balises de niveau bloc du DOCX et leur équivalent dans le schéma
+ */
+const DOCX_BLOCK_TAGS = {
+    'div': 'p',
+    'p': 'p',
+    'ul': 'ul',
+    'ol': 'ol',
+    'li': 'li',
+    'table': 'table',
+    'thead': 'thead',
+    'tbody': 'tbody',
+    'tr': 'tr',
+    'td': 'td',
+    'th': 'th'
+};
+
+/**
+ * Balises de formatage inline du DOCX et leur équivalent dans le schéma
+ * (le schéma n'autorise pas <u> : le soulignement devient un span stylé)
+ */
+const DOCX_INLINE_TAGS = {
+    'strong': { tag: 'strong' },
+    'b': { tag: 'strong' },
+    'em': { tag: 'em' },
+    'i': { tag: 'em' },
+    'u': { tag: 'span', attrs: { style: 'text-decoration: underline' } },
+    'a': { tag: 'a' }
+};
+
+/**
+ * Convertit un noeud DOM en objet HTML (HtmlNode du schéma)
+ * @returns {Object|string|Array|null} - Noeud, texte, liste de noeuds (balise déballée) ou null
+ */
+function convertNodeToHtmlObject(node) {
+    if (node.nodeType === 3) {
+        return node.textContent.replace(/[ \t\r\n]+/g, ' ');
+    }
+
+    if (node.nodeType !== 1) return null;
+
+    const tagName = node.tagName.toLowerCase();
+
+    if (tagName === 'img') {
+        return {
+            tag: 'img',
+            attrs: {
+                src: node.getAttribute('src') || '',
+                alt: node.getAttribute('alt') || ''
+            }
+        };
+    }
+
+    if (tagName === 'br') {
+        return { tag: 'br' };
+    }
+
+    if (DOCX_BLOCK_TAGS[tagName]) {
+        return buildHtmlObject({ tag: DOCX_BLOCK_TAGS[tagName] }, convertChildNodes(node), true);
+    }
+
+    if (DOCX_INLINE_TAGS[tagName]) {
+        const mapping = DOCX_INLINE_TAGS[tagName];
+        const obj = { tag: mapping.tag };
+
+        if (mapping.attrs) {
+            obj.attrs = { ...mapping.attrs };
+        }
+
+        if (tagName === 'a') {
+            const href = node.getAttribute('href') || '';
+            // Signets et notes internes au DOCX (#_Toc...) : pas une URI, garder seulement le texte
+            if (!/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+                return convertChildNodes(node);
+            }
+            obj.attrs = { href };
+        }
+
+        return buildHtmlObject(obj, convertChildNodes(node), false);
+    }
+
+    // Balise inconnue (span, sup, sub...) : conserver son contenu
+    return convertChildNodes(node);
+}
+
+/**
+ * Convertit les enfants d'un noeud DOM en liste aplatie de noeuds et de textes
+ */
+function convertChildNodes(node) {
+    const children = [];
+
+    for (const child of Array.from(node.childNodes)) {
+        const converted = convertNodeToHtmlObject(child);
+        const items = Array.isArray(converted) ? converted : [converted];
+
+        for (const item of items) {
+            if (item === null || item === '') continue;
+
+            // Fusionner les textes adjacents
+            if (typeof item === 'string' && typeof children[children.length - 1] === 'string') {
+                children[children.length - 1] += item;
+            } else {
+                children.push(item);
+            }
+        }
+    }
+
+    return children;
+}
+
+/**
+ * Complète un HtmlNode avec son texte ou ses enfants selon le schéma (text XOR children)
+ */
+function buildHtmlObject(obj, children, isBlock) {
+    const hasBlockChild = children.some(child =>
+        typeof child === 'object' && DOCX_BLOCK_TAGS[child.tag]
+    );
+
+    let items = children;
+
+    if (isBlock) {
+        // Les blancs entre blocs n'ont pas de sens, ceux en bord de bloc non plus
+        if (hasBlockChild) {
+            items = items.filter(child => typeof child !== 'string' || child.trim() !== '');
+        }
+        items = items.map((child, index) => {
+            if (typeof child !== 'string') return child;
+            let text = child;
+            if (index === 0) text = text.trimStart();
+            if (index === items.length - 1) text = text.trimEnd();
+            return text;
+        }).filter(child => child !== '');
+    }
+
+    if (items.length === 0) {
+        // Une cellule vide doit être conservée pour ne pas décaler le tableau
+        if (obj.tag === 'td' || obj.tag === 'th') {
+            obj.text = '';
+            return obj;
+        }
+        return null;
+    }
+
+    if (items.every(child => typeof child === 'string')) {
+        obj.text = items.join('');
+    } else {
+        obj.children = items;
+    }
+
+    return obj;
+}
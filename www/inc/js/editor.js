@@ -5,9 +5,10 @@
 import { state, setCurrentTitre, setCurrentContenu } from './state.js';
 import { showToast, toggleDisplay, scrollToTop } from './ui.js';
 import { tiptapToHtmlArray, htmlArrayToTipTap, splitTipTapBySeparator } from './converters.js';
-import { renderTree } from './tree.js';
+import { renderTree, revealTitre } from './tree.js';
 import { initializeTipTapIfNeeded } from './main.js';
 import { captureState } from './history.js';
+import { buildContenuId, renumberContenus } from './ids.js';
 
 /**
  * Rend les checkboxes pour les codes INSEE
@@ -68,10 +69,11 @@ export function selectTitre(flatIndex) {
     setCurrentContenu(null);
 
     // Mettre à jour l'état actif
+    // (les titres repliés ne sont pas rendus : retrouver l'élément par son index aplati)
     document.querySelectorAll('.tree-item').forEach(item => item.classList.remove('active'));
-    const treeItems = document.querySelectorAll('.tree-item');
-    if (treeItems[flatIndex]) {
-        treeItems[flatIndex].classList.add('active');
+    const treeItem = document.querySelector(`.tree-item[data-index="${flatIndex}"]`);
+    if (treeItem) {
+        treeItem.classList.add('active');
     }
 
     // Afficher l'en-tête de l'éditeur
@@ -191,6 +193,19 @@ export function renderContentList() {
     setupContentDragAndDrop();
 }
 
+/**
+ * Met en évidence un contenu dans la liste (navigation depuis un rapport)
+ * @param {number} index - Index du contenu dans le titre courant
+ */
+export function highlightContenu(index) {
+    const item = document.querySelector(`.content-item[data-content-index="${index}"]`);
+    if (!item) return;
+
+    document.querySelectorAll('.content-item.highlighted').forEach(el => el.classList.remove('highlighted'));
+    item.classList.add('highlighted');
+    item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
 /**
  * Configure le drag and drop pour les contenus
  */
@@ -346,6 +361,59 @@ export function editContent(index) {
     showToast("Contenu chargé dans l'éditeur");
 }
 
+/**
+ * Saisie en cours dans l'éditeur, pour la sauvegarde automatique
+ * @returns {Object|null} - { idTitre, contenuIndex, content, zone, prescription } ou null
+ *   (contenuIndex vaut null pour un nouveau contenu)
+ */
+export function getEditorDraft() {
+    if (!state.isEditing || !state.editor || !state.currentTitre) {
+        return null;
+    }
+
+    const contenuIndex = state.currentContenu
+        ? state.currentTitre.contenu.indexOf(state.currentContenu)
+        : -1;
+
+    return {
+        idTitre: state.currentTitre.idTitre,
+        contenuIndex: contenuIndex === -1 ? null : contenuIndex,
+        content: state.editor.getJSON(),
+        zone: document.getElementById('input-contenu-zone').value,
+        prescription: document.getElementById('input-contenu-prescription').value
+    };
+}
+
+/**
+ * Rouvre l'éditeur sur une saisie sauvegardée
+ * @param {Object} draft - Saisie produite par getEditorDraft()
+ * @returns {boolean} - False si le titre n'existe plus
+ */
+export function restoreEditorDraft(draft) {
+    const flatIndex = state.flatTitles.findIndex(ft => ft.titre.idTitre === draft.idTitre);
+    if (flatIndex === -1) {
+        return false;
+    }
+
+    revealTitre(flatIndex);
+
+    if (draft.contenuIndex !== null && state.currentTitre.contenu?.[draft.contenuIndex]) {
+        editContent(draft.contenuIndex);
+    } else {
+        addContent();
+    }
+
+    if (!state.editor) {
+        return false;
+    }
+
+    state.editor.commands.setContent(draft.content);
+    document.getElementById('input-contenu-zone').value = draft.zone || '';
+    document.getElementById('input-contenu-prescription').value = draft.prescription || '';
+
+    return true;
+}
+
 /**
  * Annule l'édition du contenu
  */
@@ -473,11 +541,8 @@ export function saveContent() {
             return;
         }
 
-        const contentNumber = String(startIndex + partIndex + 1).padStart(2, '0');
-        const baseId = `${state.pluData.idReglement}/${state.currentTitre.idTitre.split('/').pop()}`;
-
         const newContenu = {
-            idContenu: `${baseId}/contenu${contentNumber}`,
+            idContenu: buildContenuId(state.currentTitre.idTitre, startIndex + partIndex),
             idZone: contenuIdZone,  // Utiliser les valeurs spécifiques au contenu
             idPrescription: contenuIdPrescription,  // Utiliser les valeurs spécifiques au contenu
             html: htmlArray
@@ -490,11 +555,7 @@ export function saveContent() {
     state.currentTitre.contenu.splice(startIndex, 0, ...newContents);
 
     // Renuméroter tous les contenus pour assurer une numérotation séquentielle
-    state.currentTitre.contenu.forEach((contenu, index) => {
-        const contentNumber = String(index + 1).padStart(2, '0');
-        const baseId = `${state.pluData.idReglement}/${state.currentTitre.idTitre.split('/').pop()}`;
-        contenu.idContenu = `${baseId}/contenu${contentNumber}`;
-    });
+    renumberContenus(state.currentTitre);
 
     setCurrentContenu(null);
     if (state.editor) {
@@ -1,16 +1,26 @@
 /**
  * Module de gestion de l'historique (undo/redo)
+ *
+ * Chaque action est conservée sous forme de patchs JSON (aller et retour)
+ * calculés par rapport à une unique copie de référence du PLU.
  */
 
-import { state, setPluData } from './state.js';
-import { renderTree } from './tree.js';
-import { showToast } from './ui.js';
+import { state, setPluData, setCurrentTitre } from './state.js';
+import { renderTree, revealTitre } from './tree.js';
+import { showToast, toggleDisplay } from './ui.js';
+import { createPatches, applyPatch, estimatePatchSize } from './json-patch.js';
+
+// Mémoire allouée à l'historique (octets), réglable dans le panneau
+const HISTORY_BUDGET_KEY = 'plu_editor_history_budget';
+const DEFAULT_HISTORY_BUDGET = 20 * 1024 * 1024;
 
-const MAX_HISTORY_SIZE = 50;
 const undoStack = [];
 const redoStack = [];
 let isRestoring = false;
 
+// Copie du PLU à la dernière capture : les patchs sont calculés par rapport à elle
+let baseline = null;
+
 /**
  * Capture l'état actuel avant une modification
  * @param {string} actionName - Nom de l'action pour l'historique
@@ -27,24 +37,25 @@ export function captureState(actionName = 'Action') {
     }
 
     try {
-        // Créer une copie profonde de l'état
-        const snapshot = {
+        // Les modifications depuis la capture précédente appartiennent à l'action précédente
+        recordChanges();
+
+        // Les patchs de cette action seront calculés à la prochaine capture ou annulation
+        undoStack.push({
             actionName,
             timestamp: Date.now(),
-            pluData: JSON.parse(JSON.stringify(state.pluData))
-        };
-
-        // Ajouter au stack d'undo
-        undoStack.push(snapshot);
-
-        // Limiter la taille du stack
-        if (undoStack.length > MAX_HISTORY_SIZE) {
-            undoStack.shift(); // Retirer le plus ancien
-        }
+            selection: getCurrentSelection(),
+            forward: [],
+            inverse: [],
+            size: 0
+        });
 
         // Vider le stack de redo (nouvelle branche d'historique)
         redoStack.length = 0;
 
+        // Limiter la mémoire occupée
+        enforceHistoryBudget();
+
         // Mettre à jour l'UI
         updateHistoryUI();
     } catch (error) {
@@ -53,33 +64,178 @@ export function captureState(actionName = 'Action') {
 }
 
 /**
- * Annule la dernière action (undo)
+ * Enregistre les modifications faites depuis la dernière capture dans la
+ * dernière action annulable, et met à jour la copie de référence
+ * @returns {boolean} - True si des modifications ont été enregistrées
+ */
+function recordChanges() {
+    if (!state.pluData) {
+        return false;
+    }
+
+    if (!baseline) {
+        baseline = JSON.parse(JSON.stringify(state.pluData));
+        return false;
+    }
+
+    const { forward, inverse } = createPatches(baseline, state.pluData);
+    if (forward.length === 0) {
+        return false;
+    }
+
+    baseline = applyPatch(baseline, forward);
+
+    const entry = undoStack[undoStack.length - 1];
+    if (entry) {
+        entry.forward.push(...forward);
+        entry.inverse.unshift(...inverse);
+        entry.size = estimatePatchSize(entry.forward) + estimatePatchSize(entry.inverse);
+    }
+
+    return true;
+}
+
+/**
+ * Mémoire allouée à l'historique
+ * @returns {number} - Taille en octets
+ */
+export function getHistoryBudget() {
+    const budget = parseInt(localStorage.getItem(HISTORY_BUDGET_KEY), 10);
+    return budget > 0 ? budget : DEFAULT_HISTORY_BUDGET;
+}
+
+/**
+ * Définit la mémoire allouée à l'historique
+ * @param {number} bytes - Taille en octets
+ */
+export function setHistoryBudget(bytes) {
+    localStorage.setItem(HISTORY_BUDGET_KEY, String(bytes));
+    enforceHistoryBudget();
+    updateHistoryUI();
+}
+
+/**
+ * Mémoire occupée par les patchs de l'historique
+ * @returns {number} - Taille approximative en octets
+ */
+function getHistorySize() {
+    return [...undoStack, ...redoStack].reduce((total, entry) => total + entry.size, 0);
+}
+
+/**
+ * Oublie les actions les plus anciennes au-delà de la mémoire allouée
+ * (la dernière action reste toujours annulable)
+ */
+function enforceHistoryBudget() {
+    const budget = getHistoryBudget();
+    while (undoStack.length > 1 && getHistorySize() > budget) {
+        undoStack.shift();
+    }
+}
+
+/**
+ * Titre sélectionné, pour le resélectionner après une restauration
+ * @returns {Object|null} - { idTitre } ou null
+ */
+export function getCurrentSelection() {
+    return state.currentTitre ? { idTitre: state.currentTitre.idTitre } : null;
+}
+
+/**
+ * Resélectionne le titre d'un état restauré, ou ferme l'éditeur s'il n'existe plus
+ * @param {Object|null} selection - Sélection enregistrée avec l'état
+ */
+export function restoreSelection(selection) {
+    const flatIndex = selection
+        ? state.flatTitles.findIndex(ft => ft.titre.idTitre === selection.idTitre)
+        : -1;
+
+    if (flatIndex !== -1) {
+        revealTitre(flatIndex);
+        return;
+    }
+
+    setCurrentTitre(null);
+    toggleDisplay('editor-header', false);
+    toggleDisplay('welcome-screen', true);
+    toggleDisplay('editor-screen', false);
+}
+
+/**
+ * Parcourt l'historique de plusieurs pas en une seule restauration
+ * Les actions passent d'une pile à l'autre avec leurs patchs
+ * @param {Array} fromStack - Pile dont on retire les actions
+ * @param {Array} toStack - Pile qui reçoit les actions
+ * @param {boolean} backward - True pour annuler (patchs retour), false pour rétablir
+ * @param {number} steps - Nombre de pas
+ * @returns {Object} - Dernière action parcourue
+ */
+function travel(fromStack, toStack, backward, steps) {
+    let pluData = state.pluData;
+    let selection = getCurrentSelection();
+    let entry = null;
+
+    for (let i = 0; i < steps; i++) {
+        entry = fromStack.pop();
+
+        const patch = backward ? entry.inverse : entry.forward;
+        pluData = applyPatch(pluData, patch);
+        baseline = applyPatch(baseline, patch);
+
+        // Mémoriser la sélection de part et d'autre de l'action
+        if (backward) {
+            entry.selectionAfter = selection;
+            selection = entry.selection;
+        } else {
+            entry.selection = selection;
+            selection = entry.selectionAfter;
+        }
+
+        toStack.push(entry);
+    }
+
+    // Restaurer l'état et la sélection du titre
+    setPluData(pluData);
+    renderTree();
+    restoreSelection(selection);
+
+    return entry;
+}
+
+/**
+ * Refuse de parcourir l'historique pendant l'édition d'un contenu
+ */
+function ensureNotEditing() {
+    if (state.isEditing) {
+        showToast("Veuillez sauvegarder ou annuler vos modifications avant de parcourir l'historique", "error");
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Annule la dernière action (undo), ou plusieurs actions en une fois
+ * @param {number} steps - Nombre d'actions à annuler
  */
-export function undo() {
+export function undo(steps = 1) {
     if (undoStack.length === 0) {
         showToast("Rien à annuler", "error");
         return;
     }
 
+    if (!ensureNotEditing()) return;
+
     try {
         isRestoring = true;
 
-        // Sauvegarder l'état actuel dans le redo stack
-        const currentSnapshot = {
-            actionName: 'État actuel',
-            timestamp: Date.now(),
-            pluData: JSON.parse(JSON.stringify(state.pluData))
-        };
-        redoStack.push(currentSnapshot);
-
-        // Récupérer le dernier état
-        const previousSnapshot = undoStack.pop();
+        recordChanges();
 
-        // Restaurer l'état
-        setPluData(previousSnapshot.pluData);
-        renderTree();
+        const count = Math.min(steps, undoStack.length);
+        const undoneAction = travel(undoStack, redoStack, true, count);
 
-        showToast(`Annulé: ${previousSnapshot.actionName}`);
+        showToast(count > 1
+            ? `Annulé: ${count} actions (jusqu'à « ${undoneAction.actionName} »)`
+            : `Annulé: ${undoneAction.actionName}`);
 
         // Mettre à jour l'UI
         updateHistoryUI();
@@ -92,33 +248,34 @@ export function undo() {
 }
 
 /**
- * Rétablit la dernière action annulée (redo)
+ * Rétablit la dernière action annulée (redo), ou plusieurs actions en une fois
+ * @param {number} steps - Nombre d'actions à rétablir
  */
-export function redo() {
+export function redo(steps = 1) {
     if (redoStack.length === 0) {
         showToast("Rien à rétablir", "error");
         return;
     }
 
-    try {
-        isRestoring = true;
+    if (!ensureNotEditing()) return;
 
-        // Sauvegarder l'état actuel dans le undo stack
-        const currentSnapshot = {
-            actionName: 'État actuel',
-            timestamp: Date.now(),
-            pluData: JSON.parse(JSON.stringify(state.pluData))
-        };
-        undoStack.push(currentSnapshot);
+    // Des modifications non capturées rendent les actions annulées inapplicables
+    if (recordChanges()) {
+        redoStack.length = 0;
+        updateHistoryUI();
+        showToast("Rien à rétablir", "error");
+        return;
+    }
 
-        // Récupérer le dernier état annulé
-        const nextSnapshot = redoStack.pop();
+    try {
+        isRestoring = true;
 
-        // Restaurer l'état
-        setPluData(nextSnapshot.pluData);
-        renderTree();
+        const count = Math.min(steps, redoStack.length);
+        const redoneAction = travel(redoStack, undoStack, false, count);
 
-        showToast(`Rétabli: ${nextSnapshot.actionName}`);
+        showToast(count > 1
+            ? `Rétabli: ${count} actions (jusqu'à « ${redoneAction.actionName} »)`
+            : `Rétabli: ${redoneAction.actionName}`);
 
         // Mettre à jour l'UI
         updateHistoryUI();
@@ -136,6 +293,81 @@ export function redo() {
 export function clearHistory() {
     undoStack.length = 0;
     redoStack.length = 0;
+    baseline = null;
+    updateHistoryUI();
+}
+
+/**
+ * Copie de l'historique pour la sauvegarde automatique
+ * Les modifications pas encore enregistrées sont rattachées à la dernière action,
+ * sans toucher à l'historique en mémoire
+ * @returns {Object|null} - { undo, redo } ou null si l'historique est vide
+ */
+export function getHistorySnapshot() {
+    if (!state.pluData || !baseline || (undoStack.length === 0 && redoStack.length === 0)) {
+        return null;
+    }
+
+    const undo = undoStack.map(entry => ({ ...entry }));
+    const { forward, inverse } = createPatches(baseline, state.pluData);
+
+    if (forward.length === 0) {
+        return { undo, redo: redoStack.map(entry => ({ ...entry })) };
+    }
+
+    const last = undo[undo.length - 1];
+    if (last) {
+        last.forward = [...last.forward, ...forward];
+        last.inverse = [...inverse, ...last.inverse];
+        last.size = estimatePatchSize(last.forward) + estimatePatchSize(last.inverse);
+    } else {
+        // Toutes les actions ont été annulées : les modifications forment une action à part
+        undo.push({
+            actionName: 'Modifications non enregistrées',
+            timestamp: Date.now(),
+            selection: getCurrentSelection(),
+            forward,
+            inverse,
+            size: estimatePatchSize(forward) + estimatePatchSize(inverse)
+        });
+    }
+
+    // Comme pour redo(), des modifications non capturées rendent les actions annulées inapplicables
+    return { undo, redo: [] };
+}
+
+/**
+ * Recherche des textes dans les patchs de l'historique (actions annulables, annulées
+ * et modifications pas encore capturées) : toute valeur d'un état passé ou futur
+ * du PLU absente de l'état actuel figure dans l'un de ces patchs
+ * @param {Array<string>} texts - Textes recherchés (ex: 'ressources/plan.png')
+ * @returns {Set<string>} - Textes trouvés
+ */
+export function findInHistory(texts) {
+    const patches = [...undoStack, ...redoStack].flatMap(entry => [entry.forward, entry.inverse]);
+    if (baseline && state.pluData) {
+        patches.push(createPatches(baseline, state.pluData).inverse);
+    }
+
+    const serialized = JSON.stringify(patches);
+    return new Set(texts.filter(text => serialized.includes(JSON.stringify(text))));
+}
+
+/**
+ * Restaure un historique sauvegardé, une fois le PLU correspondant chargé
+ * @param {Object|null} snapshot - Historique produit par getHistorySnapshot()
+ */
+export function restoreHistory(snapshot) {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    baseline = state.pluData ? JSON.parse(JSON.stringify(state.pluData)) : null;
+
+    if (snapshot && baseline) {
+        undoStack.push(...(snapshot.undo || []));
+        redoStack.push(...(snapshot.redo || []));
+        enforceHistoryBudget();
+    }
+
     updateHistoryUI();
 }
 
@@ -175,6 +407,73 @@ function updateHistoryUI() {
             ? `Rétablir: ${redoStack[redoStack.length - 1]?.actionName || 'Action'} (Ctrl+Y)`
             : 'Aucune action à rétablir';
     }
+
+    renderHistoryPanel();
+}
+
+/**
+ * Rend la liste des actions du panneau d'historique
+ * (actions annulées en haut, puis état actuel, puis actions annulables)
+ */
+function renderHistoryPanel() {
+    const list = document.getElementById('history-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    const usage = document.getElementById('history-usage');
+    if (usage) {
+        const toMegabytes = bytes => (bytes / (1024 * 1024)).toFixed(2);
+        usage.textContent = `${toMegabytes(getHistorySize())} Mo utilisés sur ${toMegabytes(getHistoryBudget())} Mo`;
+    }
+
+    const appendEntry = (entry, className, title, onClick) => {
+        const item = document.createElement('li');
+        item.className = `history-entry ${className}`;
+        item.title = title;
+
+        const name = document.createElement('span');
+        name.className = 'history-entry-name';
+        name.textContent = entry.actionName;
+
+        const time = document.createElement('span');
+        time.className = 'history-entry-time';
+        time.textContent = new Date(entry.timestamp).toLocaleTimeString('fr-FR');
+
+        item.appendChild(name);
+        item.appendChild(time);
+        item.addEventListener('click', onClick);
+        list.appendChild(item);
+    };
+
+    // Actions annulées, de la plus lointaine à la prochaine à rétablir
+    redoStack.forEach((entry, index) => {
+        appendEntry(entry, 'history-entry-redo', 'Rétablir jusqu\'à cette action',
+            () => redo(redoStack.length - index));
+    });
+
+    const current = document.createElement('li');
+    current.className = 'history-entry history-entry-current';
+    current.textContent = canUndo() || canRedo() ? 'État actuel' : 'Aucune action enregistrée';
+    list.appendChild(current);
+
+    // Actions annulables, de la plus récente à la plus ancienne
+    for (let index = undoStack.length - 1; index >= 0; index--) {
+        const steps = undoStack.length - index;
+        appendEntry(undoStack[index], 'history-entry-undo', 'Revenir à l\'état précédant cette action',
+            () => undo(steps));
+    }
+}
+
+/**
+ * Ouvre ou ferme le panneau d'historique
+ */
+function toggleHistoryPanel() {
+    const panel = document.getElementById('history-panel');
+    if (!panel) return;
+
+    panel.classList.toggle('history-panel-open');
+    renderHistoryPanel();
 }
 
 /**
@@ -211,7 +510,7 @@ function createHistoryButtons() {
     undoBtn.className = 'btn btn-secondary';
     undoBtn.textContent = '↶ Annuler';
     undoBtn.disabled = true;
-    undoBtn.addEventListener('click', undo);
+    undoBtn.addEventListener('click', () => undo());
 
     // Bouton Redo
     const redoBtn = document.createElement('button');
@@ -219,9 +518,30 @@ function createHistoryButtons() {
     redoBtn.className = 'btn btn-secondary';
     redoBtn.textContent = '↷ Rétablir';
     redoBtn.disabled = true;
-    redoBtn.addEventListener('click', redo);
+    redoBtn.addEventListener('click', () => redo());
+
+    // Bouton du panneau d'historique
+    const panelBtn = document.createElement('button');
+    panelBtn.id = 'history-panel-btn';
+    panelBtn.className = 'btn btn-secondary';
+    panelBtn.textContent = '🕘';
+    panelBtn.title = 'Historique des actions';
+    panelBtn.style.width = 'auto';
+    panelBtn.addEventListener('click', toggleHistoryPanel);
 
     historyContainer.appendChild(undoBtn);
     historyContainer.appendChild(redoBtn);
+    historyContainer.appendChild(panelBtn);
     sidebarHeader.appendChild(historyContainer);
+
+    const closePanelBtn = document.querySelector('[data-action="close-history-panel"]');
+    if (closePanelBtn) {
+        closePanelBtn.addEventListener('click', toggleHistoryPanel);
+    }
+
+    const budgetSelect = document.getElementById('history-budget');
+    if (budgetSelect) {
+        budgetSelect.value = String(getHistoryBudget());
+        budgetSelect.addEventListener('change', () => setHistoryBudget(parseInt(budgetSelect.value, 10)));
+    }
 }
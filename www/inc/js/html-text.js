@@ -0,0 +1,56 @@
+/**
+ * Module de conversion des contenus (tableaux de HtmlNode) en texte brut
+ *
+ * Utilisé par la comparaison de versions et la recherche dans l'arborescence.
+ */
+
+/**
+ * Découpe un tableau de HtmlNode en blocs de texte
+ * (paragraphes, titres, éléments de liste, lignes de tableau)
+ * @param {Array} htmlArray - Tableau de HtmlNode
+ * @returns {Array<string>} - Textes des blocs
+ */
+export function extractBlocks(htmlArray) {
+    const blocks = [];
+
+    const visit = (node) => {
+        if (typeof node === 'string') {
+            if (node.trim()) blocks.push(node.trim());
+            return;
+        }
+        if (!node) return;
+
+        if (['ul', 'ol', 'table', 'thead', 'tbody', 'div'].includes(node.tag) && node.children) {
+            node.children.forEach(visit);
+            return;
+        }
+
+        let text;
+        if (node.tag === 'tr') {
+            text = (node.children || []).map(cell => getNodeText(cell).trim()).join(' | ');
+        } else if (node.tag === 'li') {
+            text = `• ${getNodeText(node).trim()}`;
+        } else {
+            text = getNodeText(node).trim();
+        }
+
+        if (text && text !== '•') {
+            blocks.push(text.replace(/\s+/g, ' '));
+        }
+    };
+
+    htmlArray.forEach(visit);
+    return blocks;
+}
+
+/**
+ * Texte d'un HtmlNode (les images sont représentées par leur fichier)
+ */
+function getNodeText(node) {
+    if (typeof node === 'string') return node;
+    if (!node) return '';
+    if (node.tag === 'br') return ' ';
+    if (node.tag === 'img') return ` [image ${(node.attrs?.src || '').replace('ressources/', '')}] `;
+    if (node.text !== undefined) return node.text;
+    return (node.children || []).map(getNodeText).join('');
+}
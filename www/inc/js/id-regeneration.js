@@ -0,0 +1,173 @@
+/**
+ * Module de la commande « Régénérer les identifiants »
+ * (aperçu des changements ancien → nouveau puis application)
+ */
+
+import { state } from './state.js';
+import { showToast, showModal, closeModal, handleError } from './ui.js';
+import { renderTree, renameExpandedNodes } from './tree.js';
+import { captureState } from './history.js';
+import { renameInternalLinks } from './links.js';
+import { planIdRegeneration, regenerateIds } from './ids.js';
+
+// Nombre maximal de lignes affichées par tableau dans l'aperçu
+const MAX_PREVIEW_ROWS = 200;
+
+/**
+ * Refuse de régénérer les identifiants pendant l'édition d'un contenu
+ */
+function ensureNotEditing() {
+    if (state.isEditing) {
+        showToast("Veuillez sauvegarder ou annuler vos modifications avant de régénérer les identifiants", "error");
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Ouvre l'aperçu de la régénération des identifiants
+ */
+export function showIdRegeneration() {
+    try {
+        if (!state.pluData) {
+            throw new Error("Aucun PLU chargé");
+        }
+
+        if (!ensureNotEditing()) return;
+
+        renderPreview(planIdRegeneration(state.pluData));
+        showModal('idsModal');
+    } catch (error) {
+        handleError(error, "préparation de la régénération des identifiants");
+    }
+}
+
+/**
+ * Affiche les doublons et les identifiants modifiés
+ * @param {Object} plan - Résultat de planIdRegeneration()
+ */
+function renderPreview(plan) {
+    const body = document.getElementById('ids-preview');
+    const applyBtn = document.querySelector('[data-action="apply-ids"]');
+    body.innerHTML = '';
+
+    const changeCount = plan.titres.length + plan.contenus.length;
+    applyBtn.disabled = changeCount === 0;
+
+    const summary = document.createElement('p');
+    summary.className = 'ids-summary';
+    summary.textContent = changeCount === 0
+        ? "Tous les identifiants suivent déjà l'arborescence : aucun changement."
+        : `${plan.titres.length} identifiant(s) de titre et ${plan.contenus.length} identifiant(s) de contenu seront modifiés. Les liens internes vers les titres seront mis à jour.`;
+    body.appendChild(summary);
+
+    if (plan.duplicates.length > 0) {
+        const warning = document.createElement('div');
+        warning.className = 'ids-duplicates';
+
+        const title = document.createElement('strong');
+        title.textContent = `⚠️ ${plan.duplicates.length} identifiant(s) en double actuellement :`;
+        warning.appendChild(title);
+
+        const list = document.createElement('ul');
+        plan.duplicates.forEach(({ id, type, count }) => {
+            const item = document.createElement('li');
+            item.textContent = `${type === 'titre' ? 'Titre' : 'Contenu'} ${id} (${count} fois)`;
+            list.appendChild(item);
+        });
+        warning.appendChild(list);
+        body.appendChild(warning);
+    }
+
+    appendChangesTable(body, 'Titres', plan.titres, change => change.intitule || 'Sans titre');
+    appendChangesTable(body, 'Contenus', plan.contenus);
+}
+
+/**
+ * Ajoute un tableau ancien → nouvel identifiant
+ * @param {HTMLElement} container - Conteneur de l'aperçu
+ * @param {string} heading - Titre du tableau
+ * @param {Array} changes - [{ oldId, newId }]
+ * @param {Function} getLabel - Libellé facultatif de chaque ligne
+ */
+function appendChangesTable(container, heading, changes, getLabel = null) {
+    if (changes.length === 0) return;
+
+    const title = document.createElement('h4');
+    title.textContent = `${heading} (${changes.length})`;
+    container.appendChild(title);
+
+    const table = document.createElement('table');
+    table.className = 'ids-table';
+
+    changes.slice(0, MAX_PREVIEW_ROWS).forEach(change => {
+        const row = document.createElement('tr');
+
+        if (getLabel) {
+            const label = document.createElement('td');
+            label.className = 'ids-label';
+            label.textContent = getLabel(change);
+            row.appendChild(label);
+        }
+
+        const oldCell = document.createElement('td');
+        oldCell.className = 'ids-old';
+        oldCell.textContent = change.oldId || '(aucun)';
+
+        const newCell = document.createElement('td');
+        newCell.className = 'ids-new';
+        newCell.textContent = `→ ${change.newId}`;
+
+        row.appendChild(oldCell);
+        row.appendChild(newCell);
+        table.appendChild(row);
+    });
+    container.appendChild(table);
+
+    if (changes.length > MAX_PREVIEW_ROWS) {
+        const more = document.createElement('p');
+        more.className = 'ids-more';
+        more.textContent = `… et ${changes.length - MAX_PREVIEW_ROWS} autre(s)`;
+        container.appendChild(more);
+    }
+}
+
+/**
+ * Applique la régénération des identifiants au document ouvert
+ */
+function applyIdRegeneration() {
+    if (!state.pluData || !ensureNotEditing()) return;
+
+    captureState("Régénération des identifiants");
+
+    const renamedIds = regenerateIds(state.pluData);
+    const linkCount = renameInternalLinks(state.pluData, renamedIds);
+    renameExpandedNodes(renamedIds);
+
+    renderTree();
+    closeModal('idsModal');
+
+    showToast(linkCount > 0
+        ? `Identifiants régénérés (${linkCount} lien(s) interne(s) mis à jour)`
+        : "Identifiants régénérés");
+}
+
+/**
+ * Configure les gestionnaires d'évènements de la régénération des identifiants
+ */
+export function setupIdRegenerationEventHandlers() {
+    const showBtn = document.querySelector('[data-action="show-ids"]');
+    if (showBtn) {
+        showBtn.addEventListener('click', showIdRegeneration);
+    }
+
+    const applyBtn = document.querySelector('[data-action="apply-ids"]');
+    if (applyBtn) {
+        applyBtn.addEventListener('click', applyIdRegeneration);
+    }
+
+    const closeBtn = document.querySelector('[data-action="close-ids"]');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => closeModal('idsModal'));
+    }
+}
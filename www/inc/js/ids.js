@@ -0,0 +1,158 @@
+/**
+ * Module de construction des identifiants de titres et de contenus
+ *
+ * Règle unique, qui reflète l'arborescence :
+ * - idTitre : <id du parent>/<slug de l'intitulé> (parent = idReglement pour un titre racine),
+ *   suffixé _2, _3... si deux titres frères ont le même slug
+ * - idContenu : <idTitre>/contenuNN, numéroté dans l'ordre des contenus du titre
+ */
+
+// Longueur maximale du slug tiré de l'intitulé
+const MAX_SLUG_LENGTH = 20;
+
+/**
+ * Slug d'un intitulé (minuscules sans accents, autres caractères remplacés par _)
+ * @param {string} text - Intitulé
+ * @returns {string}
+ */
+export function slugify(text) {
+    const slug = (text || '').toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .substring(0, MAX_SLUG_LENGTH)
+        .replace(/_+$/, '');
+
+    return slug || 'titre';
+}
+
+/**
+ * Construit l'identifiant d'un titre
+ * @param {string} parentId - idTitre du parent, ou idReglement pour un titre racine
+ * @param {string} intitule - Intitulé du titre
+ * @param {Set<string>|Array<string>} siblingIds - Identifiants déjà pris par les titres frères
+ * @returns {string}
+ */
+export function buildTitreId(parentId, intitule, siblingIds = []) {
+    const taken = siblingIds instanceof Set ? siblingIds : new Set(siblingIds);
+    const baseId = `${parentId}/${slugify(intitule)}`;
+
+    let idTitre = baseId;
+    for (let suffix = 2; taken.has(idTitre); suffix++) {
+        idTitre = `${baseId}_${suffix}`;
+    }
+    return idTitre;
+}
+
+/**
+ * Construit l'identifiant d'un contenu
+ * @param {string} idTitre - Identifiant du titre
+ * @param {number} index - Position du contenu dans le titre (à partir de 0)
+ * @returns {string}
+ */
+export function buildContenuId(idTitre, index) {
+    return `${idTitre}/contenu${String(index + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Renumérote les contenus d'un titre
+ * @param {Object} titre - Titre (modifié sur place)
+ */
+export function renumberContenus(titre) {
+    (titre.contenu || []).forEach((contenu, index) => {
+        contenu.idContenu = buildContenuId(titre.idTitre, index);
+    });
+}
+
+/**
+ * Parcourt l'arbre en calculant les identifiants attendus par la règle
+ * @param {Array} titres - Titres frères
+ * @param {string} parentId - Identifiant du parent
+ * @param {Function} visit - Appelée avec (titre, idTitre, contenuIds)
+ */
+function walkExpectedIds(titres, parentId, visit) {
+    const siblingIds = new Set();
+
+    (titres || []).forEach(titre => {
+        const idTitre = buildTitreId(parentId, titre.intitule, siblingIds);
+        siblingIds.add(idTitre);
+
+        visit(titre, idTitre, (titre.contenu || []).map((contenu, index) => buildContenuId(idTitre, index)));
+        walkExpectedIds(titre.titre, idTitre, visit);
+    });
+}
+
+/**
+ * Repère les identifiants utilisés plusieurs fois dans le document
+ * @param {Object} pluData - Données du PLU
+ * @returns {Array} - [{ id, type: 'titre' | 'contenu', count }]
+ */
+export function findDuplicateIds(pluData) {
+    const counts = new Map();
+    const count = (id, type) => {
+        const key = `${type}:${id}`;
+        counts.set(key, { id, type, count: (counts.get(key)?.count || 0) + 1 });
+    };
+
+    const visit = (titres) => (titres || []).forEach(titre => {
+        count(titre.idTitre, 'titre');
+        (titre.contenu || []).forEach(contenu => count(contenu.idContenu, 'contenu'));
+        visit(titre.titre);
+    });
+    visit(pluData.titre);
+
+    return [...counts.values()].filter(entry => entry.count > 1);
+}
+
+/**
+ * Prévisualise la régénération des identifiants (sans modifier le document)
+ * @param {Object} pluData - Données du PLU
+ * @returns {Object} - { titres, contenus, duplicates }
+ *   - titres : [{ oldId, newId, intitule }] des titres dont l'identifiant change
+ *   - contenus : [{ oldId, newId }] des contenus dont l'identifiant change
+ *   - duplicates : identifiants actuellement en double (voir findDuplicateIds)
+ */
+export function planIdRegeneration(pluData) {
+    const titres = [];
+    const contenus = [];
+
+    walkExpectedIds(pluData.titre, pluData.idReglement, (titre, idTitre, contenuIds) => {
+        if (titre.idTitre !== idTitre) {
+            titres.push({ oldId: titre.idTitre, newId: idTitre, intitule: titre.intitule });
+        }
+        (titre.contenu || []).forEach((contenu, index) => {
+            if (contenu.idContenu !== contenuIds[index]) {
+                contenus.push({ oldId: contenu.idContenu, newId: contenuIds[index] });
+            }
+        });
+    });
+
+    return { titres, contenus, duplicates: findDuplicateIds(pluData) };
+}
+
+/**
+ * Régénère tous les identifiants du document d'après l'arborescence
+ * @param {Object} pluData - Données du PLU (modifiées sur place)
+ * @returns {Map<string, string>} - Ancien idTitre -> nouvel idTitre (pour les liens internes ;
+ *   un identifiant en double renvoie vers le premier titre qui le portait)
+ */
+export function regenerateIds(pluData) {
+    const renamedIds = new Map();
+    const seenIds = new Set();
+
+    walkExpectedIds(pluData.titre, pluData.idReglement, (titre, idTitre, contenuIds) => {
+        if (!seenIds.has(titre.idTitre)) {
+            seenIds.add(titre.idTitre);
+            if (titre.idTitre !== idTitre) {
+                renamedIds.set(titre.idTitre, idTitre);
+            }
+        }
+
+        titre.idTitre = idTitre;
+        (titre.contenu || []).forEach((contenu, index) => {
+            contenu.idContenu = contenuIds[index];
+        });
+    });
+
+    return renamedIds;
+}
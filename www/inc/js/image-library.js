@@ -0,0 +1,365 @@
+/**
+ * Module de la bibliothèque d'images du PLU courant (liste, renommage, remplacement, purge)
+ */
+
+import { state } from './state.js';
+import { showToast, showModal, closeModal, handleError } from './ui.js';
+import {
+    storeImage, getImage, getImageDataUrl, listPluImages, deleteImage, getImagesSize,
+    findImageReferences, renameImageReferences
+} from './images.js';
+import { captureState, findInHistory } from './history.js';
+import { revealTitre } from './tree.js';
+import { renderContentList, highlightContenu } from './editor.js';
+import { isImageFile, readFileAsDataUrl } from './image-upload.js';
+import { getStorageEstimate } from './db.js';
+
+let pendingReplaceFilename = null;
+
+/**
+ * Formate une taille en octets
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} o`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} Ko`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} Mo`;
+}
+
+/**
+ * Refuse les modifications d'images pendant l'édition d'un contenu
+ * (l'éditeur conserve les images sous forme de data URL)
+ */
+function ensureNotEditing() {
+    if (state.isEditing) {
+        showToast("Veuillez sauvegarder ou annuler vos modifications avant de modifier les images", "error");
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Ouvre la bibliothèque d'images
+ */
+export async function showImageLibrary() {
+    try {
+        if (!state.pluData) {
+            throw new Error("Aucun PLU chargé");
+        }
+
+        await renderImageLibrary();
+        showModal('imageLibraryModal');
+    } catch (error) {
+        handleError(error, "ouverture de la bibliothèque d'images");
+    }
+}
+
+/**
+ * Affiche la liste des images du PLU courant
+ */
+async function renderImageLibrary() {
+    const summary = document.getElementById('image-library-summary');
+    const list = document.getElementById('image-library-list');
+    if (!summary || !list) return;
+
+    const documentId = state.documentId;
+    const images = listPluImages(documentId).sort((a, b) => a.filename.localeCompare(b.filename));
+    const references = findImageReferences(state.pluData);
+    const missing = [...references.keys()].filter(filename => !images.some(image => image.filename === filename));
+    const unusedCount = images.filter(image => !references.has(image.filename)).length;
+
+    const estimate = await getStorageEstimate();
+    summary.innerHTML = '';
+
+    const usage = document.createElement('div');
+    usage.textContent = `${images.length} image(s) pour ce PLU, ${formatSize(getImagesSize(documentId))} stockés`;
+    if (estimate) {
+        usage.textContent += ` — stockage du navigateur utilisé : ${formatSize(estimate.usage)} sur ${formatSize(estimate.quota)}`;
+    }
+    summary.appendChild(usage);
+
+    // La jauge n'est affichée que si le navigateur fournit une estimation
+    if (estimate && estimate.quota > 0) {
+        const gauge = document.createElement('div');
+        gauge.className = 'image-library-gauge';
+        const gaugeBar = document.createElement('div');
+        const ratio = Math.min(1, estimate.usage / estimate.quota);
+        gaugeBar.style.width = `${Math.round(ratio * 100)}%`;
+        if (ratio > 0.8) {
+            gaugeBar.classList.add('image-library-gauge-full');
+        }
+        gauge.appendChild(gaugeBar);
+        summary.appendChild(gauge);
+    }
+
+    if (missing.length > 0) {
+        const warning = document.createElement('div');
+        warning.className = 'image-library-missing';
+        warning.textContent = `⚠️ Image(s) référencée(s) mais absente(s) du stockage : ${missing.join(', ')}`;
+        summary.appendChild(warning);
+    }
+
+    const purgeBtn = document.querySelector('[data-action="purge-unused-images"]');
+    if (purgeBtn) {
+        purgeBtn.disabled = unusedCount === 0;
+        purgeBtn.textContent = `🧹 Purger les images inutilisées (${unusedCount})`;
+    }
+
+    list.innerHTML = '';
+
+    if (images.length === 0) {
+        list.innerHTML = '<li class="image-library-empty">Aucune image stockée pour ce PLU</li>';
+        return;
+    }
+
+    images.forEach(image => {
+        const usages = references.get(image.filename) || [];
+
+        const item = document.createElement('li');
+        item.className = 'image-library-item';
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'image-library-thumbnail';
+        thumbnail.src = getImageDataUrl(documentId, image.filename);
+        thumbnail.alt = image.filename;
+
+        const info = document.createElement('div');
+        info.className = 'image-library-info';
+
+        const name = document.createElement('div');
+        name.className = 'image-library-name';
+        name.textContent = image.filename;
+
+        const details = document.createElement('div');
+        details.className = 'image-library-details';
+        details.textContent = `${image.contentType} — ${formatSize(image.size || 0)}`;
+
+        const usageList = document.createElement('ul');
+        usageList.className = 'image-library-usages';
+        if (usages.length === 0) {
+            const unused = document.createElement('li');
+            unused.className = 'image-library-unused';
+            unused.textContent = 'Non utilisée';
+            usageList.appendChild(unused);
+        }
+        usages.forEach(({ titre, contenu }) => {
+            const usageItem = document.createElement('li');
+            const contenuIndex = titre.contenu.indexOf(contenu);
+            usageItem.className = 'image-library-usage';
+            usageItem.dataset.idTitre = titre.idTitre;
+            usageItem.dataset.contenuIndex = contenuIndex;
+            usageItem.textContent = `Titre « ${titre.intitule || titre.idTitre || 'Sans titre'} » › contenu ${contenuIndex + 1}`;
+            usageList.appendChild(usageItem);
+        });
+
+        info.appendChild(name);
+        info.appendChild(details);
+        info.appendChild(usageList);
+
+        const actions = document.createElement('div');
+        actions.className = 'image-library-actions';
+        actions.innerHTML = `
+            <button class="btn btn-secondary" data-action="rename-image">✏️ Renommer</button>
+            <button class="btn btn-secondary" data-action="replace-image">🔄 Remplacer</button>
+        `;
+        actions.querySelectorAll('button').forEach(button => {
+            button.dataset.filename = image.filename;
+        });
+
+        item.appendChild(thumbnail);
+        item.appendChild(info);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Renomme une image et réécrit toutes ses références ressources/
+ * @param {string} filename - Nom de fichier actuel
+ */
+async function renameImage(filename) {
+    if (!ensureNotEditing()) return;
+
+    try {
+        const documentId = state.documentId;
+        const image = getImage(documentId, filename);
+        if (!image) {
+            throw new Error(`Image introuvable : ${filename}`);
+        }
+
+        const input = prompt("Nouveau nom de l'image :", filename);
+        if (input === null) return;
+
+        let newFilename = input.trim();
+        if (newFilename === filename) return;
+
+        if (!/^[A-Za-z0-9_.-]+$/.test(newFilename)) {
+            throw new Error("Nom invalide : utilisez uniquement lettres, chiffres, points, tirets et soulignés");
+        }
+
+        // Conserver l'extension d'origine si elle n'a pas été saisie
+        if (!newFilename.includes('.')) {
+            newFilename += filename.substring(filename.lastIndexOf('.'));
+        }
+
+        if (getImage(documentId, newFilename)) {
+            throw new Error(`Une image nommée ${newFilename} existe déjà`);
+        }
+
+        captureState(`Renommer l'image ${filename}`);
+
+        // L'ancien fichier est conservé pour que l'annulation retrouve l'image :
+        // la purge le supprimera quand l'historique n'y fera plus référence
+        await storeImage(documentId, newFilename, image.base64, image.contentType);
+        const count = renameImageReferences(state.pluData, filename, newFilename);
+
+        if (state.currentTitre) {
+            renderContentList();
+        }
+        await renderImageLibrary();
+        showToast(`Image renommée (${count} référence(s) mise(s) à jour). L'ancien fichier ${filename} est conservé tant que le renommage peut être annulé.`);
+    } catch (error) {
+        handleError(error, "renommage de l'image");
+    }
+}
+
+/**
+ * Remplace le contenu binaire d'une image par un fichier choisi
+ * @param {string} filename - Nom de l'image à remplacer
+ * @param {File} file - Nouveau fichier image
+ */
+async function replaceImage(filename, file) {
+    try {
+        if (!isImageFile(file)) {
+            throw new Error("Le fichier choisi n'est pas une image");
+        }
+
+        const dataUrl = await readFileAsDataUrl(file);
+        const base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+
+        await storeImage(state.documentId, filename, base64, file.type);
+
+        await renderImageLibrary();
+        showToast(`Image ${filename} remplacée`);
+    } catch (error) {
+        handleError(error, "remplacement de l'image");
+    }
+}
+
+/**
+ * Supprime les images du PLU qui ne sont référencées par aucun contenu
+ */
+async function purgeUnusedImages() {
+    if (!ensureNotEditing()) return;
+
+    const documentId = state.documentId;
+    const references = findImageReferences(state.pluData);
+    const notReferenced = listPluImages(documentId).filter(image => !references.has(image.filename));
+
+    // Garder les images qu'une annulation ou un rétablissement remettrait dans le document
+    const inHistory = findInHistory(notReferenced.map(image => `ressources/${image.filename}`));
+    const unused = notReferenced.filter(image => !inHistory.has(`ressources/${image.filename}`));
+    const keptMessage = inHistory.size > 0
+        ? `${inHistory.size} image(s) non utilisée(s) conservée(s) : l'historique d'annulation y fait encore référence.`
+        : '';
+
+    if (unused.length === 0) {
+        showToast(keptMessage || "Aucune image inutilisée");
+        return;
+    }
+
+    const confirmed = confirm(
+        `Supprimer définitivement ${unused.length} image(s) non utilisée(s) ?\n\n` +
+        unused.map(image => `- ${image.filename}`).join('\n') +
+        (keptMessage ? `\n\n${keptMessage}` : '')
+    );
+    if (!confirmed) return;
+
+    try {
+        for (const image of unused) {
+            await deleteImage(documentId, image.filename);
+        }
+
+        await renderImageLibrary();
+        showToast(`${unused.length} image(s) supprimée(s)`);
+    } catch (error) {
+        handleError(error, "suppression des images");
+    }
+}
+
+/**
+ * Navigue vers un contenu utilisant l'image
+ */
+function goToUsage(idTitre, contenuIndex) {
+    if (state.isEditing) {
+        showToast("Veuillez sauvegarder ou annuler vos modifications avant de naviguer", "error");
+        return;
+    }
+
+    const flatIndex = state.flatTitles.findIndex(ft => ft.titre.idTitre === idTitre);
+    if (flatIndex === -1) {
+        showToast("Titre introuvable", "error");
+        return;
+    }
+
+    closeModal('imageLibraryModal');
+    revealTitre(flatIndex);
+    highlightContenu(contenuIndex);
+}
+
+/**
+ * Configure les gestionnaires d'événements de la bibliothèque d'images
+ */
+export function setupImageLibraryEventHandlers() {
+    const showBtn = document.querySelector('[data-action="show-image-library"]');
+    if (showBtn) {
+        showBtn.addEventListener('click', showImageLibrary);
+    }
+
+    const closeBtn = document.querySelector('[data-action="close-image-library"]');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => closeModal('imageLibraryModal'));
+    }
+
+    const purgeBtn = document.querySelector('[data-action="purge-unused-images"]');
+    if (purgeBtn) {
+        purgeBtn.addEventListener('click', purgeUnusedImages);
+    }
+
+    const replaceInput = document.getElementById('imageReplaceInput');
+    if (replaceInput) {
+        replaceInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file && pendingReplaceFilename) {
+                await replaceImage(pendingReplaceFilename, file);
+            }
+            pendingReplaceFilename = null;
+            e.target.value = '';
+        });
+    }
+
+    const list = document.getElementById('image-library-list');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const usage = e.target.closest('.image-library-usage');
+            if (usage) {
+                goToUsage(usage.dataset.idTitre, parseInt(usage.dataset.contenuIndex));
+                return;
+            }
+
+            const target = e.target.closest('[data-action]');
+            if (!target) return;
+
+            switch (target.dataset.action) {
+                case 'rename-image':
+                    renameImage(target.dataset.filename);
+                    break;
+                case 'replace-image':
+                    if (ensureNotEditing() && replaceInput) {
+                        pendingReplaceFilename = target.dataset.filename;
+                        replaceInput.click();
+                    }
+                    break;
+            }
+        });
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Module d'ajout d'images dans l'éditeur TipTap (sélection de fichier, glisser-déposer, collage)
+ */
+
+import { state } from './state.js';
+import { showToast, handleError } from './ui.js';
+import { storeImage, createUniqueImageFilename } from './images.js';
+
+/**
+ * Indique si un fichier est une image
+ * @param {File} file - Fichier
+ * @returns {boolean}
+ */
+export function isImageFile(file) {
+    return !!file && typeof file.type === 'string' && file.type.startsWith('image/');
+}
+
+/**
+ * Lit un fichier sous forme de data URL
+ * @param {File} file - Fichier image
+ * @returns {Promise<string>} - Data URL
+ */
+export function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`Impossible de lire le fichier ${file.name || 'image'}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Stocke des fichiers images pour le PLU courant et les insère dans l'éditeur
+ * Le texte alternatif est demandé pour chaque image
+ * @param {Object} editor - Instance TipTap
+ * @param {Array<File>} files - Fichiers déposés, collés ou choisis
+ * @param {number} [position] - Position d'insertion (sinon à la sélection)
+ * @returns {Promise<number>} - Nombre d'images insérées
+ */
+export async function insertImageFiles(editor, files, position) {
+    const images = Array.from(files || []).filter(isImageFile);
+    if (!editor || images.length === 0) return 0;
+
+    let inserted = 0;
+
+    try {
+        if (!state.pluData || !state.documentId) {
+            throw new Error("Aucun PLU chargé pour stocker l'image");
+        }
+
+        for (const file of images) {
+            const defaultAlt = (file.name || '').replace(/\.[^.]*$/, '');
+            const alt = prompt(`Texte alternatif de l'image${file.name ? ` « ${file.name} »` : ''} :`, defaultAlt);
+            if (alt === null) continue;
+
+            const dataUrl = await readFileAsDataUrl(file);
+            const base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+            const filename = createUniqueImageFilename(state.documentId, file.name, file.type);
+
+            await storeImage(state.documentId, filename, base64, file.type);
+
+            const image = { type: 'image', attrs: { src: dataUrl, alt: alt.trim() || 'Image' } };
+            const chain = editor.chain().focus();
+            if (typeof position === 'number') {
+                // Insérer l'image suivante après celle-ci pour garder l'ordre des fichiers
+                const sizeBefore = editor.state.doc.content.size;
+                chain.insertContentAt(position, image).run();
+                position += editor.state.doc.content.size - sizeBefore;
+            } else {
+                chain.insertContent(image).run();
+            }
+            inserted++;
+        }
+
+        if (inserted > 0) {
+            showToast(inserted > 1 ? `${inserted} images ajoutées` : "Image ajoutée");
+        }
+    } catch (error) {
+        handleError(error, "ajout de l'image");
+    }
+
+    return inserted;
+}
+
+/**
+ * Ouvre le sélecteur de fichiers images
+ */
+export function openImagePicker() {
+    const input = document.getElementById('imageInput');
+    if (input) {
+        input.click();
+    }
+}
+
+/**
+ * Gère le dépôt de fichiers images dans l'éditeur (editorProps.handleDrop)
+ * @returns {boolean} - True si l'événement a été traité
+ */
+export function handleImageDrop(view, event) {
+    const files = Array.from(event.dataTransfer?.files || []);
+    if (!files.some(isImageFile)) return false;
+
+    event.preventDefault();
+
+    const coords = view.posAtCoords({ left: event.clientX, top: event.clientY });
+    insertImageFiles(window.editorInstance, files, coords ? coords.pos : undefined);
+    return true;
+}
+
+/**
+ * Gère le collage d'images dans l'éditeur (editorProps.handlePaste)
+ * @returns {boolean} - True si l'événement a été traité
+ */
+export function handleImagePaste(view, event) {
+    const files = Array.from(event.clipboardData?.files || []);
+    if (!files.some(isImageFile)) return false;
+
+    event.preventDefault();
+
+    insertImageFiles(window.editorInstance, files);
+    return true;
+}
+
+/**
+ * Configure les gestionnaires d'événements de l'ajout d'images
+ */
+export function setupImageUploadEventHandlers() {
+    const imageInput = document.getElementById('imageInput');
+    if (imageInput) {
+        imageInput.addEventListener('change', async (e) => {
+            await insertImageFiles(window.editorInstance, e.target.files);
+            // Permettre de choisir à nouveau le même fichier
+            e.target.value = '';
+        });
+    }
+}
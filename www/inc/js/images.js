@@ -1,175 +1,298 @@
 /**
- * Module de gestion des images dans localStorage
+ * Module de gestion des images du PLU (stockées en Blob dans IndexedDB)
+ *
+ * Chaque document de l'espace de travail a ses propres images.
+ * Celles du document ouvert sont gardées en mémoire (base64) pour que les
+ * conversions TipTap <-> HtmlNode puissent les résoudre de façon synchrone.
  */
 
-const IMAGE_PREFIX = 'plu_image_';
+import { STORES, dbPut, dbDelete, dbGetAll, dbTransaction, base64ToBlob, blobToBase64 } from './db.js';
+
+// documentId -> Map(nom de fichier -> { filename, contentType, base64, size, timestamp })
+const imageCache = new Map();
+
+/**
+ * Retourne le cache des images d'un document (créé si besoin)
+ */
+function getDocumentCache(documentId) {
+    if (!imageCache.has(documentId)) {
+        imageCache.set(documentId, new Map());
+    }
+    return imageCache.get(documentId);
+}
+
+/**
+ * Charge en mémoire les images stockées d'un document
+ * Seules les images du document ouvert sont conservées en mémoire
+ * @param {string} documentId - ID du document
+ * @returns {Promise<number>} - Nombre d'images chargées
+ */
+export async function preloadPluImages(documentId) {
+    const records = documentId ? await dbGetAll(STORES.images, 'documentId', documentId) : [];
+
+    const images = new Map();
+    for (const record of records) {
+        images.set(record.filename, {
+            filename: record.filename,
+            contentType: record.contentType,
+            base64: await blobToBase64(record.blob),
+            size: record.size,
+            timestamp: record.timestamp
+        });
+    }
+
+    imageCache.clear();
+    if (documentId) {
+        imageCache.set(documentId, images);
+    }
+
+    return images.size;
+}
 
 /**
- * Stocke une image dans localStorage
- * @param {string} idUrba - ID du PLU
+ * Stocke une image
+ * @param {string} documentId - ID du document
  * @param {string} filename - Nom du fichier
  * @param {string} base64Data - Données en base64
  * @param {string} contentType - Type MIME
- * @returns {string} - Clé de stockage
- */
-export function storeImage(idUrba, filename, base64Data, contentType) {
-    const key = `${IMAGE_PREFIX}${idUrba}_${filename}`;
-    const imageData = {
-        filename,
-        contentType,
-        base64: base64Data,
-        timestamp: Date.now()
-    };
+ * @returns {Promise<Object>} - Données de l'image
+ */
+export async function storeImage(documentId, filename, base64Data, contentType) {
+    const blob = base64ToBlob(base64Data, contentType);
+    const timestamp = Date.now();
 
     try {
-        localStorage.setItem(key, JSON.stringify(imageData));
-        return key;
+        await dbPut(STORES.images, { documentId, filename, contentType, blob, size: blob.size, timestamp });
     } catch (error) {
         console.error('Erreur lors du stockage de l\'image:', error);
-        if (error.name === 'QuotaExceededError') {
-            throw new Error('Espace de stockage insuffisant pour les images. Essayez d\'exporter le PLU pour libérer de l\'espace.');
-        }
         throw error;
     }
+
+    const imageData = { filename, contentType, base64: base64Data, size: blob.size, timestamp };
+    getDocumentCache(documentId).set(filename, imageData);
+    return imageData;
 }
 
 /**
- * Récupère une image depuis localStorage
- * @param {string} idUrba - ID du PLU
+ * Récupère une image du document chargé en mémoire
+ * @param {string} documentId - ID du document
  * @param {string} filename - Nom du fichier
  * @returns {Object|null} - Données de l'image ou null
  */
-export function getImage(idUrba, filename) {
-    const key = `${IMAGE_PREFIX}${idUrba}_${filename}`;
-
-    try {
-        const data = localStorage.getItem(key);
-        if (!data) return null;
-
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Erreur lors de la récupération de l\'image:', error);
-        return null;
-    }
+export function getImage(documentId, filename) {
+    return imageCache.get(documentId)?.get(filename) || null;
 }
 
 /**
  * Convertit une image en data URL
- * @param {string} idUrba - ID du PLU
+ * @param {string} documentId - ID du document
  * @param {string} filename - Nom du fichier
  * @returns {string|null} - Data URL ou null
  */
-export function getImageDataUrl(idUrba, filename) {
-    const imageData = getImage(idUrba, filename);
+export function getImageDataUrl(documentId, filename) {
+    const imageData = getImage(documentId, filename);
     if (!imageData) return null;
 
     return `data:${imageData.contentType};base64,${imageData.base64}`;
 }
 
 /**
- * Liste toutes les images d'un PLU
- * @param {string} idUrba - ID du PLU
+ * Liste toutes les images du document chargé en mémoire
+ * @param {string} documentId - ID du document
  * @returns {Array} - Liste des images
  */
-export function listPluImages(idUrba) {
-    const prefix = `${IMAGE_PREFIX}${idUrba}_`;
-    const images = [];
-
-    try {
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(prefix)) {
-                const data = localStorage.getItem(key);
-                if (data) {
-                    const imageData = JSON.parse(data);
-                    images.push(imageData);
-                }
-            }
-        }
-    } catch (error) {
-        console.error('Erreur lors du listage des images:', error);
-    }
+export function listPluImages(documentId) {
+    return [...(imageCache.get(documentId)?.values() || [])];
+}
 
-    return images;
+/**
+ * Récupère les images stockées d'un document sous forme de Blob (export)
+ * @param {string} documentId - ID du document
+ * @returns {Promise<Array>} - Liste de { filename, contentType, blob }
+ */
+export async function getPluImageBlobs(documentId) {
+    const records = await dbGetAll(STORES.images, 'documentId', documentId);
+    return records.map(({ filename, contentType, blob }) => ({ filename, contentType, blob }));
 }
 
 /**
- * Supprime une image du localStorage
- * @param {string} idUrba - ID du PLU
+ * Supprime une image
+ * @param {string} documentId - ID du document
  * @param {string} filename - Nom du fichier
  */
-export function deleteImage(idUrba, filename) {
-    const key = `${IMAGE_PREFIX}${idUrba}_${filename}`;
+export async function deleteImage(documentId, filename) {
+    await dbDelete(STORES.images, [documentId, filename]);
+    imageCache.get(documentId)?.delete(filename);
+}
 
-    try {
-        localStorage.removeItem(key);
-    } catch (error) {
-        console.error('Erreur lors de la suppression de l\'image:', error);
+/**
+ * Supprime toutes les images d'un document
+ * @param {string} documentId - ID du document
+ */
+export async function clearPluImages(documentId) {
+    await dbTransaction([STORES.images], ({ images }) => {
+        const request = images.index('documentId').getAllKeys(documentId);
+        request.onsuccess = () => {
+            request.result.forEach(key => images.delete(key));
+        };
+    });
+    imageCache.delete(documentId);
+}
+
+/**
+ * Copie les images d'un document vers un autre (duplication, reprise d'images)
+ * Les images déjà présentes dans le document cible sont conservées
+ * @param {string} sourceId - ID du document source
+ * @param {string} targetId - ID du document cible
+ * @returns {Promise<number>} - Nombre d'images copiées
+ */
+export async function copyDocumentImages(sourceId, targetId) {
+    if (!sourceId || !targetId || sourceId === targetId) {
+        return 0;
     }
+
+    let copied = 0;
+
+    await dbTransaction([STORES.images], ({ images }) => {
+        const sourceRequest = images.index('documentId').getAll(sourceId);
+        const targetRequest = images.index('documentId').getAllKeys(targetId);
+
+        targetRequest.onsuccess = () => {
+            const existing = new Set(targetRequest.result.map(([, filename]) => filename));
+
+            sourceRequest.result
+                .filter(record => !existing.has(record.filename))
+                .forEach(record => {
+                    images.put({ ...record, documentId: targetId });
+                    copied++;
+                });
+        };
+    });
+
+    return copied;
 }
 
 /**
- * Supprime toutes les images d'un PLU
- * @param {string} idUrba - ID du PLU
+ * Obtient la taille totale des images d'un document chargé en mémoire (en bytes)
+ * @param {string} documentId - ID du document
+ * @returns {number} - Taille en bytes
  */
-export function clearPluImages(idUrba) {
-    const prefix = `${IMAGE_PREFIX}${idUrba}_`;
-    const keysToDelete = [];
+export function getImagesSize(documentId) {
+    return listPluImages(documentId).reduce((total, image) => total + (image.size || 0), 0);
+}
 
-    try {
-        // Collecter les clés à supprimer
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(prefix)) {
-                keysToDelete.push(key);
-            }
+/**
+ * Parcourt tous les nœuds img des contenus d'un PLU
+ * @param {Object} pluData - Données du PLU
+ * @param {Function} callback - Appelée avec (node, titre, contenu) pour chaque img
+ */
+export function forEachImageNode(pluData, callback) {
+    const visitNode = (node, titre, contenu) => {
+        if (!node || typeof node !== 'object') return;
+
+        if (node.tag === 'img') {
+            callback(node, titre, contenu);
         }
 
-        // Supprimer les clés
-        keysToDelete.forEach(key => localStorage.removeItem(key));
-    } catch (error) {
-        console.error('Erreur lors de la suppression des images:', error);
-    }
+        if (Array.isArray(node.children)) {
+            node.children.forEach(child => visitNode(child, titre, contenu));
+        }
+    };
+
+    const visitTitres = (titres) => {
+        (titres || []).forEach(titre => {
+            (titre.contenu || []).forEach(contenu => {
+                (contenu.html || []).forEach(node => visitNode(node, titre, contenu));
+            });
+            visitTitres(titre.titre);
+        });
+    };
+
+    visitTitres(pluData?.titre);
 }
 
 /**
- * Obtient la taille totale des images stockées (en bytes)
- * @param {string} idUrba - ID du PLU (optionnel)
- * @returns {number} - Taille en bytes
+ * Recense les images référencées (ressources/...) par les contenus d'un PLU
+ * @param {Object} pluData - Données du PLU
+ * @returns {Map<string, Array>} - Nom de fichier -> liste des usages { titre, contenu }
  */
-export function getImagesSize(idUrba = null) {
-    const prefix = idUrba ? `${IMAGE_PREFIX}${idUrba}_` : IMAGE_PREFIX;
-    let totalSize = 0;
+export function findImageReferences(pluData) {
+    const references = new Map();
 
-    try {
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(prefix)) {
-                const data = localStorage.getItem(key);
-                if (data) {
-                    totalSize += data.length;
-                }
-            }
+    forEachImageNode(pluData, (node, titre, contenu) => {
+        if (!node.attrs?.src?.startsWith('ressources/')) return;
+
+        const filename = node.attrs.src.replace('ressources/', '');
+        if (!references.has(filename)) {
+            references.set(filename, []);
         }
-    } catch (error) {
-        console.error('Erreur lors du calcul de la taille:', error);
-    }
+        references.get(filename).push({ titre, contenu });
+    });
 
-    return totalSize;
+    return references;
 }
 
 /**
- * Convertit base64 en Blob
- * @param {string} base64 - Données en base64
+ * Remplace les références ressources/<ancien> par ressources/<nouveau> dans un PLU
+ * @param {Object} pluData - Données du PLU (modifiées en place)
+ * @param {string} oldFilename - Nom de fichier actuel
+ * @param {string} newFilename - Nouveau nom de fichier
+ * @returns {number} - Nombre de références modifiées
+ */
+export function renameImageReferences(pluData, oldFilename, newFilename) {
+    let count = 0;
+
+    forEachImageNode(pluData, (node) => {
+        if (node.attrs?.src === `ressources/${oldFilename}`) {
+            node.attrs.src = `ressources/${newFilename}`;
+            count++;
+        }
+    });
+
+    return count;
+}
+
+/**
+ * Obtient l'extension depuis le type de contenu
  * @param {string} contentType - Type MIME
- * @returns {Blob}
+ * @returns {string} - Extension (png par défaut)
  */
-export function base64ToBlob(base64, contentType) {
-    const byteCharacters = atob(base64);
-    const byteNumbers = new Array(byteCharacters.length);
-    for (let i = 0; i < byteCharacters.length; i++) {
-        byteNumbers[i] = byteCharacters.charCodeAt(i);
+export function getExtensionFromContentType(contentType) {
+    const types = {
+        'image/png': 'png',
+        'image/jpeg': 'jpg',
+        'image/jpg': 'jpg',
+        'image/gif': 'gif',
+        'image/webp': 'webp',
+        'image/bmp': 'bmp',
+        'image/svg+xml': 'svg'
+    };
+    return types[contentType] || 'png';
+}
+
+/**
+ * Construit un nom de fichier libre pour une nouvelle image du document
+ * (nom d'origine normalisé, suffixé _2, _3... s'il est déjà pris)
+ * @param {string} documentId - ID du document
+ * @param {string} originalName - Nom du fichier d'origine (peut être vide)
+ * @param {string} contentType - Type MIME
+ * @returns {string} - Nom de fichier
+ */
+export function createUniqueImageFilename(documentId, originalName, contentType) {
+    const baseName = (originalName || '').replace(/\.[^.]*$/, '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9_-]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .substring(0, 40) || 'image';
+    const extension = getExtensionFromContentType(contentType);
+
+    let filename = `${baseName}.${extension}`;
+    let suffix = 2;
+    while (getImage(documentId, filename)) {
+        filename = `${baseName}_${suffix}.${extension}`;
+        suffix++;
     }
-    const byteArray = new Uint8Array(byteNumbers);
-    return new Blob([byteArray], { type: contentType });
+
+    return filename;
 }
@@ -0,0 +1,200 @@
+/**
+ * Module de patchs JSON (opérations add / remove / replace de la RFC 6902)
+ *
+ * Sert à l'historique : chaque action est conservée sous forme d'un patch
+ * aller et d'un patch retour plutôt que d'une copie complète du PLU.
+ */
+
+/**
+ * Calcule les patchs entre deux valeurs JSON
+ * @param {*} before - Valeur de départ
+ * @param {*} after - Valeur d'arrivée
+ * @returns {Object} - { forward, inverse } : patchs before → after et after → before
+ */
+export function createPatches(before, after) {
+    const forward = [];
+    const inverse = [];
+
+    diffValues(before, after, '', forward, inverse);
+
+    // Le patch retour s'applique dans l'ordre inverse du patch aller
+    inverse.reverse();
+
+    return { forward, inverse };
+}
+
+/**
+ * Applique un patch (les valeurs sont copiées, le patch reste réutilisable)
+ * @param {*} document - Valeur à modifier (modifiée sur place)
+ * @param {Array} patch - Opérations { op, path, value }
+ * @returns {*} - Valeur modifiée (nouvelle valeur si la racine est remplacée)
+ */
+export function applyPatch(document, patch) {
+    let root = document;
+
+    patch.forEach(({ op, path, value }) => {
+        if (path === '') {
+            root = op === 'remove' ? undefined : cloneValue(value);
+            return;
+        }
+
+        const keys = parsePointer(path);
+        const last = keys.pop();
+        let parent = root;
+        keys.forEach(key => {
+            parent = parent?.[Array.isArray(parent) ? Number(key) : key];
+        });
+
+        if (parent === null || typeof parent !== 'object') {
+            throw new Error(`Chemin de patch introuvable : ${path}`);
+        }
+
+        if (Array.isArray(parent)) {
+            const index = last === '-' ? parent.length : Number(last);
+            if (op === 'add') {
+                parent.splice(index, 0, cloneValue(value));
+            } else if (op === 'remove') {
+                parent.splice(index, 1);
+            } else {
+                parent[index] = cloneValue(value);
+            }
+        } else if (op === 'remove') {
+            delete parent[last];
+        } else {
+            parent[last] = cloneValue(value);
+        }
+    });
+
+    return root;
+}
+
+/**
+ * Taille approximative d'un patch en mémoire (octets)
+ * @param {Array} patch - Opérations
+ * @returns {number}
+ */
+export function estimatePatchSize(patch) {
+    // Les chaînes JavaScript occupent deux octets par caractère
+    return JSON.stringify(patch).length * 2;
+}
+
+/**
+ * Compare récursivement deux valeurs et ajoute les opérations aux deux patchs
+ */
+function diffValues(before, after, path, forward, inverse) {
+    if (before === after) return;
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        diffArrays(before, after, path, forward, inverse);
+        return;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        diffObjects(before, after, path, forward, inverse);
+        return;
+    }
+
+    if (isEqual(before, after)) return;
+
+    forward.push({ op: 'replace', path, value: cloneValue(after) });
+    inverse.push({ op: 'replace', path, value: cloneValue(before) });
+}
+
+/**
+ * Compare deux objets clé par clé
+ */
+function diffObjects(before, after, path, forward, inverse) {
+    Object.keys(before).forEach(key => {
+        const childPath = `${path}/${escapeKey(key)}`;
+        if (!(key in after)) {
+            forward.push({ op: 'remove', path: childPath });
+            inverse.push({ op: 'add', path: childPath, value: cloneValue(before[key]) });
+        } else {
+            diffValues(before[key], after[key], childPath, forward, inverse);
+        }
+    });
+
+    Object.keys(after).forEach(key => {
+        if (!(key in before)) {
+            const childPath = `${path}/${escapeKey(key)}`;
+            forward.push({ op: 'add', path: childPath, value: cloneValue(after[key]) });
+            inverse.push({ op: 'remove', path: childPath });
+        }
+    });
+}
+
+/**
+ * Compare deux tableaux : le début et la fin communs sont ignorés, la partie
+ * centrale est comparée élément par élément puis complétée par des ajouts
+ * ou des suppressions (ce qui garde compact l'insertion ou la suppression d'un titre)
+ */
+function diffArrays(before, after, path, forward, inverse) {
+    let start = 0;
+    while (start < before.length && start < after.length && isEqual(before[start], after[start])) {
+        start++;
+    }
+
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && isEqual(before[endBefore - 1], after[endAfter - 1])) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const common = Math.min(endBefore - start, endAfter - start);
+    for (let i = start; i < start + common; i++) {
+        diffValues(before[i], after[i], `${path}/${i}`, forward, inverse);
+    }
+
+    // Suppressions en partant de la fin pour que les indices restent valables
+    for (let i = endBefore - 1; i >= start + common; i--) {
+        forward.push({ op: 'remove', path: `${path}/${i}` });
+        inverse.push({ op: 'add', path: `${path}/${i}`, value: cloneValue(before[i]) });
+    }
+
+    for (let i = start + common; i < endAfter; i++) {
+        forward.push({ op: 'add', path: `${path}/${i}`, value: cloneValue(after[i]) });
+        inverse.push({ op: 'remove', path: `${path}/${i}` });
+    }
+}
+
+/**
+ * Égalité profonde de deux valeurs JSON
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, index) => isEqual(value, b[index]));
+    }
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every(key => key in b && isEqual(a[key], b[key]));
+    }
+
+    return false;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Échappe une clé pour un pointeur JSON (RFC 6901)
+ */
+function escapeKey(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Découpe un pointeur JSON en clés
+ */
+function parsePointer(path) {
+    return path.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
@@ -0,0 +1,282 @@
+/**
+ * Module d'édition des liens hypertextes dans l'éditeur TipTap
+ */
+
+import { state } from './state.js';
+import { showToast } from './ui.js';
+import { isValidLinkHref } from './validation.js';
+
+/**
+ * Préfixe des liens internes pointant vers un titre du règlement (titre:<idTitre>)
+ * C'est une URI valide au sens du schéma (format: uri)
+ */
+export const INTERNAL_LINK_SCHEME = 'titre:';
+
+/**
+ * Indique si un href est une référence interne vers un titre
+ * @param {string} href - URL du lien
+ * @returns {boolean}
+ */
+export function isInternalLink(href) {
+    return typeof href === 'string' && href.startsWith(INTERNAL_LINK_SCHEME);
+}
+
+/**
+ * Retrouve le titre ciblé par un lien interne
+ * @param {string} href - URL du lien
+ * @returns {Object|null} - Titre ou null
+ */
+export function findLinkedTitre(href) {
+    if (!isInternalLink(href)) return null;
+
+    const idTitre = href.substring(INTERNAL_LINK_SCHEME.length);
+    const item = state.flatTitles.find(ft => ft.titre.idTitre === idTitre);
+    return item ? item.titre : null;
+}
+
+/**
+ * Met à jour les liens internes après un changement d'identifiants de titres
+ * @param {Object} pluData - Données du PLU (modifiées en place)
+ * @param {Map<string, string>} renamedIds - Ancien idTitre -> nouvel idTitre
+ * @returns {number} - Nombre de liens modifiés
+ */
+export function renameInternalLinks(pluData, renamedIds) {
+    let count = 0;
+    if (!renamedIds || renamedIds.size === 0) return count;
+
+    const visitNode = (node) => {
+        if (!node || typeof node !== 'object') return;
+
+        if (node.tag === 'a' && isInternalLink(node.attrs?.href)) {
+            const newId = renamedIds.get(node.attrs.href.substring(INTERNAL_LINK_SCHEME.length));
+            if (newId) {
+                node.attrs.href = `${INTERNAL_LINK_SCHEME}${newId}`;
+                count++;
+            }
+        }
+
+        if (Array.isArray(node.children)) {
+            node.children.forEach(visitNode);
+        }
+    };
+
+    const visitTitres = (titres) => {
+        (titres || []).forEach(titre => {
+            (titre.contenu || []).forEach(contenu => (contenu.html || []).forEach(visitNode));
+            visitTitres(titre.titre);
+        });
+    };
+
+    visitTitres(pluData?.titre);
+
+    return count;
+}
+
+/**
+ * Affiche la fenêtre d'édition du lien sous la sélection courante
+ * @param {Object} editor - Instance TipTap
+ */
+export function showLinkPopover(editor) {
+    const popover = document.getElementById('link-popover');
+    if (!popover || !editor) return;
+
+    const currentHref = editor.isActive('link') ? editor.getAttributes('link').href || '' : '';
+    const internal = isInternalLink(currentHref);
+
+    // Remplir la liste des titres pour le mode référence interne
+    const titreSelect = document.getElementById('link-titre');
+    titreSelect.innerHTML = '';
+    state.flatTitles.forEach(({ titre, path }) => {
+        const option = document.createElement('option');
+        option.value = titre.idTitre;
+        option.textContent = `${'  '.repeat(path.length - 1)}${titre.numero ? titre.numero + ' ' : ''}${titre.intitule || 'Sans titre'}`;
+        titreSelect.appendChild(option);
+    });
+
+    document.getElementById('link-mode').value = internal ? 'internal' : 'external';
+    document.getElementById('link-href').value = internal ? '' : currentHref;
+    if (internal) {
+        titreSelect.value = currentHref.substring(INTERNAL_LINK_SCHEME.length);
+    }
+
+    document.getElementById('link-remove').disabled = !currentHref;
+    setLinkError('');
+    updateLinkMode();
+
+    // Positionner sous la sélection
+    const coords = editor.view.coordsAtPos(editor.state.selection.from);
+    popover.style.left = `${Math.max(10, Math.min(coords.left, window.innerWidth - 380))}px`;
+    popover.style.top = `${coords.bottom + 8}px`;
+    popover.classList.add('show');
+
+    const focusTarget = internal ? titreSelect : document.getElementById('link-href');
+    focusTarget.focus();
+}
+
+/**
+ * Ferme la fenêtre d'édition du lien
+ */
+export function hideLinkPopover() {
+    const popover = document.getElementById('link-popover');
+    if (popover) {
+        popover.classList.remove('show');
+    }
+}
+
+/**
+ * Affiche les champs correspondant au mode choisi (URL externe / titre)
+ */
+function updateLinkMode() {
+    const internal = document.getElementById('link-mode').value === 'internal';
+
+    document.getElementById('link-external-group').style.display = internal ? 'none' : 'block';
+    document.getElementById('link-internal-group').style.display = internal ? 'block' : 'none';
+    document.getElementById('link-open').style.display = internal ? 'none' : 'inline-block';
+}
+
+/**
+ * Affiche un message d'erreur dans la fenêtre du lien
+ */
+function setLinkError(message) {
+    const error = document.getElementById('link-error');
+    error.textContent = message;
+    error.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Retourne le href saisi dans la fenêtre selon le mode
+ */
+function getPopoverHref() {
+    if (document.getElementById('link-mode').value === 'internal') {
+        const idTitre = document.getElementById('link-titre').value;
+        return idTitre ? `${INTERNAL_LINK_SCHEME}${idTitre}` : '';
+    }
+    return document.getElementById('link-href').value.trim();
+}
+
+/**
+ * Applique le lien saisi à la sélection
+ */
+async function applyLink() {
+    const editor = window.editorInstance;
+    if (!editor) return;
+
+    const href = getPopoverHref();
+    if (!href) {
+        setLinkError(document.getElementById('link-mode').value === 'internal'
+            ? 'Choisissez un titre'
+            : 'Saisissez une URL');
+        return;
+    }
+
+    let valid;
+    try {
+        valid = await isValidLinkHref(href);
+    } catch (error) {
+        console.error('Erreur lors de la vérification du lien:', error);
+        setLinkError("Impossible de charger le schéma pour vérifier l'URL");
+        return;
+    }
+
+    if (!valid) {
+        setLinkError("URL invalide : une URI absolue est attendue (ex: https://www.exemple.fr/page)");
+        return;
+    }
+
+    const { empty } = editor.state.selection;
+
+    if (empty && !editor.isActive('link')) {
+        // Aucune sélection : insérer le texte du lien
+        const linkedTitre = findLinkedTitre(href);
+        const text = linkedTitre ? linkedTitre.intitule || href : href;
+        editor.chain().focus().insertContent({
+            type: 'text',
+            text,
+            marks: [{ type: 'link', attrs: { href } }]
+        }).run();
+    } else {
+        editor.chain().focus().extendMarkRange('link').setLink({ href }).run();
+    }
+
+    hideLinkPopover();
+}
+
+/**
+ * Retire le lien de la sélection
+ */
+function removeLink() {
+    const editor = window.editorInstance;
+    if (!editor) return;
+
+    editor.chain().focus().extendMarkRange('link').unsetLink().run();
+    hideLinkPopover();
+}
+
+/**
+ * Ouvre le lien externe dans un nouvel onglet
+ */
+async function openLink() {
+    const href = getPopoverHref();
+
+    if (!href || !(await isValidLinkHref(href))) {
+        setLinkError('URL invalide');
+        return;
+    }
+
+    window.open(href, '_blank', 'noopener');
+}
+
+/**
+ * Configure les gestionnaires d'événements de la fenêtre des liens
+ */
+export function setupLinkEventHandlers() {
+    const popover = document.getElementById('link-popover');
+    if (!popover) return;
+
+    document.getElementById('link-mode').addEventListener('change', () => {
+        setLinkError('');
+        updateLinkMode();
+    });
+
+    popover.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'apply-link':
+                applyLink();
+                break;
+            case 'open-link':
+                openLink().catch(error => {
+                    console.error('Erreur lors de l\'ouverture du lien:', error);
+                    showToast("Impossible d'ouvrir le lien", "error");
+                });
+                break;
+            case 'remove-link':
+                removeLink();
+                break;
+            case 'close-link':
+                hideLinkPopover();
+                break;
+        }
+    });
+
+    popover.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyLink();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            hideLinkPopover();
+            window.editorInstance?.commands.focus();
+        }
+    });
+
+    // Fermer en cliquant ailleurs
+    document.addEventListener('mousedown', (e) => {
+        if (popover.classList.contains('show') && !popover.contains(e.target)
+            && !e.target.closest('[data-action="link"]')) {
+            hideLinkPopover();
+        }
+    });
+}
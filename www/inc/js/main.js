@@ -9,16 +9,28 @@ import { Table } from 'https://esm.sh/@tiptap/extension-table@2.1.13';
 import { TableRow } from 'https://esm.sh/@tiptap/extension-table-row@2.1.13';
 import { TableCell } from 'https://esm.sh/@tiptap/extension-table-cell@2.1.13';
 import { TableHeader } from 'https://esm.sh/@tiptap/extension-table-header@2.1.13';
+import { Underline } from 'https://esm.sh/@tiptap/extension-underline@2.1.13';
+import { Link } from 'https://esm.sh/@tiptap/extension-link@2.1.13';
 
-import { initTipTap } from './state.js';
+import { state, initTipTap } from './state.js';
 import { setupModalClickOutside } from './ui.js';
-import { setupTreeEventHandlers, confirmNewTitle } from './tree.js';
-import { setupEditorEventHandlers } from './editor.js';
+import { setupTreeEventHandlers, confirmNewTitle, selectAdjacentTitre, promoteTitre, demoteTitre, focusTreeSearch } from './tree.js';
+import { setupEditorEventHandlers, saveContent, saveTitreMetadata, cancelEditContent } from './editor.js';
 import { setupMetadataEventHandlers } from './metadata.js';
 import { setupStorageEventHandlers } from './storage.js';
+import { setupValidationEventHandlers } from './validation.js';
+import { setupLinkEventHandlers, showLinkPopover } from './links.js';
+import { setupImageUploadEventHandlers, openImagePicker, handleImageDrop, handleImagePaste } from './image-upload.js';
+import { setupImageLibraryEventHandlers } from './image-library.js';
+import { setupWorkspaceEventHandlers } from './workspace.js';
+import { setupVersionLibraryEventHandlers } from './version-library.js';
+import { setupCompareEventHandlers } from './compare.js';
+import { setupIdRegenerationEventHandlers } from './id-regeneration.js';
+import { setupNumberingEventHandlers } from './numbering-panel.js';
 import { closeModal } from './ui.js';
 import { initAutosave } from './autosave.js';
-import { initHistory } from './history.js';
+import { initHistory, undo, redo } from './history.js';
+import { registerShortcut, setupShortcutEventHandlers, showShortcutsHelp } from './shortcuts.js';
 
 /**
  * Initialise l'application au chargement du DOM
@@ -30,10 +42,23 @@ document.addEventListener('DOMContentLoaded', function() {
     setupEditorEventHandlers();
     setupMetadataEventHandlers();
     setupStorageEventHandlers();
+    setupValidationEventHandlers();
+    setupLinkEventHandlers();
+    setupImageUploadEventHandlers();
+    setupImageLibraryEventHandlers();
+    setupWorkspaceEventHandlers();
+    setupVersionLibraryEventHandlers();
+    setupCompareEventHandlers();
+    setupIdRegenerationEventHandlers();
+    setupNumberingEventHandlers();
 
     // Configurer les boutons des modaux (fermeture et confirmation)
     setupModalButtons();
 
+    // Raccourcis clavier
+    registerShortcuts();
+    setupShortcutEventHandlers();
+
     // Initialiser l'autosave et l'historique
     initAutosave();
     initHistory();
@@ -87,17 +112,60 @@ export function initializeTipTapIfNeeded() {
                     class: 'editor-image'
                 }
             }),
-            Table.configure({
+            // Images au fil du texte (pictogrammes, symboles), en plus des images en bloc
+            Image.extend({
+                name: 'inlineImage',
+                parseHTML() {
+                    return [{ tag: 'img[src].editor-image-inline', priority: 60 }];
+                }
+            }).configure({
+                inline: true,
+                allowBase64: true,
+                HTMLAttributes: {
+                    class: 'editor-image-inline'
+                }
+            }),
+            Table.extend({
+                // Mémorise si le tableau d'origine avait un découpage thead/tbody
+                addAttributes() {
+                    return {
+                        ...this.parent?.(),
+                        sections: {
+                            default: false,
+                            rendered: false
+                        }
+                    };
+                }
+            }).configure({
                 resizable: true,
             }),
             TableRow,
             TableCell,
-            TableHeader
+            TableHeader,
+            Underline,
+            Link.configure({
+                openOnClick: false,
+                autolink: false
+            })
         ],
         content: '',
         editorProps: {
             attributes: {
                 class: 'tiptap'
+            },
+            // Un clic sur un lien ouvre la fenêtre d'édition du lien
+            handleClick: (view, pos, event) => {
+                if (event.target.closest('a')) {
+                    setTimeout(() => showLinkPopover(window.editorInstance), 0);
+                }
+                return false;
+            },
+            // Images déposées ou collées depuis le disque / le presse-papiers
+            handleDrop: (view, event, slice, moved) => {
+                return !moved && handleImageDrop(view, event);
+            },
+            handlePaste: (view, event) => {
+                return handleImagePaste(view, event);
             }
         },
         onUpdate: () => {
@@ -206,17 +274,11 @@ function handleToolbarAction(action, level) {
             break;
         
         case 'link':
-            const url = prompt('URL du lien:');
-            if (url) {
-                editor.chain().focus().setLink({ href: url }).run();
-            }
+            showLinkPopover(editor);
             break;
         
         case 'image':
-            const src = prompt('URL de l\'image:');
-            if (src) {
-                editor.chain().focus().setImage({ src }).run();
-            }
+            openImagePicker();
             break;
         
         case 'table':
@@ -300,3 +362,111 @@ function setupModalButtons() {
     }
 }
 
+/**
+ * Enregistre les raccourcis clavier de l'application
+ * (Ctrl+Z dans l'éditeur TipTap ou un champ reste géré par le navigateur)
+ */
+function registerShortcuts() {
+    const getOpenModals = () => document.querySelectorAll('.modal.show');
+    const noModalOpen = () => getOpenModals().length === 0;
+
+    registerShortcut({
+        group: 'Historique',
+        keys: 'Ctrl+Z',
+        description: 'Annuler la dernière action',
+        when: noModalOpen,
+        handler: () => undo()
+    });
+
+    registerShortcut({
+        group: 'Historique',
+        keys: ['Ctrl+Y', 'Ctrl+Shift+Z'],
+        description: 'Rétablir la dernière action annulée',
+        when: noModalOpen,
+        handler: () => redo()
+    });
+
+    registerShortcut({
+        group: 'Édition',
+        keys: 'Ctrl+S',
+        description: 'Enregistrer le contenu en cours d\'édition, sinon les métadonnées du titre',
+        allowInInputs: true,
+        when: noModalOpen,
+        handler: () => {
+            if (state.isEditing) {
+                saveContent();
+            } else {
+                saveTitreMetadata();
+            }
+        }
+    });
+
+    registerShortcut({
+        group: 'Édition',
+        keys: 'Escape',
+        description: 'Fermer la fenêtre ouverte, sinon annuler l\'édition du contenu',
+        allowInInputs: true,
+        when: () => !noModalOpen() || state.isEditing,
+        handler: () => {
+            const openModals = getOpenModals();
+            if (openModals.length > 0) {
+                closeModal(openModals[openModals.length - 1].id);
+            } else {
+                cancelEditContent();
+            }
+        }
+    });
+
+    registerShortcut({
+        group: 'Navigation',
+        keys: 'Alt+ArrowUp',
+        description: 'Titre précédent',
+        when: noModalOpen,
+        handler: () => selectAdjacentTitre(-1)
+    });
+
+    registerShortcut({
+        group: 'Navigation',
+        keys: 'Alt+ArrowDown',
+        description: 'Titre suivant',
+        when: noModalOpen,
+        handler: () => selectAdjacentTitre(1)
+    });
+
+    registerShortcut({
+        group: 'Navigation',
+        keys: 'Ctrl+Shift+F',
+        description: 'Rechercher dans l\'arborescence des titres',
+        allowInInputs: true,
+        when: noModalOpen,
+        handler: focusTreeSearch
+    });
+
+    // Les actions de structure portent sur le titre sélectionné
+    const getCurrentFlatIndex = () => state.flatTitles.findIndex(ft => ft.titre === state.currentTitre);
+    const hasCurrentTitre = () => noModalOpen() && getCurrentFlatIndex() !== -1;
+
+    registerShortcut({
+        group: 'Structure',
+        keys: 'Alt+Shift+ArrowLeft',
+        description: 'Remonter le titre sélectionné d\'un niveau',
+        when: hasCurrentTitre,
+        handler: () => promoteTitre(getCurrentFlatIndex())
+    });
+
+    registerShortcut({
+        group: 'Structure',
+        keys: 'Alt+Shift+ArrowRight',
+        description: 'Abaisser le titre sélectionné d\'un niveau (sous le titre précédent)',
+        when: hasCurrentTitre,
+        handler: () => demoteTitre(getCurrentFlatIndex())
+    });
+
+    registerShortcut({
+        group: 'Aide',
+        keys: 'F1',
+        description: 'Afficher cette aide',
+        allowInInputs: true,
+        handler: showShortcutsHelp
+    });
+}
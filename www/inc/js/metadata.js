@@ -4,7 +4,10 @@
 
 import { state } from './state.js';
 import { showToast, showModal, closeModal } from './ui.js';
-import { renderTree } from './tree.js';
+import { renderTree, renameExpandedNodes } from './tree.js';
+import { captureState } from './history.js';
+import { renameInternalLinks } from './links.js';
+import { renumberContenus } from './ids.js';
 
 /**
  * Affiche l'éditeur de métadonnées
@@ -113,10 +116,12 @@ export function saveMetadata() {
         idUrba = `${inseeCommune[0]}_${typeDoc}_${date}`;
     }
 
-    // Mettre à jour les données PLU
-    const oldIdUrba = state.pluData.idUrba;
     const oldIdReglement = state.pluData.idReglement;
 
+    // Capturer l'état avant modification
+    captureState("Modification des métadonnées");
+
+    // Mettre à jour les données PLU
     state.pluData.nom = nom;
     state.pluData.typeDoc = typeDoc;
     state.pluData.idUrba = idUrba;
@@ -130,9 +135,11 @@ export function saveMetadata() {
         delete state.pluData.sirenEpci;
     }
 
-    // Mettre à jour tous les IDs de titre si l'idReglement a changé
+    // Mettre à jour tous les IDs de titre (et les liens internes) si l'idReglement a changé
     if (oldIdReglement !== state.pluData.idReglement) {
-        updateAllTitreIds(state.pluData.titre, oldIdReglement, state.pluData.idReglement);
+        const renamedIds = updateAllTitreIds(state.pluData.titre, oldIdReglement, state.pluData.idReglement);
+        renameInternalLinks(state.pluData, renamedIds);
+        renameExpandedNodes(renamedIds);
     }
 
     // Mettre à jour tous les inseeCommune dans les titres
@@ -144,32 +151,31 @@ export function saveMetadata() {
 }
 
 /**
- * Met É  jour tous les IDs de titre récursivement
+ * Met à jour tous les IDs de titre récursivement
+ * @returns {Map<string, string>} - Ancien idTitre -> nouvel idTitre
  */
-function updateAllTitreIds(titres, oldPrefix, newPrefix) {
+function updateAllTitreIds(titres, oldPrefix, newPrefix, renamedIds = new Map()) {
     titres.forEach(titre => {
         if (titre.idTitre && titre.idTitre.startsWith(oldPrefix)) {
-            titre.idTitre = titre.idTitre.replace(oldPrefix, newPrefix);
+            const newId = newPrefix + titre.idTitre.substring(oldPrefix.length);
+            renamedIds.set(titre.idTitre, newId);
+            titre.idTitre = newId;
         }
         
-        // Mettre É  jour les IDs de contenu
-        if (titre.contenu) {
-            titre.contenu.forEach(contenu => {
-                if (contenu.idContenu && contenu.idContenu.startsWith(oldPrefix)) {
-                    contenu.idContenu = contenu.idContenu.replace(oldPrefix, newPrefix);
-                }
-            });
-        }
+        // Mettre à jour les IDs de contenu
+        renumberContenus(titre);
 
         // Récursion dans les sous-titres
         if (titre.titre && titre.titre.length > 0) {
-            updateAllTitreIds(titre.titre, oldPrefix, newPrefix);
+            updateAllTitreIds(titre.titre, oldPrefix, newPrefix, renamedIds);
         }
     });
+
+    return renamedIds;
 }
 
 /**
- * Met É  jour tous les inseeCommune récursivement
+ * Met à jour tous les inseeCommune récursivement
  */
 function updateAllInseeCommune(titres, inseeCommune) {
     titres.forEach(titre => {
@@ -0,0 +1,290 @@
+/**
+ * Module de la fenêtre de numérotation automatique des titres
+ * (choix du schéma, numérotation, extraction des numéros des intitulés)
+ */
+
+import { state } from './state.js';
+import { showToast, showModal, closeModal, handleError } from './ui.js';
+import { renderTree } from './tree.js';
+import { captureState } from './history.js';
+import {
+    NUMBERING_STYLES, NUMBERING_PRESETS, applyNumbering, findLeadingNumeros, extractLeadingNumeros
+} from './numbering.js';
+
+// Schéma choisi et renumérotation automatique, conservés d'une session à l'autre
+const NUMBERING_SETTINGS_KEY = 'plu_editor_numbering';
+
+const STYLE_LABELS = {
+    none: 'Aucun',
+    roman: 'I, II, III',
+    arabic: '1, 2, 3',
+    alpha: 'A, B, C',
+    decimal: '1.2.3'
+};
+
+/**
+ * Réglages de numérotation enregistrés
+ * @returns {Object} - { levels, auto }
+ */
+export function getNumberingSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem(NUMBERING_SETTINGS_KEY));
+        if (settings && Array.isArray(settings.levels)) {
+            return settings;
+        }
+    } catch (error) {
+        console.warn('Réglages de numérotation illisibles, schéma par défaut utilisé', error);
+    }
+    return { levels: NUMBERING_PRESETS.plu.levels, auto: false };
+}
+
+/**
+ * Enregistre les réglages de numérotation
+ * @param {Object} settings - { levels, auto }
+ */
+function saveNumberingSettings(settings) {
+    localStorage.setItem(NUMBERING_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Renumérote tout le document si la renumérotation automatique est activée
+ * (appelée après un déplacement de titre, dans la même action d'historique)
+ * @returns {number} - Nombre de numéros modifiés
+ */
+export function applyAutoNumbering() {
+    const settings = getNumberingSettings();
+    if (!settings.auto || !state.pluData) {
+        return 0;
+    }
+    return applyNumbering(state.pluData, settings.levels);
+}
+
+/**
+ * Refuse de numéroter pendant l'édition d'un contenu
+ */
+function ensureNotEditing() {
+    if (state.isEditing) {
+        showToast("Veuillez sauvegarder ou annuler vos modifications avant de numéroter les titres", "error");
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Ouvre la fenêtre de numérotation
+ */
+export function showNumbering() {
+    try {
+        if (!state.pluData) {
+            throw new Error("Aucun PLU chargé");
+        }
+
+        if (!ensureNotEditing()) return;
+
+        const settings = getNumberingSettings();
+        renderLevels(settings.levels);
+        document.getElementById('numbering-preset').value = findPreset(settings.levels);
+        document.getElementById('numbering-auto').checked = settings.auto;
+
+        const scope = document.getElementById('numbering-scope');
+        scope.querySelector('option[value="current"]').disabled = !state.currentTitre;
+        scope.value = 'all';
+
+        showModal('numberingModal');
+    } catch (error) {
+        handleError(error, "ouverture de la numérotation");
+    }
+}
+
+/**
+ * Schéma prédéfini correspondant aux niveaux, ou 'custom'
+ */
+function findPreset(levels) {
+    const key = JSON.stringify(levels);
+    return Object.keys(NUMBERING_PRESETS).find(name => JSON.stringify(NUMBERING_PRESETS[name].levels) === key) || 'custom';
+}
+
+/**
+ * Remplit le tableau des niveaux (style et préfixe)
+ * @param {Array} levels - Schéma de numérotation
+ */
+function renderLevels(levels) {
+    const body = document.getElementById('numbering-levels');
+    body.innerHTML = '';
+
+    levels.forEach((level, index) => {
+        const row = document.createElement('tr');
+
+        const label = document.createElement('td');
+        label.textContent = `Niveau ${index + 1}`;
+
+        const styleCell = document.createElement('td');
+        const select = document.createElement('select');
+        select.className = 'numbering-style';
+        NUMBERING_STYLES.forEach(style => {
+            const option = document.createElement('option');
+            option.value = style;
+            option.textContent = STYLE_LABELS[style];
+            select.appendChild(option);
+        });
+        select.value = level.style;
+        styleCell.appendChild(select);
+
+        const prefixCell = document.createElement('td');
+        const prefix = document.createElement('input');
+        prefix.type = 'text';
+        prefix.className = 'numbering-prefix';
+        prefix.placeholder = 'Préfixe (ex: Article {zone})';
+        prefix.value = level.prefix || '';
+        prefixCell.appendChild(prefix);
+
+        row.appendChild(label);
+        row.appendChild(styleCell);
+        row.appendChild(prefixCell);
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Lit le schéma saisi dans le tableau des niveaux
+ * @returns {Array}
+ */
+function readLevels() {
+    return Array.from(document.querySelectorAll('#numbering-levels tr')).map(row => ({
+        style: row.querySelector('.numbering-style').value,
+        prefix: row.querySelector('.numbering-prefix').value.trim()
+    }));
+}
+
+/**
+ * Enregistre les réglages saisis dans la fenêtre
+ * @returns {Object} - Réglages enregistrés
+ */
+function storeFormSettings() {
+    const settings = {
+        levels: readLevels(),
+        auto: document.getElementById('numbering-auto').checked
+    };
+    saveNumberingSettings(settings);
+    return settings;
+}
+
+/**
+ * Met à jour les champs du titre ouvert après une modification des numéros ou intitulés
+ */
+function refreshCurrentTitreFields() {
+    if (!state.currentTitre) return;
+
+    document.getElementById('section-title').textContent = state.currentTitre.intitule || 'Sans titre';
+    document.getElementById('input-intitule').value = state.currentTitre.intitule || '';
+    document.getElementById('input-numero').value = state.currentTitre.numero || '';
+}
+
+/**
+ * Numérote les titres selon le schéma saisi
+ */
+function runNumbering() {
+    if (!state.pluData || !ensureNotEditing()) return;
+
+    const settings = storeFormSettings();
+
+    let rootPath = null;
+    if (document.getElementById('numbering-scope').value === 'current') {
+        const current = state.flatTitles.find(ft => ft.titre === state.currentTitre);
+        if (!current) {
+            showToast("Aucun titre sélectionné", "error");
+            return;
+        }
+        rootPath = current.path;
+    }
+
+    captureState("Numérotation des titres");
+    const count = applyNumbering(state.pluData, settings.levels, rootPath);
+
+    renderTree();
+    refreshCurrentTitreFields();
+    closeModal('numberingModal');
+
+    showToast(count > 0 ? `${count} numéro(s) de titre mis à jour` : "Les numéros étaient déjà à jour");
+}
+
+/**
+ * Déplace dans le champ numéro les numéros placés en tête des intitulés
+ */
+function runExtraction() {
+    if (!state.pluData || !ensureNotEditing()) return;
+
+    const found = findLeadingNumeros(state.pluData);
+    if (found.length === 0) {
+        showToast("Aucun numéro trouvé en tête des intitulés");
+        return;
+    }
+
+    const examples = found.slice(0, 5)
+        .map(({ titre, numero, intitule }) => `« ${titre.intitule} » → ${numero} | ${intitule}`)
+        .join('\n');
+    const more = found.length > 5 ? `\n… et ${found.length - 5} autre(s)` : '';
+    if (!confirm(`${found.length} titre(s) commencent par un numéro :\n\n${examples}${more}\n\nDéplacer ces numéros dans le champ Numéro ?`)) {
+        return;
+    }
+
+    captureState("Extraction des numéros des intitulés");
+    const count = extractLeadingNumeros(state.pluData);
+
+    renderTree();
+    refreshCurrentTitreFields();
+
+    showToast(`${count} numéro(s) extrait(s) des intitulés`);
+}
+
+/**
+ * Configure les gestionnaires d'évènements de la numérotation
+ */
+export function setupNumberingEventHandlers() {
+    const showBtn = document.querySelector('[data-action="show-numbering"]');
+    if (showBtn) {
+        showBtn.addEventListener('click', showNumbering);
+    }
+
+    const closeBtn = document.querySelector('[data-action="close-numbering"]');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => closeModal('numberingModal'));
+    }
+
+    const applyBtn = document.querySelector('[data-action="apply-numbering"]');
+    if (applyBtn) {
+        applyBtn.addEventListener('click', runNumbering);
+    }
+
+    const extractBtn = document.querySelector('[data-action="extract-numeros"]');
+    if (extractBtn) {
+        extractBtn.addEventListener('click', runExtraction);
+    }
+
+    const presetSelect = document.getElementById('numbering-preset');
+    if (presetSelect) {
+        Object.entries(NUMBERING_PRESETS).forEach(([name, preset]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = preset.label;
+            presetSelect.insertBefore(option, presetSelect.lastElementChild);
+        });
+
+        presetSelect.addEventListener('change', () => {
+            const preset = NUMBERING_PRESETS[presetSelect.value];
+            if (preset) {
+                renderLevels(preset.levels);
+            }
+        });
+    }
+
+    // Une modification du tableau fait passer en schéma personnalisé
+    const levelsBody = document.getElementById('numbering-levels');
+    if (levelsBody && presetSelect) {
+        const markCustom = () => {
+            presetSelect.value = findPreset(readLevels());
+        };
+        levelsBody.addEventListener('change', markCustom);
+        levelsBody.addEventListener('input', markCustom);
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * Module de numérotation automatique des titres (champ numero)
+ *
+ * Un schéma associe à chaque niveau de titre un style de numéro et un préfixe :
+ * - style : 'none', 'roman' (I, II), 'arabic' (1, 2), 'alpha' (A, B)
+ *   ou 'decimal' (1.2.3, d'après la position de chaque titre parent)
+ * - prefix : texte placé devant le numéro (« Chapitre », « Article {zone} »),
+ *   où {zone} est remplacé par la zone du titre ou de son parent le plus proche
+ *
+ * Le numéro d'un titre dépend uniquement de sa position parmi ses frères.
+ */
+
+export const NUMBERING_STYLES = ['none', 'roman', 'arabic', 'alpha', 'decimal'];
+
+// Schémas prédéfinis (un élément par niveau, du niveau 1 au niveau 6)
+export const NUMBERING_PRESETS = {
+    plu: {
+        label: 'Titre I / Chapitre 1 / Article UA 1',
+        levels: [
+            { style: 'roman', prefix: 'Titre' },
+            { style: 'arabic', prefix: 'Chapitre' },
+            { style: 'arabic', prefix: 'Article {zone}' },
+            { style: 'none', prefix: '' },
+            { style: 'none', prefix: '' },
+            { style: 'none', prefix: '' }
+        ]
+    },
+    roman: {
+        label: 'I / 1 / a',
+        levels: [
+            { style: 'roman', prefix: '' },
+            { style: 'arabic', prefix: '' },
+            { style: 'alpha', prefix: '' },
+            { style: 'none', prefix: '' },
+            { style: 'none', prefix: '' },
+            { style: 'none', prefix: '' }
+        ]
+    },
+    decimal: {
+        label: '1 / 1.2 / 1.2.3',
+        levels: Array.from({ length: 6 }, () => ({ style: 'decimal', prefix: '' }))
+    }
+};
+
+// Zones qui ne désignent pas une zone du règlement
+const GENERIC_ZONES = ['porteeGenerale'];
+
+/**
+ * Chiffres romains d'un entier positif
+ * @param {number} value - Entier (1 à 3999)
+ * @returns {string}
+ */
+export function toRoman(value) {
+    const numerals = [
+        [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+        [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+    ];
+
+    let remaining = value;
+    return numerals.reduce((result, [amount, numeral]) => {
+        while (remaining >= amount) {
+            result += numeral;
+            remaining -= amount;
+        }
+        return result;
+    }, '');
+}
+
+/**
+ * Lettres d'un entier positif (A, B... Z, AA, AB...)
+ * @param {number} value - Entier positif
+ * @returns {string}
+ */
+function toAlpha(value) {
+    let result = '';
+    let remaining = value;
+    while (remaining > 0) {
+        const letter = (remaining - 1) % 26;
+        result = String.fromCharCode(65 + letter) + result;
+        remaining = Math.floor((remaining - 1) / 26);
+    }
+    return result;
+}
+
+/**
+ * Zone à utiliser pour {zone} : première zone du titre, sinon de ses parents
+ * @param {Array} ancestors - Titres de la racine jusqu'au titre inclus
+ * @returns {string}
+ */
+function findZone(ancestors) {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+        const zone = (ancestors[i].idZone || []).find(code => !GENERIC_ZONES.includes(code));
+        if (zone) return zone;
+    }
+    return '';
+}
+
+/**
+ * Calcule le numéro d'un titre
+ * @param {Array<number>} path - Chemin du titre (indices successifs)
+ * @param {Array} ancestors - Titres de la racine jusqu'au titre inclus
+ * @param {Array} levels - Schéma (un élément { style, prefix } par niveau)
+ * @returns {string|null} - Numéro, ou null si le niveau n'est pas numéroté
+ */
+export function formatNumero(path, ancestors, levels) {
+    const level = levels[path.length - 1];
+    if (!level || level.style === 'none') {
+        return null;
+    }
+
+    const position = path[path.length - 1] + 1;
+    let number;
+    switch (level.style) {
+        case 'roman':
+            number = toRoman(position);
+            break;
+        case 'alpha':
+            number = toAlpha(position);
+            break;
+        case 'decimal':
+            number = path.map(index => index + 1).join('.');
+            break;
+        default:
+            number = String(position);
+    }
+
+    const prefix = (level.prefix || '').replace('{zone}', findZone(ancestors));
+
+    return `${prefix} ${number}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Numérote les titres du document, ou seulement un titre et ses sous-titres
+ * (les niveaux sans style ne sont pas modifiés)
+ * @param {Object} pluData - Données du PLU (modifiées sur place)
+ * @param {Array} levels - Schéma de numérotation
+ * @param {Array<number>|null} rootPath - Chemin du titre à renuméroter avec ses sous-titres, ou null pour tout le document
+ * @returns {number} - Nombre de numéros modifiés
+ */
+export function applyNumbering(pluData, levels, rootPath = null) {
+    let count = 0;
+
+    const visit = (titres, parentPath, parentAncestors) => {
+        (titres || []).forEach((titre, index) => {
+            const path = [...parentPath, index];
+            const ancestors = [...parentAncestors, titre];
+
+            // Hors du sous-arbre demandé : descendre seulement le long du chemin
+            const inScope = !rootPath || rootPath.every((value, i) => path[i] === value);
+            const onRootPath = rootPath && path.every((value, i) => rootPath[i] === value);
+            if (!inScope && !onRootPath) return;
+
+            if (inScope) {
+                const numero = formatNumero(path, ancestors, levels);
+                if (numero !== null && titre.numero !== numero) {
+                    titre.numero = numero;
+                    count++;
+                }
+            }
+
+            visit(titre.titre, path, ancestors);
+        });
+    };
+
+    visit(pluData.titre, [], []);
+    return count;
+}
+
+// Numéro en tête d'intitulé introduit par un mot-clé (« Article UA 1 », « Chapitre II »)
+// Seul le mot-clé ignore la casse : les chiffres romains et la zone restent en majuscules
+const KEYWORD_NUMERO = /^(?:[Tt]itre|TITRE|[Cc]hapitre|CHAPITRE|[Ss]ection|SECTION|[Aa]rticle|ARTICLE)\s+(?:[A-Z][A-Za-z0-9]*\s+)?(?:[IVXLCDM]+|\d+)(?:\.(?:[IVXLCDM]+|\d+|[a-z]))*(?![A-Za-z0-9])/;
+
+// Numéro seul en tête d'intitulé (« I.1 », « 1.2.3 », « A »)
+const BARE_NUMERO = /^(?:[IVXLCDM]+|\d+|[A-Z])(?:\.(?:[IVXLCDM]+|\d+|[A-Za-z]))*(?![A-Za-z0-9])/;
+
+// Séparateur entre le numéro et l'intitulé : espaces, signe éventuel, espaces
+const SEPARATOR = /^(\s*)([.):–—-]?)(\s*)/;
+
+// Signes acceptés après un numéro seul d'un seul élément (« 2 logements » n'est pas numéroté)
+const BARE_SEPARATORS = ['.', ')', '-', '–', '—'];
+
+/**
+ * Sépare le numéro placé en tête d'un intitulé
+ * @param {string} intitule - Intitulé (ex: 'I.1 – Dispositions')
+ * @returns {Object|null} - { numero, intitule } ou null si aucun numéro n'est reconnu
+ */
+export function splitLeadingNumero(intitule) {
+    const text = (intitule || '').trim();
+
+    const keywordMatch = text.match(KEYWORD_NUMERO);
+    const numeroMatch = keywordMatch || text.match(BARE_NUMERO);
+    if (!numeroMatch) {
+        return null;
+    }
+
+    const numero = numeroMatch[0];
+    const rest = text.slice(numero.length);
+    const [separator, spaceBefore, mark, spaceAfter] = rest.match(SEPARATOR);
+    const remainder = rest.slice(separator.length).trim();
+
+    if (!remainder || (!mark && !spaceBefore)) {
+        return null;
+    }
+
+    // Tiret collé des deux côtés : trait d'union d'une référence (« 151-19 »), pas un séparateur
+    const isDash = ['-', '–', '—'].includes(mark);
+    if (isDash && !spaceBefore && !spaceAfter) {
+        return null;
+    }
+
+    // Un intitulé qui commence par un chiffre prolonge une référence (« Article L. 151-19 »),
+    // sauf après un séparateur franc (« Article 6 – 6.1 Implantation »)
+    const strongSeparator = mark === ':' || mark === ')' || isDash;
+    if (/^\d/.test(remainder) && !strongSeparator) {
+        return null;
+    }
+
+    if (!keywordMatch && !numero.includes('.')) {
+        // Nombre ou lettre seuls : un vrai séparateur est exigé (« 10 % des surfaces », « A propos »)
+        if (!BARE_SEPARATORS.includes(mark)) {
+            return null;
+        }
+        // Lettre suivie d'un point : abréviation (« M. Dupont »), sauf chiffre romain I, V ou X
+        if (mark === '.' && /^[A-Z]$/.test(numero) && !/^[IVX]$/.test(numero)) {
+            return null;
+        }
+    }
+
+    return { numero, intitule: remainder };
+}
+
+/**
+ * Repère les titres dont l'intitulé commence par un numéro
+ * (titres sans numero, ou dont le numero est déjà ce numéro)
+ * @param {Object} pluData - Données du PLU
+ * @returns {Array} - [{ titre, numero, intitule }]
+ */
+export function findLeadingNumeros(pluData) {
+    const found = [];
+
+    const visit = (titres) => (titres || []).forEach(titre => {
+        const split = splitLeadingNumero(titre.intitule);
+        if (split && (!titre.numero || titre.numero === split.numero)) {
+            found.push({ titre, ...split });
+        }
+        visit(titre.titre);
+    });
+    visit(pluData.titre);
+
+    return found;
+}
+
+/**
+ * Déplace dans numero les numéros trouvés en tête des intitulés
+ * @param {Object} pluData - Données du PLU (modifiées sur place)
+ * @returns {number} - Nombre de titres modifiés
+ */
+export function extractLeadingNumeros(pluData) {
+    const found = findLeadingNumeros(pluData);
+
+    found.forEach(({ titre, numero, intitule }) => {
+        titre.numero = numero;
+        titre.intitule = intitule;
+    });
+
+    return found.length;
+}
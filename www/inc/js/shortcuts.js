@@ -0,0 +1,191 @@
+/**
+ * Module des raccourcis clavier : registre, gestionnaire global et aide
+ *
+ * Les combinaisons s'écrivent sous la forme « Ctrl+Shift+Z », « Alt+ArrowUp »
+ * ou « Escape » ; Ctrl correspond aussi à la touche Cmd sur macOS.
+ */
+
+import { showModal, closeModal } from './ui.js';
+
+const shortcuts = [];
+
+// Libellés affichés dans l'aide pour les touches nommées
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Échap',
+    Enter: 'Entrée'
+};
+
+/**
+ * Découpe une combinaison de touches
+ * @param {string} keys - Combinaison (ex: 'Ctrl+Shift+Z')
+ * @returns {Object} - { ctrl, alt, shift, key }
+ */
+export function parseKeys(keys) {
+    const parts = keys.split('+');
+    const key = parts.pop();
+    const modifiers = parts.map(part => part.toLowerCase());
+
+    return {
+        ctrl: modifiers.includes('ctrl'),
+        alt: modifiers.includes('alt'),
+        shift: modifiers.includes('shift'),
+        key
+    };
+}
+
+/**
+ * Indique si un événement clavier correspond à une combinaison
+ * @param {KeyboardEvent} event - Événement keydown
+ * @param {string} keys - Combinaison (ex: 'Ctrl+Z')
+ * @returns {boolean}
+ */
+export function matchesKeys(event, keys) {
+    const { ctrl, alt, shift, key } = parseKeys(keys);
+
+    return (event.ctrlKey || event.metaKey) === ctrl &&
+        event.altKey === alt &&
+        event.shiftKey === shift &&
+        event.key.toLowerCase() === key.toLowerCase();
+}
+
+/**
+ * Libellé d'une combinaison pour l'aide (ex: 'Alt+↑')
+ * @param {string} keys - Combinaison
+ * @returns {string}
+ */
+export function formatKeys(keys) {
+    return keys.split('+').map(part => KEY_LABELS[part] || part).join('+');
+}
+
+/**
+ * Enregistre un raccourci
+ * @param {Object} shortcut - { keys, description, group, handler, when, allowInInputs }
+ *   - keys : combinaison ou liste de combinaisons équivalentes
+ *   - when : condition facultative ; si elle est fausse, la touche est laissée au navigateur
+ *   - allowInInputs : actif aussi dans les champs de saisie et l'éditeur
+ */
+export function registerShortcut(shortcut) {
+    shortcuts.push({
+        ...shortcut,
+        keys: Array.isArray(shortcut.keys) ? shortcut.keys : [shortcut.keys]
+    });
+}
+
+/**
+ * Liste les raccourcis enregistrés, regroupés pour l'aide
+ * @returns {Array} - [{ group, shortcuts: [{ keys, description }] }]
+ */
+export function listShortcuts() {
+    const groups = new Map();
+
+    shortcuts.forEach(({ group = 'Général', keys, description }) => {
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+        groups.get(group).push({ keys, description });
+    });
+
+    return [...groups].map(([group, items]) => ({ group, shortcuts: items }));
+}
+
+/**
+ * Indique si l'élément est un champ de saisie (ou l'éditeur TipTap)
+ */
+function isTypingTarget(element) {
+    if (!element) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) ||
+        element.isContentEditable === true ||
+        Boolean(element.closest?.('[contenteditable="true"]'));
+}
+
+/**
+ * Exécute le premier raccourci correspondant à l'événement
+ * @param {KeyboardEvent} event - Événement keydown
+ * @returns {boolean} - True si un raccourci a été exécuté
+ */
+export function handleShortcut(event) {
+    // Touche déjà traitée (éditeur TipTap, popover de lien...)
+    if (event.defaultPrevented) {
+        return false;
+    }
+
+    const typing = isTypingTarget(event.target);
+
+    const shortcut = shortcuts.find(item =>
+        item.keys.some(keys => matchesKeys(event, keys)) &&
+        (!typing || item.allowInInputs) &&
+        (!item.when || item.when(event))
+    );
+
+    if (!shortcut) {
+        return false;
+    }
+
+    event.preventDefault();
+    shortcut.handler(event);
+    return true;
+}
+
+/**
+ * Affiche l'aide des raccourcis
+ */
+export function showShortcutsHelp() {
+    const body = document.getElementById('shortcuts-help');
+    if (!body) return;
+
+    body.innerHTML = '';
+
+    listShortcuts().forEach(({ group, shortcuts: items }) => {
+        const heading = document.createElement('h4');
+        heading.className = 'shortcuts-group';
+        heading.textContent = group;
+        body.appendChild(heading);
+
+        const table = document.createElement('table');
+        table.className = 'shortcuts-table';
+        items.forEach(({ keys, description }) => {
+            const row = document.createElement('tr');
+
+            const keysCell = document.createElement('td');
+            keys.forEach((combination, index) => {
+                if (index > 0) {
+                    keysCell.appendChild(document.createTextNode(' ou '));
+                }
+                const kbd = document.createElement('kbd');
+                kbd.textContent = formatKeys(combination);
+                keysCell.appendChild(kbd);
+            });
+
+            const descriptionCell = document.createElement('td');
+            descriptionCell.textContent = description;
+
+            row.appendChild(keysCell);
+            row.appendChild(descriptionCell);
+            table.appendChild(row);
+        });
+        body.appendChild(table);
+    });
+
+    showModal('shortcutsModal');
+}
+
+/**
+ * Installe le gestionnaire global des raccourcis
+ */
+export function setupShortcutEventHandlers() {
+    document.addEventListener('keydown', handleShortcut);
+
+    const helpBtn = document.querySelector('[data-action="show-shortcuts"]');
+    if (helpBtn) {
+        helpBtn.addEventListener('click', showShortcutsHelp);
+    }
+
+    const closeBtn = document.querySelector('[data-action="close-shortcuts"]');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => closeModal('shortcutsModal'));
+    }
+}
@@ -3,6 +3,7 @@
  */
 
 export const state = {
+    documentId: null,  // Document ouvert dans l'espace de travail
     pluData: null,
     currentTitre: null,
     currentTitreIndex: null,
@@ -16,6 +17,7 @@ export const state = {
  * Réinitialise l'état de l'application
  */
 export function resetState() {
+    state.documentId = null;
     state.pluData = null;
     state.currentTitre = null;
     state.currentTitreIndex = null;
@@ -30,6 +32,13 @@ export function setPluData(data) {
     state.pluData = data;
 }
 
+/**
+ * Met à jour le document ouvert
+ */
+export function setDocumentId(documentId) {
+    state.documentId = documentId;
+}
+
 /**
  * Met à jour le titre courant
  */
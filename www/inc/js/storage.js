@@ -2,30 +2,31 @@
  * Module de gestion du stockage (import/export de fichiers)
  */
 
-import { state, setPluData } from './state.js';
-import { showToast, handleError } from './ui.js';
-import { renderTree, generateTitleId } from './tree.js';
+import { state, setPluData, setDocumentId } from './state.js';
+import { showToast, showModal, closeModal, handleError } from './ui.js';
+import { renderTree } from './tree.js';
 import { destroyTipTap } from './main.js';
-import { startAutosave, clearAutosave, manualSave } from './autosave.js';
-import { clearHistory } from './history.js';
-import { storeImage, listPluImages, base64ToBlob, getImageDataUrl } from './images.js';
+import { startAutosave, manualSave } from './autosave.js';
+import { clearHistory, restoreHistory } from './history.js';
+import { restoreEditorDraft } from './editor.js';
+import {
+    storeImage, clearPluImages, preloadPluImages, getPluImageBlobs, copyDocumentImages, findImageReferences, getExtensionFromContentType
+} from './images.js';
+import { createDocumentId, getDocument, listDocuments } from './documents.js';
+import { validateOnLoad, checkBeforeExport } from './validation.js';
+import { parseDOCXHTML } from './docx.js';
+import { buildContenuId, renumberContenus } from './ids.js';
 
 /**
  * Créer un nouveau PLU
  */
-export function createNewPLU() {
+export async function createNewPLU() {
     const insee = prompt("Code INSEE de la commune (5 chiffres) :");
     if (!insee || insee.length !== 5) {
         showToast("Code INSEE invalide", "error");
         return;
     }
 
-    // Détruire l'instance TipTap existante pour éviter les fuites mémoire
-    destroyTipTap();
-
-    // Réinitialiser l'historique
-    clearHistory();
-
     const date = new Date().toISOString().split('T')[0].replace(/-/g, '');
     const idUrba = `${insee}_PLU_${date}`;
 
@@ -39,17 +40,18 @@ export function createNewPLU() {
         titre: []
     };
 
-    setPluData(pluData);
-    renderTree();
-
-    // Démarrer l'autosave pour le nouveau PLU
-    startAutosave();
+    try {
+        // Le nouveau PLU devient un document de l'espace de travail
+        await openDocument(createDocumentId(), pluData);
 
-    showToast("Nouveau PLU créé avec succès !");
+        showToast("Nouveau PLU créé avec succès !");
+    } catch (error) {
+        handleError(error, "création du PLU");
+    }
 }
 
 /**
- * Charge un PLU depuis un fichier JSON
+ * Charge un PLU depuis un fichier JSON ou un paquet ZIP (JSON + ressources/)
  */
 export async function loadPLU(file) {
     try {
@@ -57,55 +59,318 @@ export async function loadPLU(file) {
             throw new Error("Aucun fichier sélectionné");
         }
 
-        if (!file.name.endsWith('.json')) {
-            throw new Error("Le fichier doit être au format JSON");
-        }
+        const fileName = file.name.toLowerCase();
 
-        const text = await file.text();
+        if (fileName.endsWith('.zip')) {
+            await loadPLUPackage(file);
+            return;
+        }
 
-        if (!text || text.trim() === '') {
-            throw new Error("Le fichier est vide");
+        if (!fileName.endsWith('.json')) {
+            throw new Error("Le fichier doit être au format JSON ou ZIP");
         }
 
-        let data;
-        try {
-            data = JSON.parse(text);
-        } catch (parseError) {
-            throw new Error("Le fichier JSON est mal formé");
+        const data = parsePLUJson(await file.text());
+
+        // PLU déjà présent dans l'espace de travail : l'ouvrir ou le remplacer plutôt qu'en créer un autre
+        const existing = await findWorkspaceDocument(data);
+        if (existing && !confirmReplaceDocument(existing)) {
+            await openExistingDocument(existing);
+            return;
         }
 
-        // Validation basique de la structure
-        if (!data.idReglement || !data.nom || !data.typeDoc) {
-            throw new Error("Le fichier JSON ne contient pas les champs requis (idReglement, nom, typeDoc)");
+        // Le fichier JSON ne contient pas les images : reprendre celles déjà stockées pour ce PLU
+        const documentId = existing ? existing.id : createDocumentId();
+        const adoptedImages = await adoptStoredImages(documentId, data.idUrba);
+
+        await openDocument(documentId, data);
+
+        const message = existing
+            ? `Document « ${existing.nom} » remplacé par le fichier chargé`
+            : "PLU chargé avec succès !";
+        showToast(adoptedImages > 0
+            ? `${message} (${adoptedImages} image(s) déjà stockée(s) reprise(s))`
+            : message);
+
+        validateOnLoad(data);
+    } catch (error) {
+        handleError(error, "chargement du fichier");
+    }
+}
+
+/**
+ * Cherche le document de l'espace de travail correspondant à un PLU chargé :
+ * le plus récent ayant le même idUrba (ou, sans idUrba, le même nom)
+ * @param {Object} pluData - Données du PLU chargé
+ * @returns {Promise<Object|null>} - Entrée de listDocuments() ou null
+ */
+async function findWorkspaceDocument(pluData) {
+    const documents = await listDocuments();
+
+    return documents.find(doc => pluData.idUrba
+        ? doc.idUrba === pluData.idUrba
+        : !doc.idUrba && doc.nom === pluData.nom) || null;
+}
+
+/**
+ * Demande s'il faut remplacer le document existant par le fichier chargé
+ * @param {Object} existing - Entrée de listDocuments()
+ * @returns {boolean} - True pour remplacer, false pour ouvrir le document existant
+ */
+function confirmReplaceDocument(existing) {
+    return confirm(
+        `Le document « ${existing.nom} » (${existing.idUrba || 'sans idUrba'}) est déjà dans l'espace de travail ` +
+        `(modifié le ${existing.dateFormatted}).\n\n` +
+        "Cliquez sur OK pour REMPLACER son contenu par le fichier chargé.\n" +
+        "Cliquez sur Annuler pour OUVRIR le document existant sans le modifier."
+    );
+}
+
+/**
+ * Ouvre un document de l'espace de travail avec sa session d'édition
+ * @param {Object} existing - Entrée de listDocuments()
+ */
+async function openExistingDocument(existing) {
+    if (existing.id !== state.documentId) {
+        const record = await getDocument(existing.id);
+        if (!record) {
+            throw new Error("Document introuvable");
         }
 
-        // Détruire l'instance TipTap existante pour éviter les fuites mémoire
-        destroyTipTap();
+        await openDocument(existing.id, record.pluData, record.session);
+    }
+
+    showToast(`Document « ${existing.nom} » ouvert (le fichier n'a pas été chargé)`);
+}
+
+/**
+ * Charge un paquet ZIP produit par exportPLU et restaure ses images
+ * @param {File} file - Archive ZIP contenant le JSON et le dossier ressources/
+ */
+async function loadPLUPackage(file) {
+    showToast("Lecture de l'archive en cours...");
 
-        // Réinitialiser l'historique
-        clearHistory();
+    const zip = await openPackage(file);
+    const data = await readPackageJson(zip);
 
-        setPluData(data);
-        renderTree();
+    // Restaurer les images du dossier ressources/ sous l'idUrba du document
+    const imageEntries = Object.values(zip.files).filter(entry =>
+        !entry.dir && entry.name.startsWith('ressources/')
+    );
 
-        // Démarrer l'autosave pour le PLU chargé
-        startAutosave();
+    const documentId = createDocumentId();
+    const archivedFilenames = [];
+    try {
+        for (const entry of imageEntries) {
+            const filename = entry.name.replace('ressources/', '');
+            const base64 = await entry.async('base64');
+            await storeImage(documentId, filename, base64, getContentTypeFromFilename(filename));
+            archivedFilenames.push(filename);
+        }
 
-        showToast("PLU chargé avec succès !");
+        await openDocument(documentId, data);
     } catch (error) {
-        handleError(error, "chargement du fichier JSON");
+        // Document non ouvert : ne pas laisser d'images orphelines dans IndexedDB
+        if (state.documentId !== documentId) {
+            try {
+                await clearPluImages(documentId);
+            } catch (cleanupError) {
+                console.warn('Impossible de supprimer les images du paquet non chargé', cleanupError);
+            }
+        }
+        throw error;
+    }
+
+    // Comparer les images de l'archive avec celles référencées par le JSON
+    const references = findImageReferences(data);
+    const missingImages = [...references.keys()].filter(filename => !archivedFilenames.includes(filename));
+    const unusedImages = archivedFilenames.filter(filename => !references.has(filename));
+
+    if (missingImages.length > 0 || unusedImages.length > 0) {
+        showPackageReport(missingImages, unusedImages);
+    }
+
+    showToast(`PLU chargé avec succès ! (${archivedFilenames.length} image(s) restaurée(s))`);
+
+    validateOnLoad(data);
+}
+
+/**
+ * Ouvre une archive ZIP
+ * @param {File} file - Archive ZIP
+ * @returns {Promise<JSZip>}
+ */
+async function openPackage(file) {
+    try {
+        return await JSZip.loadAsync(await file.arrayBuffer());
+    } catch (zipError) {
+        throw new Error("L'archive ZIP est illisible");
     }
 }
 
+/**
+ * Lit le JSON du PLU à la racine d'une archive (<idUrba>.json)
+ * @param {JSZip} zip - Archive ouverte
+ * @returns {Promise<Object>} - Données du PLU
+ */
+async function readPackageJson(zip) {
+    const jsonEntries = Object.values(zip.files).filter(entry =>
+        !entry.dir && !entry.name.includes('/') && entry.name.toLowerCase().endsWith('.json')
+    );
+
+    if (jsonEntries.length === 0) {
+        throw new Error("L'archive ne contient aucun fichier JSON à la racine");
+    }
+
+    return parsePLUJson(await jsonEntries[0].async('text'));
+}
+
+/**
+ * Lit les données d'un PLU (JSON ou ZIP) sans l'ouvrir ni stocker ses images
+ * @param {File} file - Fichier JSON ou archive ZIP
+ * @returns {Promise<Object>} - Données du PLU
+ */
+export async function readPLUFile(file) {
+    const fileName = file.name.toLowerCase();
+
+    if (fileName.endsWith('.zip')) {
+        return readPackageJson(await openPackage(file));
+    }
+
+    if (!fileName.endsWith('.json')) {
+        throw new Error("Le fichier doit être au format JSON ou ZIP");
+    }
+
+    return parsePLUJson(await file.text());
+}
+
+/**
+ * Parse et vérifie le texte JSON d'un PLU
+ * @param {string} text - Contenu du fichier JSON
+ * @returns {Object} - Données du PLU
+ */
+function parsePLUJson(text) {
+    if (!text || text.trim() === '') {
+        throw new Error("Le fichier est vide");
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (parseError) {
+        throw new Error("Le fichier JSON est mal formé");
+    }
+
+    // Validation basique de la structure
+    if (!data.idReglement || !data.nom || !data.typeDoc) {
+        throw new Error("Le fichier JSON ne contient pas les champs requis (idReglement, nom, typeDoc)");
+    }
+
+    return data;
+}
+
+/**
+ * Ouvre un document de l'espace de travail à la place du document courant
+ * @param {string} documentId - ID du document
+ * @param {Object} pluData - Données du PLU
+ * @param {Object|null} session - Session d'édition sauvegardée { draft, history } à rouvrir
+ */
+export async function openDocument(documentId, pluData, session = null) {
+    // Enregistrer le document quitté
+    await manualSave();
+
+    // Charger les images du document avant d'afficher les contenus
+    await preloadPluImages(documentId);
+
+    // Détruire l'instance TipTap existante pour éviter les fuites mémoire
+    destroyTipTap();
+
+    // Réinitialiser l'historique
+    clearHistory();
+
+    setDocumentId(documentId);
+    setPluData(pluData);
+
+    if (session?.history) {
+        restoreHistory(session.history);
+    }
+
+    renderTree();
+
+    // Rouvrir l'éditeur là où l'utilisateur en était
+    if (session?.draft && !restoreEditorDraft(session.draft)) {
+        console.warn('Saisie en cours non restaurée : titre introuvable', session.draft.idTitre);
+    }
+
+    // Démarrer l'autosave et enregistrer tout de suite le document ouvert
+    startAutosave();
+    await manualSave();
+}
+
+/**
+ * Reprend pour un nouveau document les images déjà stockées pour le même PLU :
+ * images des versions précédentes (rangées sous l'idUrba) et du dernier document
+ * de l'espace de travail ayant cet idUrba
+ * @param {string} documentId - ID du nouveau document
+ * @param {string} idUrba - ID du PLU
+ * @returns {Promise<number>} - Nombre d'images reprises
+ */
+async function adoptStoredImages(documentId, idUrba) {
+    if (!idUrba) return 0;
+
+    let count = await copyDocumentImages(idUrba, documentId);
+
+    const sameDocument = (await listDocuments()).find(doc => doc.idUrba === idUrba);
+    if (sameDocument) {
+        count += await copyDocumentImages(sameDocument.id, documentId);
+    }
+
+    return count;
+}
+
+/**
+ * Affiche le rapport des images manquantes ou inutilisées d'un paquet ZIP
+ * @param {Array<string>} missingImages - Images référencées absentes de l'archive
+ * @param {Array<string>} unusedImages - Images de l'archive référencées nulle part
+ */
+function showPackageReport(missingImages, unusedImages) {
+    const body = document.getElementById('package-report-body');
+    if (!body) return;
+
+    body.innerHTML = '';
+
+    const appendSection = (title, filenames) => {
+        if (filenames.length === 0) return;
+
+        const heading = document.createElement('p');
+        heading.className = 'package-report-title';
+        heading.textContent = `${title} (${filenames.length})`;
+        body.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'package-report-list';
+        filenames.forEach(filename => {
+            const item = document.createElement('li');
+            item.textContent = `ressources/${filename}`;
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+    };
+
+    appendSection("Images référencées mais absentes de l'archive", missingImages);
+    appendSection("Images de l'archive non référencées", unusedImages);
+
+    showModal('packageReportModal');
+}
+
 /**
  * Ajoute l'intitulé comme premier contenu à chaque titre
  * @param {Object} titre - Titre à traiter
- * @param {string} baseId - ID de base pour générer les IDs de contenu
  */
-function addIntituleAsFirstContent(titre, baseId) {
+function addIntituleAsFirstContent(titre) {
     // Créer un contenu avec l'intitulé comme heading
     const headingContent = {
-        idContenu: `${baseId}/contenu00`,
+        idContenu: buildContenuId(titre.idTitre, 0),
         idZone: titre.idZone || ["porteeGenerale"],
         idPrescription: titre.idPrescription || ["nonConcerne"],
         html: [
@@ -129,11 +394,7 @@ function addIntituleAsFirstContent(titre, baseId) {
             titre.contenu.unshift(headingContent);
 
             // Renuméroter tous les contenus
-            titre.contenu.forEach((contenu, index) => {
-                const contentNumber = String(index + 1).padStart(2, '0');
-                const titreIdPart = titre.idTitre.split('/').pop();
-                contenu.idContenu = `${baseId}/${titreIdPart}/contenu${contentNumber}`;
-            });
+            renumberContenus(titre);
         }
     } else {
         // Aucun contenu existant, créer le tableau avec l'intitulé
@@ -143,7 +404,7 @@ function addIntituleAsFirstContent(titre, baseId) {
     // Traiter récursivement les sous-titres
     if (titre.titre && titre.titre.length > 0) {
         titre.titre.forEach(sousTitre => {
-            addIntituleAsFirstContent(sousTitre, baseId);
+            addIntituleAsFirstContent(sousTitre);
         });
     }
 }
@@ -157,65 +418,90 @@ export async function exportPLU() {
             throw new Error("Aucun PLU à exporter");
         }
 
-        showToast("Préparation de l'export...");
-
-        // Créer une copie profonde du PLU pour ne pas modifier l'original
-        const pluDataCopy = JSON.parse(JSON.stringify(state.pluData));
+        await exportPLUDocument(state.documentId, state.pluData);
+    } catch (error) {
+        handleError(error, "exportation du PLU");
+    }
+}
 
-        // Ajouter l'intitulé comme premier contenu à chaque titre
-        if (pluDataCopy.titre && pluDataCopy.titre.length > 0) {
-            pluDataCopy.titre.forEach(titre => {
-                addIntituleAsFirstContent(titre, pluDataCopy.idReglement);
-            });
-        }
+/**
+ * Exporte un document de l'espace de travail en ZIP (JSON + images)
+ * @param {string} documentId - ID du document (pour ses images)
+ * @param {Object} pluData - Données du PLU
+ * @returns {Promise<boolean>} - True si l'export a eu lieu
+ */
+export async function exportPLUDocument(documentId, pluData) {
+    // Récupérer toutes les images du document depuis IndexedDB
+    const images = await getPluImageBlobs(documentId);
 
-        // Créer un fichier ZIP
-        const zip = new JSZip();
+    return exportPLUPackage(pluData, images, pluData.idUrba || 'plu');
+}
 
-        // Ajouter le fichier JSON (avec les intitulés ajoutés)
-        const json = JSON.stringify(pluDataCopy, null, 2);
-        zip.file(`${pluDataCopy.idUrba}.json`, json);
+/**
+ * Construit et télécharge le paquet ZIP d'un PLU (JSON + dossier ressources/)
+ * @param {Object} pluData - Données du PLU
+ * @param {Array} images - Images { filename, blob } à placer dans ressources/
+ * @param {string} archiveName - Nom de l'archive (sans extension)
+ * @returns {Promise<boolean>} - True si l'export a eu lieu
+ */
+export async function exportPLUPackage(pluData, images, archiveName) {
+    // Créer une copie profonde du PLU pour ne pas modifier l'original
+    const pluDataCopy = JSON.parse(JSON.stringify(pluData));
+
+    // Ajouter l'intitulé comme premier contenu à chaque titre
+    if (pluDataCopy.titre && pluDataCopy.titre.length > 0) {
+        pluDataCopy.titre.forEach(titre => {
+            addIntituleAsFirstContent(titre);
+        });
+    }
 
-        // Récupérer toutes les images du PLU depuis localStorage
-        const images = listPluImages(state.pluData.idUrba);
+    // Vérifier la conformité au schéma CNIG du document réellement exporté
+    // (blocage ou avertissement selon le réglage)
+    if (!(await checkBeforeExport(pluDataCopy))) {
+        return false;
+    }
 
-        if (images.length > 0) {
-            // Créer le dossier ressources
-            const ressourcesFolder = zip.folder("ressources");
+    showToast("Préparation de l'export...");
 
-            // Ajouter chaque image au dossier ressources
-            images.forEach(imageData => {
-                const blob = base64ToBlob(imageData.base64, imageData.contentType);
-                ressourcesFolder.file(imageData.filename, blob);
-            });
+    // Créer un fichier ZIP
+    const zip = new JSZip();
 
-            showToast(`Export en cours... (${images.length} image(s))`);
-        }
+    // Ajouter le fichier JSON (avec les intitulés ajoutés)
+    const json = JSON.stringify(pluDataCopy, null, 2);
+    zip.file(`${pluDataCopy.idUrba}.json`, json);
 
-        // Générer le ZIP
-        const zipBlob = await zip.generateAsync({ type: "blob" });
+    if (images.length > 0) {
+        // Créer le dossier ressources
+        const ressourcesFolder = zip.folder("ressources");
 
-        // Télécharger le ZIP
-        const url = URL.createObjectURL(zipBlob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${state.pluData.idUrba || 'plu'}.zip`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        // Ajouter chaque image au dossier ressources
+        images.forEach(imageData => {
+            ressourcesFolder.file(imageData.filename, imageData.blob);
+        });
 
-        // Effacer l'autosave après un export manuel réussi
-        clearAutosave();
+        showToast(`Export en cours... (${images.length} image(s))`);
+    }
 
-        if (images.length > 0) {
-            showToast(`PLU exporté avec succès ! (JSON + ${images.length} image(s))`);
-        } else {
-            showToast("PLU exporté avec succès !");
-        }
-    } catch (error) {
-        handleError(error, "exportation du PLU");
+    // Générer le ZIP
+    const zipBlob = await zip.generateAsync({ type: "blob" });
+
+    // Télécharger le ZIP
+    const url = URL.createObjectURL(zipBlob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${archiveName}.zip`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    if (images.length > 0) {
+        showToast(`PLU exporté avec succès ! (JSON + ${images.length} image(s))`);
+    } else {
+        showToast("PLU exporté avec succès !");
     }
+
+    return true;
 }
 
 /**
@@ -267,428 +553,55 @@ export async function importDOCX(file) {
         // Parser le HTML et obtenir le PLU data (qui contient l'idUrba)
         const pluData = parseDOCXHTML(result.value);
 
-        // Stocker les images dans localStorage avec l'idUrba du PLU
-        if (window.docxImages && window.docxImages.length > 0) {
-            console.log('Stockage de', window.docxImages.length, 'image(s)');
-            window.docxImages.forEach(imageData => {
-                try {
-                    console.log('Stockage de l\'image:', imageData.filename, 'pour le PLU', pluData.idUrba);
-                    storeImage(pluData.idUrba, imageData.filename, imageData.buffer, imageData.contentType);
-                } catch (error) {
-                    console.error(`Erreur lors du stockage de ${imageData.filename}:`, error);
-                }
-            });
-
-            // Vérifier que les images sont bien stockées
-            const storedImages = listPluImages(pluData.idUrba);
-            console.log('Images stockées dans localStorage:', storedImages.length, storedImages);
-
-            showToast(`DOCX importé avec succès ! ${window.docxImages.length} image(s) stockée(s)`);
-        } else {
-            showToast("DOCX importé avec succès !");
-        }
-
-        // Nettoyer
-        delete window.docxImages;
-    } catch (error) {
-        handleError(error, "importation du DOCX");
-    }
-}
-
-/**
- * Obtient l'extension depuis le type de contenu
- */
-function getExtensionFromContentType(contentType) {
-    const types = {
-        'image/png': 'png',
-        'image/jpeg': 'jpg',
-        'image/jpg': 'jpg',
-        'image/gif': 'gif',
-        'image/webp': 'webp',
-        'image/bmp': 'bmp'
-    };
-    return types[contentType] || 'png';
-}
-
-/**
- * Parse le contenu HTML du DOCX
- */
-function parseDOCXHTML(html) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
-    
-    // Extraire les métadonnées du début
-    const metadata = {};
-    const nodes = Array.from(tempDiv.childNodes);
-    let contentStartIndex = 0;
-    
-    for (let i = 0; i < nodes.length; i++) {
-        const node = nodes[i];
-        if (node.nodeType === 1) {
-            const text = node.textContent.trim();
-            if (text.startsWith('#')) {
-                const match = text.match(/^#(\w+)\s+(.+)$/);
-                if (match) {
-                    metadata[match[1]] = match[2].trim();
-                    contentStartIndex = i + 1;
-                }
-            } else if (text) {
-                break;
+        // Stocker les images dans un nouveau document de l'espace de travail
+        const documentId = createDocumentId();
+        const docxImages = window.docxImages || [];
+        let storedCount = 0;
+        for (const imageData of docxImages) {
+            try {
+                await storeImage(documentId, imageData.filename, imageData.buffer, imageData.contentType);
+                storedCount++;
+            } catch (error) {
+                console.error(`Erreur lors du stockage de ${imageData.filename}:`, error);
             }
         }
-    }
-
-    // Validation préliminaire : vérifier si #nom existe (indicateur que le template est suivi)
-    if (!metadata.nom) {
-        throw new Error("Le docx ne respecte pas le modèle pour pouvoir être importé");
-    }
-
-    // Valider les autres métadonnées critiques
-    if (!metadata.idUrba) {
-        throw new Error("Le docx ne respecte pas le modèle pour pouvoir être importé");
-    }
-    if (!metadata.typeDoc) {
-        throw new Error("Le docx ne respecte pas le modèle pour pouvoir être importé");
-    }
-
-    // Parser les codes INSEE (optionnel - peut être ajouté via l'éditeur de métadonnées)
-    let inseeCommune = metadata.inseeCommune
-        ? metadata.inseeCommune.split(',').map(s => s.trim()).filter(s => s)
-        : [];
-
-    // Si aucun code INSEE n'est fourni, utiliser un placeholder que l'utilisateur devra modifier
-    if (inseeCommune.length === 0) {
-        inseeCommune = ["00000"]; // Placeholder à remplacer via l'éditeur de métadonnées
-    }
 
-    // Créer la structure PLU
-    const pluData = {
-        idReglement: metadata.idReglement || `${metadata.idUrba}/reglement`,
-        nom: metadata.nom,
-        typeDoc: metadata.typeDoc,
-        lien: metadata.lien || "https://www.geoportail-urbanisme.gouv.fr/",
-        idUrba: metadata.idUrba,
-        inseeCommune: inseeCommune,
-        titre: []
-    };
-
-    if (metadata.sirenEpci) {
-        pluData.sirenEpci = metadata.sirenEpci;
-    }
-
-    // Parser le contenu depuis le HTML
-    const contentNodes = nodes.slice(contentStartIndex);
-    parseTitlesFromHTMLNodes(contentNodes, pluData.titre, pluData, 1);
-
-    setPluData(pluData);
-    renderTree();
-
-    // Démarrer l'autosave pour le PLU importé depuis DOCX
-    startAutosave();
-
-    // Retourner le pluData pour utilisation (stockage d'images, etc.)
-    return pluData;
-}
-
-/**
- * Parse les titres depuis les nÅ“uds HTML
- */
-function parseTitlesFromHTMLNodes(nodes, targetArray, pluDataRef, currentLevel) {
-    let i = 0;
-    
-    while (i < nodes.length) {
-        const node = nodes[i];
-        
-        if (node.nodeType !== 1) {
-            i++;
-            continue;
-        }
-        
-        const tagName = node.tagName.toLowerCase();
-        
-        // Détecter le niveau de titre
-        let headingLevel = 0;
-        let headingText = '';
-        
-        if (tagName.match(/^h[1-6]$/)) {
-            headingLevel = parseInt(tagName.substring(1));
-            headingText = node.textContent.trim();
-        }
+        await openDocument(documentId, pluData);
 
-        if (headingLevel > 0) {
-            if (headingLevel === currentLevel) {
-                // Collecter TOUT le contenu jusqu'au prochain titre du même niveau ou supérieur
-                const allContentNodes = [];
-                let j = i + 1;
-                
-                while (j < nodes.length) {
-                    const nextNode = nodes[j];
-                    if (nextNode.nodeType === 1) {
-                        const nextTag = nextNode.tagName.toLowerCase();
-                        const nextLevel = nextTag.match(/^h([1-6])$/) ? parseInt(nextTag.substring(1)) : 0;
-                        
-                        if (nextLevel > 0 && nextLevel <= currentLevel) {
-                            break;
-                        }
-                    }
-                    
-                    allContentNodes.push(nextNode);
-                    j++;
-                }
-
-                // Créer le titre
-                const titleId = generateTitleId(pluDataRef.idReglement, headingText, targetArray.length + 1);
-                const newTitle = {
-                    idTitre: titleId,
-                    intitule: headingText,
-                    niveau: headingLevel,
-                    numero: "",
-                    idZone: ["porteeGenerale"],
-                    idPrescription: ["nonConcerne"],
-                    inseeCommune: pluDataRef.inseeCommune,
-                    contenu: [],
-                    titre: []
-                };
-
-                // Trouver le premier niveau de sous-titre (si présent)
-                let firstSubLevel = 7;
-                for (const cNode of allContentNodes) {
-                    if (cNode.nodeType === 1) {
-                        const cTag = cNode.tagName.toLowerCase();
-                        const cLevel = cTag.match(/^h([1-6])$/) ? parseInt(cTag.substring(1)) : 0;
-                        
-                        if (cLevel > currentLevel && cLevel < firstSubLevel) {
-                            firstSubLevel = cLevel;
-                        }
-                    }
-                }
-
-                // Séparer le contenu DIRECT des sous-sections
-                const directContentNodes = [];
-                const subSectionNodes = [];
-                let inSubSection = false;
-                
-                for (const cNode of allContentNodes) {
-                    if (cNode.nodeType === 1) {
-                        const cTag = cNode.tagName.toLowerCase();
-                        const cLevel = cTag.match(/^h([1-6])$/) ? parseInt(cTag.substring(1)) : 0;
-                        
-                        if (cLevel === firstSubLevel && !inSubSection) {
-                            inSubSection = true;
-                        }
-                        
-                        if (inSubSection) {
-                            subSectionNodes.push(cNode);
-                        } else {
-                            directContentNodes.push(cNode);
-                        }
-                    } else {
-                        if (inSubSection) {
-                            subSectionNodes.push(cNode);
-                        } else {
-                            directContentNodes.push(cNode);
-                        }
-                    }
-                }
-
-                // Parser le contenu direct
-                if (directContentNodes.length > 0) {
-                    parseContentFromHTMLNodes(directContentNodes, newTitle, titleId, headingLevel);
-                }
-
-                // Parser les sous-sections récursivement
-                if (subSectionNodes.length > 0 && firstSubLevel < 7) {
-                    parseTitlesFromHTMLNodes(subSectionNodes, newTitle.titre, pluDataRef, firstSubLevel);
-                }
-
-                targetArray.push(newTitle);
-                i = j;
-            } else if (headingLevel < currentLevel) {
-                return;
+        if (docxImages.length > 0) {
+            if (storedCount < docxImages.length) {
+                showToast(`DOCX importé, mais ${docxImages.length - storedCount} image(s) n'ont pas pu être stockée(s)`, "error");
             } else {
-                i++;
+                showToast(`DOCX importé avec succès ! ${storedCount} image(s) stockée(s)`);
             }
         } else {
-            i++;
+            showToast("DOCX importé avec succès !");
         }
-    }
-}
 
-/**
- * Parse le contenu depuis les noeuds HTML
- */
-function parseContentFromHTMLNodes(nodes, title, baseId, titleLevel) {
-    let contentIndex = 1;
-    const htmlArray = [];
-
-    for (let i = 0; i < nodes.length; i++) {
-        const node = nodes[i];
-        
-        if (node.nodeType !== 1) continue;
-        
-        const tagName = node.tagName.toLowerCase();
-        
-        // Ignorer les sous-titres
-        if (tagName.match(/^h([1-6])$/)) {
-            const level = parseInt(tagName.substring(1));
-            if (level > titleLevel) continue;
-        }
-        
-        // Convertir le noeud en objet HTML
-        const htmlObj = convertNodeToHtmlObject(node);
-        if (htmlObj) {
-            htmlArray.push(htmlObj);
-        }
-    }
+        // Nettoyer
+        delete window.docxImages;
 
-    // Créer le contenu à partir du HTML collecté
-    if (htmlArray.length > 0) {
-        const contentId = `${baseId}/contenu${String(contentIndex).padStart(2, '0')}`;
-        
-        title.contenu.push({
-            idContenu: contentId,
-            idZone: title.idZone,
-            idPrescription: title.idPrescription,
-            html: htmlArray
-        });
+        validateOnLoad(pluData);
+    } catch (error) {
+        handleError(error, "importation du DOCX");
     }
 }
 
 /**
- * Convertit un noeud DOM en objet HTML
+ * Obtient le type de contenu depuis le nom de fichier
  */
-function convertNodeToHtmlObject(node) {
-    if (node.nodeType === 3) {
-        return node.textContent.trim();
-    }
-    
-    if (node.nodeType !== 1) return null;
-    
-    const tagName = node.tagName.toLowerCase();
-    
-    const tagMap = {
-        'div': 'p',
-        'span': 'span',
-        'p': 'p',
-        'ul': 'ul',
-        'ol': 'ol',
-        'li': 'li',
-        'strong': 'strong',
-        'b': 'strong',
-        'em': 'em',
-        'i': 'em',
-        'u': 'u',
-        'table': 'table',
-        'thead': 'thead',
-        'tbody': 'tbody',
-        'tr': 'tr',
-        'td': 'td',
-        'th': 'th',
-        'img': 'img',
-        'a': 'a',
-        'br': 'br'
+function getContentTypeFromFilename(filename) {
+    const extension = filename.split('.').pop().toLowerCase();
+    const types = {
+        'png': 'image/png',
+        'jpg': 'image/jpeg',
+        'jpeg': 'image/jpeg',
+        'gif': 'image/gif',
+        'webp': 'image/webp',
+        'bmp': 'image/bmp',
+        'svg': 'image/svg+xml'
     };
-    
-    const mappedTag = tagMap[tagName];
-    if (!mappedTag) return null;
-    
-    const obj = { tag: mappedTag };
-    
-    if (mappedTag === 'img') {
-        obj.attrs = {
-            src: node.getAttribute('src') || '',
-            alt: node.getAttribute('alt') || ''
-        };
-        return obj;
-    }
-    
-    if (mappedTag === 'a') {
-        obj.attrs = {
-            href: node.getAttribute('href') || ''
-        };
-        obj.text = node.textContent.trim();
-        return obj;
-    }
-    
-    if (mappedTag === 'br') {
-        return obj;
-    }
-    
-    const childNodes = Array.from(node.childNodes);
-    
-    if (childNodes.length === 1 && childNodes[0].nodeType === 3) {
-        obj.text = childNodes[0].textContent.trim();
-        if (!obj.text) return null;
-        return obj;
-    }
-    
-    // Vérifier le formatage inline
-    let hasInlineFormatting = false;
-    for (const child of childNodes) {
-        if (child.nodeType === 1) {
-            const childTag = child.tagName.toLowerCase();
-            if (['strong', 'b', 'em', 'i', 'u', 'a'].includes(childTag)) {
-                hasInlineFormatting = true;
-                break;
-            }
-        }
-    }
-    
-    if (hasInlineFormatting && ['p', 'li', 'td', 'th'].includes(mappedTag)) {
-        obj.text = buildInlineHTML(node);
-        if (!obj.text) return null;
-        return obj;
-    }
-    
-    const children = [];
-    for (const child of childNodes) {
-        const childObj = convertNodeToHtmlObject(child);
-        if (childObj) {
-            children.push(childObj);
-        }
-    }
-    
-    if (children.length === 0) {
-        const text = node.textContent.trim();
-        if (text) {
-            obj.text = text;
-        } else {
-            return null;
-        }
-    } else {
-        obj.children = children;
-    }
-    
-    return obj;
-}
-
-/**
- * Construit le HTML inline à partir d'un noeud
- */
-function buildInlineHTML(node) {
-    let html = '';
-    
-    for (const child of node.childNodes) {
-        if (child.nodeType === 3) {
-            html += child.textContent;
-        } else if (child.nodeType === 1) {
-            const tag = child.tagName.toLowerCase();
-            if (tag === 'strong' || tag === 'b') {
-                html += `<strong>${child.textContent}</strong>`;
-            } else if (tag === 'em' || tag === 'i') {
-                html += `<em>${child.textContent}</em>`;
-            } else if (tag === 'u') {
-                html += `<u>${child.textContent}</u>`;
-            } else if (tag === 'a') {
-                const href = child.getAttribute('href') || '';
-                html += `<a href="${href}">${child.textContent}</a>`;
-            } else {
-                html += child.textContent;
-            }
-        }
-    }
-    
-    return html.trim();
+    return types[extension] || 'application/octet-stream';
 }
 
 /**
@@ -701,7 +614,7 @@ export function setupStorageEventHandlers() {
         newPLUBtn.addEventListener('click', createNewPLU);
     }
     
-    // Charger JSON
+    // Charger JSON ou ZIP
     const loadJSONBtn = document.querySelector('[data-action="load-json"]');
     const fileInput = document.getElementById('fileInput');
     if (loadJSONBtn && fileInput) {
@@ -711,6 +624,8 @@ export function setupStorageEventHandlers() {
             if (file) {
                 loadPLU(file);
             }
+            // Permettre de recharger le même fichier
+            fileInput.value = '';
         });
     }
     
@@ -732,4 +647,10 @@ export function setupStorageEventHandlers() {
     if (exportBtn) {
         exportBtn.addEventListener('click', exportPLU);
     }
+
+    // Fermeture du rapport d'import ZIP
+    const closeReportBtn = document.querySelector('[data-action="close-package-report"]');
+    if (closeReportBtn) {
+        closeReportBtn.addEventListener('click', () => closeModal('packageReportModal'));
+    }
 }
@@ -0,0 +1,214 @@
+/**
+ * Module de déplacement des titres dans l'arborescence
+ *
+ * Les titres sont désignés par leur chemin (indices successifs dans les
+ * tableaux titre) ; le niveau du titre déplacé et de ses sous-titres est
+ * recalculé d'après son nouveau parent.
+ */
+
+// Niveau de titre le plus profond autorisé (h1 à h6)
+export const MAX_NIVEAU = 6;
+
+/**
+ * Récupère un titre à partir de son chemin
+ * @param {Object} pluData - Données du PLU
+ * @param {Array<number>} path - Chemin du titre
+ * @returns {Object|null}
+ */
+export function getTitreAt(pluData, path) {
+    let titres = pluData.titre || [];
+    let titre = null;
+
+    for (const index of path) {
+        titre = titres[index];
+        if (!titre) return null;
+        titres = titre.titre || [];
+    }
+
+    return titre;
+}
+
+/**
+ * Récupère le tableau contenant le titre désigné par un chemin
+ * @param {Object} pluData - Données du PLU
+ * @param {Array<number>} path - Chemin du titre
+ * @returns {Array}
+ */
+function getSiblings(pluData, path) {
+    const parent = path.length > 1 ? getTitreAt(pluData, path.slice(0, -1)) : null;
+    return parent ? parent.titre : pluData.titre;
+}
+
+/**
+ * Profondeur d'un titre et de ses sous-titres (1 pour un titre sans enfant)
+ * @param {Object} titre - Titre
+ * @returns {number}
+ */
+export function getSubtreeDepth(titre) {
+    const children = titre.titre || [];
+    return 1 + children.reduce((depth, child) => Math.max(depth, getSubtreeDepth(child)), 0);
+}
+
+/**
+ * Fixe le niveau d'un titre et recalcule celui de ses sous-titres
+ * @param {Object} titre - Titre
+ * @param {number} niveau - Nouveau niveau du titre
+ */
+export function setSubtreeNiveau(titre, niveau) {
+    titre.niveau = niveau;
+    (titre.titre || []).forEach(child => setSubtreeNiveau(child, niveau + 1));
+}
+
+/**
+ * Niveau que prendrait un titre déposé par rapport à une cible
+ * @param {Object} pluData - Données du PLU
+ * @param {Array<number>} targetPath - Chemin du titre cible
+ * @param {string} position - 'before', 'after' ou 'inside'
+ * @returns {number}
+ */
+function getDropNiveau(pluData, targetPath, position) {
+    if (position === 'inside') {
+        return (getTitreAt(pluData, targetPath).niveau || targetPath.length) + 1;
+    }
+
+    const parentPath = targetPath.slice(0, -1);
+    if (parentPath.length === 0) {
+        return 1;
+    }
+    return (getTitreAt(pluData, parentPath).niveau || parentPath.length) + 1;
+}
+
+/**
+ * Indique si un déplacement laisse le titre à sa place : avant ou après lui-même,
+ * après son frère précédent, avant son frère suivant, ou dans son parent
+ * lorsqu'il en est déjà le dernier sous-titre
+ * @param {Object} pluData - Données du PLU
+ * @param {Array<number>} fromPath - Chemin du titre déplacé
+ * @param {Array<number>} targetPath - Chemin du titre cible
+ * @param {string} position - 'before', 'after' ou 'inside'
+ * @returns {boolean}
+ */
+export function isNoOpMove(pluData, fromPath, targetPath, position) {
+    const parentPath = fromPath.slice(0, -1);
+    const sameParent = parentPath.every((index, i) => targetPath[i] === index);
+    if (!sameParent) {
+        return false;
+    }
+
+    const fromIndex = fromPath[fromPath.length - 1];
+
+    if (position === 'inside') {
+        const parent = targetPath.length === parentPath.length ? getTitreAt(pluData, targetPath) : null;
+        return !!parent && fromIndex === (parent.titre || []).length - 1;
+    }
+
+    if (fromPath.length !== targetPath.length) {
+        return false;
+    }
+
+    const offset = targetPath[targetPath.length - 1] - fromIndex;
+    return offset === 0 ||
+        (position === 'after' && offset === -1) ||
+        (position === 'before' && offset === 1);
+}
+
+/**
+ * Vérifie qu'un déplacement est possible
+ * @param {Object} pluData - Données du PLU
+ * @param {Array<number>} fromPath - Chemin du titre déplacé
+ * @param {Array<number>} targetPath - Chemin du titre cible
+ * @param {string} position - 'before', 'after' ou 'inside'
+ * @returns {number} - Niveau du titre une fois déplacé
+ * @throws {Error} - Si le déplacement est impossible
+ */
+export function validateTitreMove(pluData, fromPath, targetPath, position) {
+    const titre = getTitreAt(pluData, fromPath);
+    if (!titre || !getTitreAt(pluData, targetPath)) {
+        throw new Error("Titre introuvable");
+    }
+
+    if (!['before', 'after', 'inside'].includes(position)) {
+        throw new Error(`Position de dépôt inconnue : ${position}`);
+    }
+
+    // La cible ne peut être ni le titre lui-même ni l'un de ses sous-titres
+    // (sauf dépôt qui laisse le titre à sa place)
+    if (!isNoOpMove(pluData, fromPath, targetPath, position) && fromPath.every((index, i) => targetPath[i] === index)) {
+        throw new Error("Un titre ne peut pas être déplacé dans sa propre arborescence");
+    }
+
+    const niveau = getDropNiveau(pluData, targetPath, position);
+    const deepest = niveau + getSubtreeDepth(titre) - 1;
+    if (deepest > MAX_NIVEAU) {
+        throw new Error(`Le déplacement donnerait un titre de niveau ${deepest} (maximum ${MAX_NIVEAU})`);
+    }
+
+    return niveau;
+}
+
+/**
+ * Déplace un titre avant, après ou dans un autre titre
+ * @param {Object} pluData - Données du PLU (modifiées sur place)
+ * @param {Array<number>} fromPath - Chemin du titre déplacé
+ * @param {Array<number>} targetPath - Chemin du titre cible
+ * @param {string} position - 'before', 'after' ou 'inside' (dernier sous-titre de la cible)
+ * @returns {Object} - Titre déplacé
+ * @throws {Error} - Si le déplacement est impossible
+ */
+export function moveTitreNode(pluData, fromPath, targetPath, position) {
+    const niveau = validateTitreMove(pluData, fromPath, targetPath, position);
+
+    const titre = getTitreAt(pluData, fromPath);
+    if (isNoOpMove(pluData, fromPath, targetPath, position)) {
+        return titre;
+    }
+    const target = getTitreAt(pluData, targetPath);
+
+    // Le tableau de la cible reste le même objet après le retrait du titre déplacé
+    const targetSiblings = getSiblings(pluData, targetPath);
+    const sourceSiblings = getSiblings(pluData, fromPath);
+    sourceSiblings.splice(sourceSiblings.indexOf(titre), 1);
+
+    if (position === 'inside') {
+        if (!target.titre) target.titre = [];
+        target.titre.push(titre);
+    } else {
+        const targetIndex = targetSiblings.indexOf(target);
+        targetSiblings.splice(position === 'after' ? targetIndex + 1 : targetIndex, 0, titre);
+    }
+
+    setSubtreeNiveau(titre, niveau);
+
+    return titre;
+}
+
+/**
+ * Cible du déplacement qui abaisse un titre d'un niveau :
+ * il devient le dernier sous-titre de son frère précédent
+ * @param {Array<number>} path - Chemin du titre
+ * @returns {Object} - { targetPath, position } à passer à moveTitreNode()
+ * @throws {Error} - S'il n'y a pas de titre précédent au même niveau
+ */
+export function getDemoteTarget(path) {
+    const index = path[path.length - 1];
+    if (!(index > 0)) {
+        throw new Error("Aucun titre précédent de même niveau sous lequel le rattacher");
+    }
+
+    return { targetPath: [...path.slice(0, -1), index - 1], position: 'inside' };
+}
+
+/**
+ * Cible du déplacement qui remonte un titre d'un niveau :
+ * il est placé juste après son parent actuel
+ * @param {Array<number>} path - Chemin du titre
+ * @returns {Object} - { targetPath, position } à passer à moveTitreNode()
+ * @throws {Error} - Si le titre est déjà au premier niveau
+ */
+export function getPromoteTarget(path) {
+    if (path.length < 2) {
+        throw new Error("Le titre est déjà au premier niveau");
+    }
+
+    return { targetPath: path.slice(0, -1), position: 'after' };
+}
@@ -0,0 +1,155 @@
+/**
+ * Module de recherche dans l'arborescence des titres
+ *
+ * Un titre correspond à la recherche lorsque chaque mot recherché apparaît
+ * dans au moins un de ses champs : intitulé, numéro, zones, prescriptions,
+ * codes INSEE ou texte de ses contenus (sans tenir compte des accents ni de la casse).
+ */
+
+import { extractBlocks } from './html-text.js';
+
+// Champs consultés, dans l'ordre d'affichage
+export const SEARCH_FIELDS = {
+    intitule: 'intitulé',
+    numero: 'numéro',
+    zone: 'zone',
+    prescription: 'prescription',
+    insee: 'INSEE',
+    contenu: 'contenu'
+};
+
+/**
+ * Met un texte sous la forme utilisée pour la comparaison (minuscules, sans accents)
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSearchText(text) {
+    return (text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Découpe une recherche en mots normalisés
+ * @param {string} query - Texte saisi
+ * @returns {Array<string>}
+ */
+export function parseSearchQuery(query) {
+    return normalizeSearchText(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Texte normalisé de chaque champ consulté d'un titre
+ * @param {Object} titre - Titre du PLU
+ * @returns {Object} - Texte par champ (clés de SEARCH_FIELDS)
+ */
+function getSearchableTexts(titre) {
+    const contenus = titre.contenu || [];
+
+    // Les zones, prescriptions et communes des contenus sont rattachées au titre
+    const collect = (key) => [titre[key] || [], ...contenus.map(contenu => contenu[key] || [])].flat().join(' ');
+
+    return {
+        intitule: normalizeSearchText(titre.intitule),
+        numero: normalizeSearchText(titre.numero),
+        zone: normalizeSearchText(collect('idZone')),
+        prescription: normalizeSearchText(collect('idPrescription')),
+        insee: normalizeSearchText(collect('inseeCommune')),
+        contenu: normalizeSearchText(contenus.map(contenu => extractBlocks(contenu.html || []).join(' ')).join(' '))
+    };
+}
+
+/**
+ * Recherche les titres correspondant à tous les mots recherchés
+ * @param {Array} flatTitles - Arbre aplati ([{ titre, path }])
+ * @param {Array<string>} terms - Mots normalisés (voir parseSearchQuery)
+ * @returns {Array} - [{ flatIndex, fields }] dans l'ordre du document, fields listant les champs où un mot a été trouvé
+ */
+export function searchTitres(flatTitles, terms) {
+    if (terms.length === 0) {
+        return [];
+    }
+
+    const results = [];
+
+    flatTitles.forEach(({ titre }, flatIndex) => {
+        const texts = getSearchableTexts(titre);
+        const fields = Object.keys(SEARCH_FIELDS);
+
+        const allFound = terms.every(term => fields.some(field => texts[field].includes(term)));
+        if (!allFound) return;
+
+        results.push({
+            flatIndex,
+            fields: fields.filter(field => terms.some(term => texts[field].includes(term)))
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Échappe un texte pour l'insérer dans du HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Met en évidence les mots recherchés dans un texte
+ * @param {string} text - Texte affiché
+ * @param {Array<string>} terms - Mots normalisés
+ * @returns {string} - HTML échappé, les passages trouvés entourés de <mark>
+ */
+export function highlightTerms(text, terms) {
+    const source = text || '';
+
+    // La normalisation retire les accents : on compare caractère par caractère
+    // pour retrouver les positions dans le texte d'origine
+    const chars = Array.from(source);
+    const normalizedChars = chars.map(char => normalizeSearchText(char));
+    const normalized = normalizedChars.join('');
+
+    // Position de départ de chaque caractère d'origine dans le texte normalisé
+    const starts = [];
+    let offset = 0;
+    normalizedChars.forEach(part => {
+        starts.push(offset);
+        offset += part.length;
+    });
+
+    const marked = new Array(chars.length).fill(false);
+    terms.forEach(term => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+            const end = index + term.length;
+            starts.forEach((start, i) => {
+                if (start < end && start + normalizedChars[i].length > index) {
+                    marked[i] = true;
+                }
+            });
+            index = normalized.indexOf(term, index + 1);
+        }
+    });
+
+    let html = '';
+    let inMark = false;
+    chars.forEach((char, i) => {
+        if (marked[i] !== inMark) {
+            html += marked[i] ? '<mark>' : '</mark>';
+            inMark = marked[i];
+        }
+        html += escapeHtml(char);
+    });
+    if (inMark) {
+        html += '</mark>';
+    }
+
+    return html;
+}
@@ -6,6 +6,10 @@ import { state, setFlatTitles, setCurrentTitre } from './state.js';
 import { showToast, showModal, closeModal } from './ui.js';
 import { selectTitre, saveContent, cancelEditContent } from './editor.js';
 import { captureState } from './history.js';
+import { isNoOpMove, validateTitreMove, moveTitreNode, getPromoteTarget, getDemoteTarget } from './tree-moves.js';
+import { buildTitreId } from './ids.js';
+import { applyAutoNumbering } from './numbering-panel.js';
+import { SEARCH_FIELDS, parseSearchQuery, searchTitres, highlightTerms, escapeHtml } from './tree-search.js';
 
 let pendingParentIndex = null;
 let draggedItemIndex = null;
@@ -13,6 +17,16 @@ let draggedItemIndex = null;
 // Track which nodes are expanded (using idTitre as key)
 const expandedNodes = new Set();
 
+// Recherche dans l'arborescence : mots recherchés, résultats et résultat courant
+// (upToDate : résultats calculés sur les données actuelles)
+const treeSearch = {
+    terms: [],
+    results: [],
+    current: -1,
+    upToDate: false
+};
+let searchTimer = null;
+
 /**
  * Aplatit l'arbre des titres pour un accès facile
  */
@@ -28,6 +42,29 @@ function flattenTitres(titres, parentPath = []) {
     return flat;
 }
 
+/**
+ * Position de dépôt selon la hauteur du curseur sur le titre cible :
+ * quart supérieur avant, quart inférieur après, sinon comme sous-titre
+ * @param {DragEvent} event - Événement de drag
+ * @param {HTMLElement} item - Élément du titre cible
+ * @returns {string} - 'before', 'after' ou 'inside'
+ */
+function getDropPosition(event, item) {
+    const rect = item.getBoundingClientRect();
+    const ratio = rect.height > 0 ? (event.clientY - rect.top) / rect.height : 0.5;
+
+    if (ratio < 0.25) return 'before';
+    if (ratio > 0.75) return 'after';
+    return 'inside';
+}
+
+/**
+ * Retire les indicateurs de drop zone d'un élément
+ */
+function clearDropIndicator(item) {
+    item.classList.remove('drop-target', 'drop-before', 'drop-after', 'drop-inside', 'drop-refused');
+}
+
 /**
  * Configure les gestionnaires de drag and drop pour l'arbre
  */
@@ -47,30 +84,48 @@ function setupDragAndDrop() {
         item.addEventListener('dragend', (e) => {
             e.target.classList.remove('dragging');
             // Retirer tous les indicateurs de drop zone
-            document.querySelectorAll('.drop-target').forEach(el => {
-                el.classList.remove('drop-target');
-            });
+            document.querySelectorAll('.drop-target').forEach(clearDropIndicator);
         });
 
         // Drag over
         item.addEventListener('dragover', (e) => {
             e.preventDefault();
-            e.dataTransfer.dropEffect = 'move';
 
-            const targetIndex = parseInt(e.target.closest('.tree-item').dataset.index);
+            const targetIndex = parseInt(item.dataset.index);
 
             // Ne pas permettre de se déposer sur soi-même
             if (targetIndex === draggedItemIndex) {
                 return;
             }
 
-            // Ajouter une classe visuelle pour la drop zone
-            e.target.closest('.tree-item').classList.add('drop-target');
+            const draggedItem = state.flatTitles[draggedItemIndex];
+            const targetItem = state.flatTitles[targetIndex];
+            if (!draggedItem || !targetItem) {
+                return;
+            }
+
+            // Indiquer la position de dépôt, ou le refus si le déplacement est impossible
+            const position = getDropPosition(e, item);
+            clearDropIndicator(item);
+            if (isNoOpMove(state.pluData, draggedItem.path, targetItem.path, position)) {
+                e.dataTransfer.dropEffect = 'none';
+                return;
+            }
+
+            let refused = false;
+            try {
+                validateTitreMove(state.pluData, draggedItem.path, targetItem.path, position);
+            } catch (error) {
+                refused = true;
+            }
+
+            e.dataTransfer.dropEffect = refused ? 'none' : 'move';
+            item.classList.add('drop-target', refused ? 'drop-refused' : `drop-${position}`);
         });
 
         // Drag leave
-        item.addEventListener('dragleave', (e) => {
-            e.target.closest('.tree-item')?.classList.remove('drop-target');
+        item.addEventListener('dragleave', () => {
+            clearDropIndicator(item);
         });
 
         // Drop
@@ -78,7 +133,11 @@ function setupDragAndDrop() {
             e.preventDefault();
             e.stopPropagation();
 
-            const targetIndex = parseInt(e.target.closest('.tree-item').dataset.index);
+            const targetIndex = parseInt(item.dataset.index);
+            const position = getDropPosition(e, item);
+
+            // Retirer l'indicateur de drop
+            clearDropIndicator(item);
 
             // Ne rien faire si on drop sur soi-même
             if (targetIndex === draggedItemIndex) {
@@ -92,22 +151,20 @@ function setupDragAndDrop() {
             }
 
             // Effectuer le déplacement
-            moveTitre(draggedItemIndex, targetIndex);
-
-            // Retirer l'indicateur de drop
-            e.target.closest('.tree-item').classList.remove('drop-target');
+            moveTitre(draggedItemIndex, targetIndex, position);
         });
     });
 }
 
 /**
- * Déplace un titre d'une position à une autre
+ * Déplace un titre avant, après ou dans un autre titre
+ * @param {number} fromIndex - Index aplati du titre déplacé
+ * @param {number} toIndex - Index aplati du titre cible
+ * @param {string} position - 'before', 'after' ou 'inside'
  */
-function moveTitre(fromIndex, toIndex) {
+function moveTitre(fromIndex, toIndex, position) {
     if (fromIndex === toIndex) return;
 
-    captureState("Déplacement de titre");
-
     const draggedItem = state.flatTitles[fromIndex];
     const targetItem = state.flatTitles[toIndex];
 
@@ -116,50 +173,143 @@ function moveTitre(fromIndex, toIndex) {
         return;
     }
 
-    // Obtenir les tableaux parents
-    const draggedParentPath = draggedItem.path.slice(0, -1);
-    const draggedIndexInParent = draggedItem.path[draggedItem.path.length - 1];
+    if (!applyTitreMove(draggedItem.path, targetItem.path, position, "Déplacement de titre")) {
+        return;
+    }
 
-    const targetParentPath = targetItem.path.slice(0, -1);
-    const targetIndexInParent = targetItem.path[targetItem.path.length - 1];
+    showToast(position === 'inside'
+        ? `Titre déplacé dans « ${targetItem.titre.intitule || 'Sans titre'} »`
+        : "Titre déplacé avec succès !");
+}
 
-    // Obtenir le tableau parent du titre déplacé
-    let draggedParentArray = state.pluData.titre;
-    for (const idx of draggedParentPath) {
-        draggedParentArray = draggedParentArray[idx].titre;
+/**
+ * Vérifie puis effectue un déplacement de titre enregistré dans l'historique
+ * @param {Array<number>} fromPath - Chemin du titre déplacé
+ * @param {Array<number>} targetPath - Chemin du titre cible
+ * @param {string} position - 'before', 'after' ou 'inside'
+ * @param {string} actionName - Nom de l'action pour l'historique
+ * @returns {boolean} - False si le déplacement a été refusé
+ */
+function applyTitreMove(fromPath, targetPath, position, actionName) {
+    const target = state.flatTitles.find(ft => ft.path.join('/') === targetPath.join('/'));
+
+    // Dépôt qui laisse le titre à sa place : rien à enregistrer
+    if (isNoOpMove(state.pluData, fromPath, targetPath, position)) {
+        return false;
     }
 
-    // Obtenir le tableau parent de la cible
-    let targetParentArray = state.pluData.titre;
-    for (const idx of targetParentPath) {
-        targetParentArray = targetParentArray[idx].titre;
+    // Refuser avant de capturer l'état (sous-arborescence, niveau maximal)
+    try {
+        validateTitreMove(state.pluData, fromPath, targetPath, position);
+    } catch (error) {
+        showToast(error.message, "error");
+        return false;
     }
 
-    // Retirer l'élément de sa position actuelle
-    const [movedTitre] = draggedParentArray.splice(draggedIndexInParent, 1);
+    captureState(actionName);
 
-    // Si on déplace vers le même parent
-    if (JSON.stringify(draggedParentPath) === JSON.stringify(targetParentPath)) {
-        // Ajuster l'index cible si nécessaire
-        let adjustedTargetIndex = targetIndexInParent;
-        if (draggedIndexInParent < targetIndexInParent) {
-            adjustedTargetIndex--;
-        }
-        targetParentArray.splice(adjustedTargetIndex + 1, 0, movedTitre);
-    } else {
-        // Déplacer vers un autre parent - insérer après la cible
-        targetParentArray.splice(targetIndexInParent + 1, 0, movedTitre);
+    moveTitreNode(state.pluData, fromPath, targetPath, position);
+
+    // Renumérotation automatique (dans la même action d'historique que le déplacement)
+    applyAutoNumbering();
+
+    // Déplier la cible pour que le titre déposé dedans reste visible
+    if (position === 'inside' && target) {
+        expandedNodes.add(target.titre.idTitre);
     }
 
     // Re-rendre l'arbre
     renderTree();
-    showToast("Titre déplacé avec succès !");
+    syncCurrentTitre();
+
+    return true;
 }
 
 /**
- * Rend l'arbre des titres dans la sidebar
+ * Change le niveau d'un titre en le rattachant à son frère précédent (abaisser)
+ * ou à son grand-parent (remonter), avec tous ses sous-titres
+ * @param {number} flatIndex - Index aplati du titre
+ * @param {boolean} promote - True pour remonter, false pour abaisser
+ */
+async function changeTitreLevel(flatIndex, promote) {
+    const flatTitle = state.flatTitles[flatIndex];
+    if (!flatTitle) {
+        showToast("Titre introuvable", "error");
+        return;
+    }
+
+    if (state.isEditing) {
+        const canProceed = await askSaveBeforeSwitch();
+        if (!canProceed) return;
+    }
+
+    let move;
+    try {
+        move = promote ? getPromoteTarget(flatTitle.path) : getDemoteTarget(flatTitle.path);
+    } catch (error) {
+        showToast(error.message, "error");
+        return;
+    }
+
+    const actionName = promote ? "Remontée de titre" : "Abaissement de titre";
+    if (applyTitreMove(flatTitle.path, move.targetPath, move.position, actionName)) {
+        showToast(`${flatTitle.titre.intitule || 'Sans titre'} : niveau ${flatTitle.titre.niveau}`);
+    }
+}
+
+/**
+ * Remonte un titre d'un niveau (il suit alors son ancien parent)
+ * @param {number} flatIndex - Index aplati du titre
+ */
+export function promoteTitre(flatIndex) {
+    return changeTitreLevel(flatIndex, true);
+}
+
+/**
+ * Abaisse un titre d'un niveau (il devient le dernier sous-titre du titre précédent)
+ * @param {number} flatIndex - Index aplati du titre
+ */
+export function demoteTitre(flatIndex) {
+    return changeTitreLevel(flatIndex, false);
+}
+
+/**
+ * Recale le titre sélectionné sur sa nouvelle position dans l'arbre
+ * (et son niveau dans le formulaire) après une réorganisation
+ */
+function syncCurrentTitre() {
+    if (!state.currentTitre) return;
+
+    const flatIndex = state.flatTitles.findIndex(ft => ft.titre === state.currentTitre);
+    if (flatIndex === -1) return;
+
+    setCurrentTitre(flatIndex);
+
+    const niveauInput = document.getElementById('input-niveau');
+    if (niveauInput) {
+        niveauInput.value = state.currentTitre.niveau || 1;
+    }
+
+    const numeroInput = document.getElementById('input-numero');
+    if (numeroInput) {
+        numeroInput.value = state.currentTitre.numero || '';
+    }
+}
+
+/**
+ * Rend l'arbre des titres dans la sidebar après une modification des données
+ * (les résultats de la recherche sont recalculés)
  */
 export function renderTree() {
+    treeSearch.upToDate = false;
+    redrawTree();
+}
+
+/**
+ * Rend l'arbre des titres sans que les données aient changé
+ * (dépliage, navigation) : les résultats de la recherche sont réutilisés
+ */
+function redrawTree() {
     const tree = document.getElementById('tree');
     tree.innerHTML = '';
 
@@ -178,6 +328,17 @@ export function renderTree() {
     const flatTitles = flattenTitres(state.pluData.titre);
     setFlatTitles(flatTitles);
 
+    // Recherche active : n'afficher que les résultats et leurs titres parents
+    const visiblePaths = refreshSearchResults();
+    if (visiblePaths && visiblePaths.size === 0) {
+        tree.innerHTML = `
+            <div class="empty-state">
+                <p>Aucun titre ne correspond à la recherche</p>
+            </div>
+        `;
+        return;
+    }
+
     // Rendre l'arbre aplati avec support collapse/expand
     flatTitles.forEach((item, flatIndex) => {
         const { titre, path } = item;
@@ -196,8 +357,20 @@ export function renderTree() {
             }
         }
 
+        if (visiblePaths && !visiblePaths.has(path.join('/'))) {
+            return;
+        }
+
         const treeItem = document.createElement('div');
         treeItem.className = `tree-item tree-item-level-${niveau}`;
+
+        const resultIndex = treeSearch.results.findIndex(result => result.flatIndex === flatIndex);
+        if (resultIndex !== -1) {
+            treeItem.classList.add('tree-item-match');
+            if (resultIndex === treeSearch.current) {
+                treeItem.classList.add('tree-item-match-current');
+            }
+        }
         treeItem.dataset.index = flatIndex;
         treeItem.dataset.titreId = titre.idTitre;
 
@@ -222,8 +395,12 @@ export function renderTree() {
         treeItem.innerHTML = `
             ${expandBtn}
             <span class="tree-item-icon">${icon}</span>
-            <span class="tree-item-text">${titre.intitule || 'Sans titre'}</span>
+            ${resultIndex !== -1
+                ? renderSearchResultText(titre, treeSearch.results[resultIndex].fields)
+                : `<span class="tree-item-text">${titre.numero ? `<span class="tree-item-numero">${escapeHtml(String(titre.numero))}</span> ` : ''}${titre.intitule || 'Sans titre'}</span>`}
             <div class="tree-item-actions">
+                <button class="tree-item-btn" data-action="promote-title" data-index="${flatIndex}" title="Remonter d'un niveau (Alt+Shift+←)">⇤</button>
+                <button class="tree-item-btn" data-action="demote-title" data-index="${flatIndex}" title="Abaisser d'un niveau (Alt+Shift+→)">⇥</button>
                 <button class="tree-item-btn" data-action="add-sub-title" data-index="${flatIndex}">➕</button>
                 <button class="tree-item-btn" data-action="delete-title" data-index="${flatIndex}">❌</button>
             </div>
@@ -244,6 +421,122 @@ export function renderTree() {
     setupDragAndDrop();
 }
 
+/**
+ * Recalcule si nécessaire les résultats de la recherche sur l'arbre aplati
+ * @returns {Set<string>|null} - Chemins des titres à afficher (résultats et parents), null sans recherche
+ */
+function refreshSearchResults() {
+    if (treeSearch.terms.length === 0) {
+        treeSearch.results = [];
+        treeSearch.current = -1;
+        updateSearchCount();
+        return null;
+    }
+
+    if (!treeSearch.upToDate) {
+        treeSearch.results = searchTitres(state.flatTitles, treeSearch.terms);
+        treeSearch.current = Math.min(treeSearch.current, treeSearch.results.length - 1);
+        treeSearch.upToDate = true;
+    }
+    updateSearchCount();
+
+    const visiblePaths = new Set();
+    treeSearch.results.forEach(({ flatIndex }) => {
+        const { path } = state.flatTitles[flatIndex];
+        for (let i = 1; i <= path.length; i++) {
+            visiblePaths.add(path.slice(0, i).join('/'));
+        }
+    });
+    return visiblePaths;
+}
+
+/**
+ * Texte d'un titre trouvé : numéro et intitulé surlignés, autres champs trouvés en indication
+ * @param {Object} titre - Titre trouvé
+ * @param {Array<string>} fields - Champs où un mot recherché a été trouvé
+ * @returns {string} - HTML
+ */
+function renderSearchResultText(titre, fields) {
+    const numero = titre.numero
+        ? `<span class="tree-item-numero">${highlightTerms(titre.numero, treeSearch.terms)}</span> `
+        : '';
+    const intitule = titre.intitule ? highlightTerms(titre.intitule, treeSearch.terms) : 'Sans titre';
+
+    const otherFields = fields.filter(field => field !== 'intitule' && field !== 'numero');
+    const hint = otherFields.length > 0
+        ? ` <span class="tree-item-match-fields">${otherFields.map(field => SEARCH_FIELDS[field]).join(', ')}</span>`
+        : '';
+
+    return `<span class="tree-item-text">${numero}${intitule}${hint}</span>`;
+}
+
+/**
+ * Met à jour le compteur de résultats de la recherche
+ */
+function updateSearchCount() {
+    const count = document.getElementById('tree-search-count');
+    if (!count) return;
+
+    if (treeSearch.terms.length === 0) {
+        count.textContent = '';
+    } else if (treeSearch.results.length === 0) {
+        count.textContent = 'Aucun résultat';
+    } else {
+        const position = treeSearch.current === -1 ? '–' : treeSearch.current + 1;
+        count.textContent = `${position} / ${treeSearch.results.length}`;
+    }
+}
+
+/**
+ * Filtre l'arborescence sur une recherche et déplie les parents des titres trouvés
+ * @param {string} query - Texte recherché (vide pour tout afficher)
+ */
+export function setTreeSearch(query) {
+    treeSearch.terms = parseSearchQuery(query);
+    treeSearch.current = -1;
+    treeSearch.upToDate = false;
+
+    if (state.pluData && treeSearch.terms.length > 0) {
+        setFlatTitles(flattenTitres(state.pluData.titre || []));
+        treeSearch.results = searchTitres(state.flatTitles, treeSearch.terms);
+        treeSearch.upToDate = true;
+        treeSearch.results.forEach(({ flatIndex }) => expandParentsOfNode(flatIndex));
+    }
+
+    redrawTree();
+}
+
+/**
+ * Sélectionne le résultat de recherche précédent ou suivant (en boucle)
+ * @param {number} offset - -1 pour le précédent, 1 pour le suivant
+ */
+export async function goToSearchResult(offset) {
+    if (treeSearch.results.length === 0) return;
+
+    if (state.isEditing) {
+        const canProceed = await askSaveBeforeSwitch();
+        if (!canProceed) return;
+    }
+
+    const count = treeSearch.results.length;
+    treeSearch.current = treeSearch.current === -1
+        ? (offset > 0 ? 0 : count - 1)
+        : (treeSearch.current + offset + count) % count;
+
+    revealTitre(treeSearch.results[treeSearch.current].flatIndex);
+}
+
+/**
+ * Place le curseur dans le champ de recherche de l'arborescence
+ */
+export function focusTreeSearch() {
+    const input = document.getElementById('tree-search');
+    if (input) {
+        input.focus();
+        input.select();
+    }
+}
+
 /**
  * Toggle expand/collapse state for a node
  */
@@ -253,13 +546,23 @@ function toggleNodeExpand(titreId) {
     } else {
         expandedNodes.add(titreId);
     }
-    renderTree();
+    redrawTree();
+}
+
+/**
+ * Reporte l'état déplié des titres dont l'identifiant a changé
+ * @param {Map<string, string>} renamedIds - Ancien idTitre -> nouvel idTitre
+ */
+export function renameExpandedNodes(renamedIds) {
+    const expanded = [...expandedNodes].map(idTitre => renamedIds.get(idTitre) || idTitre);
+    expandedNodes.clear();
+    expanded.forEach(idTitre => expandedNodes.add(idTitre));
 }
 
 /**
  * Expand all parent nodes up to a specific node (for navigation)
  */
-function expandParentsOfNode(flatIndex) {
+export function expandParentsOfNode(flatIndex) {
     if (!state.flatTitles[flatIndex]) return;
 
     const { path } = state.flatTitles[flatIndex];
@@ -277,6 +580,57 @@ function expandParentsOfNode(flatIndex) {
     }
 }
 
+/**
+ * Retrouve l'index aplati d'un titre à partir de son chemin dans l'arbre
+ * @param {Array<number>} path - Indices successifs dans les tableaux titre
+ * @returns {number} - Index aplati ou -1
+ */
+export function findFlatIndexByPath(path) {
+    return state.flatTitles.findIndex(ft =>
+        ft.path.length === path.length &&
+        ft.path.every((val, idx) => val === path[idx])
+    );
+}
+
+/**
+ * Déplie les parents d'un titre, le rend visible dans l'arbre et le sélectionne
+ * @param {number} flatIndex - Index aplati du titre
+ */
+export function revealTitre(flatIndex) {
+    if (!state.flatTitles[flatIndex]) return;
+
+    expandParentsOfNode(flatIndex);
+    redrawTree();
+    selectTitre(flatIndex);
+
+    const treeItem = document.querySelector(`.tree-item[data-index="${flatIndex}"]`);
+    if (treeItem) {
+        treeItem.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Sélectionne le titre précédent ou suivant dans l'ordre du document
+ * @param {number} offset - -1 pour le précédent, 1 pour le suivant
+ */
+export async function selectAdjacentTitre(offset) {
+    if (state.flatTitles.length === 0) return;
+
+    if (state.isEditing) {
+        const canProceed = await askSaveBeforeSwitch();
+        if (!canProceed) return;
+    }
+
+    const currentIndex = state.flatTitles.findIndex(ft => ft.titre === state.currentTitre);
+    const flatIndex = currentIndex === -1
+        ? (offset > 0 ? 0 : state.flatTitles.length - 1)
+        : Math.min(Math.max(currentIndex + offset, 0), state.flatTitles.length - 1);
+
+    if (flatIndex !== currentIndex) {
+        revealTitre(flatIndex);
+    }
+}
+
 /**
  * Affiche le modal de création de nouveau titre
  */
@@ -325,13 +679,8 @@ export function confirmNewTitle() {
         parentIdReglement = state.pluData.idReglement;
     }
 
-    // Générer un ID unique
-    const titleCount = parentTitreArray.length + 1;
-    const idSuffix = intitule.toLowerCase()
-        .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // Supprimer les accents
-        .replace(/[^a-z0-9]/g, '_')
-        .substring(0, 20);
-    const idTitre = `${parentIdReglement}/${idSuffix}_${titleCount}`;
+    // Générer un ID unique parmi les titres frères
+    const idTitre = buildTitreId(parentIdReglement, intitule, parentTitreArray.map(titre => titre.idTitre));
 
     const newTitre = {
         idTitre: idTitre,
@@ -415,17 +764,6 @@ export function deleteTitre(flatIndex) {
     showToast("Titre supprimé");
 }
 
-/**
- * Génère un ID pour un titre
- */
-export function generateTitleId(baseId, intitule, index) {
-    const slug = intitule.toLowerCase()
-        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-        .replace(/[^a-z0-9]/g, '_')
-        .substring(0, 20);
-    return `${baseId}/${slug}_${index}`;
-}
-
 /**
  * Demande à l'utilisateur s'il veut sauvegarder avant de changer de titre
  * @returns {Promise<boolean>} - True si on peut continuer, false sinon
@@ -462,6 +800,42 @@ async function askSaveBeforeSwitch() {
 export function setupTreeEventHandlers() {
     const tree = document.getElementById('tree');
 
+    const searchInput = document.getElementById('tree-search');
+    if (searchInput) {
+        // Attendre la fin de la frappe avant de parcourir les contenus
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => setTreeSearch(searchInput.value), 200);
+        });
+
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(searchTimer);
+                if (parseSearchQuery(searchInput.value).join(' ') !== treeSearch.terms.join(' ')) {
+                    setTreeSearch(searchInput.value);
+                }
+                goToSearchResult(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape' && searchInput.value) {
+                e.preventDefault();
+                e.stopPropagation();
+                clearTimeout(searchTimer);
+                searchInput.value = '';
+                setTreeSearch('');
+            }
+        });
+    }
+
+    const prevBtn = document.querySelector('[data-action="search-prev"]');
+    if (prevBtn) {
+        prevBtn.addEventListener('click', () => goToSearchResult(-1));
+    }
+
+    const nextBtn = document.querySelector('[data-action="search-next"]');
+    if (nextBtn) {
+        nextBtn.addEventListener('click', () => goToSearchResult(1));
+    }
+
     tree.addEventListener('click', async (e) => {
         const target = e.target;
         const action = target.dataset.action;
@@ -489,6 +863,14 @@ export function setupTreeEventHandlers() {
             const index = parseInt(target.dataset.index);
             showNewTitleModal(index);
             e.stopPropagation();
+        } else if (action === 'promote-title' || action === 'demote-title') {
+            const index = parseInt(target.dataset.index);
+            if (action === 'promote-title') {
+                await promoteTitre(index);
+            } else {
+                await demoteTitre(index);
+            }
+            e.stopPropagation();
         } else if (action === 'delete-title') {
             // Vérifier si l'éditeur est actif
             if (state.isEditing) {
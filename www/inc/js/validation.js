@@ -0,0 +1,352 @@
+/**
+ * Module de validation du PLU contre le schéma CNIG SRU Niveau 1
+ */
+
+import Ajv2020 from 'https://esm.sh/ajv@8.12.0/dist/2020';
+import addFormats from 'https://esm.sh/ajv-formats@2.1.1?deps=ajv@8.12.0';
+import localizeFr from 'https://esm.sh/ajv-i18n@4.2.0/localize/fr';
+
+import { state } from './state.js';
+import { showToast, showModal, closeModal, handleError } from './ui.js';
+import { findFlatIndexByPath, revealTitre } from './tree.js';
+import { highlightContenu } from './editor.js';
+
+const SCHEMA_URL = new URL('../../../schema/schema-sru-niveau1-v2025.json', import.meta.url);
+const EXPORT_MODE_KEY = 'plu_editor_export_validation';
+
+let validatorPromise = null;
+let ajvInstance = null;
+let schemaId = null;
+let lastErrors = [];
+
+/**
+ * Charge le schéma et compile le validateur (une seule fois)
+ * @returns {Promise<Function>} - Fonction de validation Ajv
+ */
+function getValidator() {
+    if (!validatorPromise) {
+        validatorPromise = fetch(SCHEMA_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Schéma introuvable (${response.status})`);
+                }
+                return response.json();
+            })
+            .then(schema => {
+                ajvInstance = new Ajv2020({ allErrors: true, strict: false });
+                addFormats(ajvInstance);
+                schemaId = schema.$id;
+                return ajvInstance.compile(schema);
+            })
+            .catch(error => {
+                // Permettre une nouvelle tentative au prochain appel
+                validatorPromise = null;
+                throw error;
+            });
+    }
+    return validatorPromise;
+}
+
+/**
+ * Valide un PLU contre le schéma CNIG
+ * @param {Object} pluData - Données du PLU
+ * @returns {Promise<Array>} - Liste des erreurs (vide si le document est conforme)
+ */
+export async function validatePLU(pluData) {
+    const validate = await getValidator();
+
+    if (validate(pluData)) {
+        return [];
+    }
+
+    localizeFr(validate.errors);
+
+    return simplifyErrors(validate.errors).map(error => describeError(error, pluData));
+}
+
+/**
+ * Vérifie une URL de lien contre la règle "href" (format uri) du schéma
+ * @param {string} href - URL à vérifier
+ * @returns {Promise<boolean>}
+ */
+export async function isValidLinkHref(href) {
+    await getValidator();
+
+    const validateHref = ajvInstance.getSchema(`${schemaId}#/$defs/HtmlNode/properties/attrs/properties/href`);
+    return validateHref ? validateHref(href) : false;
+}
+
+/**
+ * Réduit le bruit des alternatives oneOf (HtmlNode ou texte brut)
+ * Les erreurs internes aux branches sont écartées au profit des erreurs réelles
+ */
+function simplifyErrors(errors) {
+    // L'erreur "if" est redondante avec l'erreur "required" du "then"
+    const relevant = errors.filter(error =>
+        error.keyword !== 'if' && !error.schemaPath.includes('/oneOf/')
+    );
+
+    const filtered = relevant.filter(error => {
+        if (error.keyword !== 'oneOf') return true;
+
+        // Un oneOf n'est utile que si aucune erreur plus précise ne l'explique
+        return !relevant.some(other =>
+            other.keyword !== 'oneOf' &&
+            (other.instancePath === error.instancePath || other.instancePath.startsWith(`${error.instancePath}/`))
+        );
+    });
+
+    const seen = new Set();
+    return filtered
+        .filter(error => {
+            const key = `${error.instancePath}|${error.keyword}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(error => {
+            // Règle propre aux HtmlNode : exactement un texte ou des enfants (sauf br/img)
+            if (error.keyword === 'oneOf' && error.schemaPath === '#/oneOf') {
+                return { ...error, message: 'le nœud doit avoir soit un texte (text), soit des enfants (children)' };
+            }
+            return error;
+        });
+}
+
+/**
+ * Associe une erreur Ajv au titre et au contenu concernés
+ */
+function describeError(error, pluData) {
+    const segments = error.instancePath.split('/').slice(1);
+    const titrePath = [];
+    let contenuIndex = null;
+    let titre = null;
+    let detailStart = 0;
+
+    for (let i = 0; i < segments.length; i++) {
+        if (segments[i] === 'titre' && contenuIndex === null && i + 1 < segments.length) {
+            const index = parseInt(segments[i + 1]);
+            titre = (titre ? titre.titre : pluData.titre)?.[index] || null;
+            titrePath.push(index);
+            i++;
+            detailStart = i + 1;
+        } else if (segments[i] === 'contenu' && titre && contenuIndex === null && i + 1 < segments.length) {
+            contenuIndex = parseInt(segments[i + 1]);
+            i++;
+            detailStart = i + 1;
+        }
+    }
+
+    let location = 'Document';
+    if (titre) {
+        location = `Titre « ${titre.intitule || titre.idTitre || 'Sans titre'} »`;
+        if (contenuIndex !== null) {
+            location += ` › contenu ${contenuIndex + 1}`;
+        }
+    }
+
+    const property = error.params?.missingProperty
+        ? error.params.missingProperty
+        : segments.slice(detailStart).join('/');
+
+    return {
+        message: error.message,
+        property,
+        location,
+        instancePath: error.instancePath,
+        titrePath: titre ? titrePath : null,
+        contenuIndex
+    };
+}
+
+/**
+ * Retourne le comportement de l'export face à un document non conforme
+ * @returns {string} - 'block' ou 'warn'
+ */
+export function getExportValidationMode() {
+    return localStorage.getItem(EXPORT_MODE_KEY) === 'block' ? 'block' : 'warn';
+}
+
+/**
+ * Définit le comportement de l'export face à un document non conforme
+ * @param {string} mode - 'block' ou 'warn'
+ */
+export function setExportValidationMode(mode) {
+    localStorage.setItem(EXPORT_MODE_KEY, mode === 'block' ? 'block' : 'warn');
+}
+
+/**
+ * Valide le PLU courant et affiche le rapport
+ */
+export async function runValidation() {
+    try {
+        if (!state.pluData) {
+            throw new Error("Aucun PLU à valider");
+        }
+
+        lastErrors = await validatePLU(state.pluData);
+        renderValidationReport();
+        updateValidationBadge();
+        showModal('validationModal');
+    } catch (error) {
+        handleError(error, "validation du PLU");
+    }
+}
+
+/**
+ * Valide un PLU fraîchement chargé et signale les écarts sans bloquer
+ * @param {Object} pluData - Données du PLU
+ */
+export async function validateOnLoad(pluData) {
+    try {
+        lastErrors = await validatePLU(pluData);
+        updateValidationBadge();
+
+        if (lastErrors.length > 0) {
+            showToast(`Le document présente ${lastErrors.length} écart(s) au schéma CNIG (voir ✅ Valider)`, "error");
+        }
+    } catch (error) {
+        handleError(error, "validation du PLU", false);
+    }
+}
+
+/**
+ * Contrôle le PLU avant export selon le réglage choisi
+ * @param {Object} pluData - Données du PLU à exporter
+ * @returns {Promise<boolean>} - True si l'export peut continuer
+ */
+export async function checkBeforeExport(pluData) {
+    lastErrors = await validatePLU(pluData);
+    updateValidationBadge();
+
+    if (lastErrors.length === 0) {
+        return true;
+    }
+
+    if (getExportValidationMode() === 'block') {
+        renderValidationReport();
+        showModal('validationModal');
+        showToast(`Export bloqué : ${lastErrors.length} erreur(s) de conformité`, "error");
+        return false;
+    }
+
+    return confirm(
+        `Le document présente ${lastErrors.length} écart(s) au schéma CNIG SRU.\n\n` +
+        "Voulez-vous quand même l'exporter ?"
+    );
+}
+
+/**
+ * Affiche la liste des erreurs dans le panneau de validation
+ */
+function renderValidationReport() {
+    const summary = document.getElementById('validation-summary');
+    const list = document.getElementById('validation-errors');
+    if (!summary || !list) return;
+
+    list.innerHTML = '';
+
+    if (lastErrors.length === 0) {
+        summary.textContent = '✅ Le document est conforme au schéma CNIG SRU Niveau 1.';
+        summary.className = 'validation-summary validation-summary-ok';
+        return;
+    }
+
+    summary.textContent = `❌ ${lastErrors.length} erreur(s) de conformité`;
+    summary.className = 'validation-summary validation-summary-error';
+
+    lastErrors.forEach((error, index) => {
+        const item = document.createElement('li');
+        item.className = 'validation-error';
+        if (error.titrePath) {
+            item.classList.add('validation-error-link');
+            item.dataset.errorIndex = index;
+        }
+
+        const location = document.createElement('div');
+        location.className = 'validation-error-location';
+        location.textContent = error.location;
+
+        const message = document.createElement('div');
+        message.textContent = error.property ? `${error.property} : ${error.message}` : error.message;
+
+        item.appendChild(location);
+        item.appendChild(message);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Affiche le nombre d'erreurs sur le bouton de validation
+ */
+function updateValidationBadge() {
+    const button = document.querySelector('[data-action="validate-plu"]');
+    if (!button) return;
+
+    button.textContent = lastErrors.length > 0
+        ? `✅ Valider (${lastErrors.length} erreur(s))`
+        : '✅ Valider';
+}
+
+/**
+ * Navigue vers le titre (et le contenu) concerné par une erreur
+ * @param {Object} error - Erreur décrite par describeError
+ */
+function goToError(error) {
+    if (state.isEditing) {
+        showToast("Veuillez sauvegarder ou annuler vos modifications avant de naviguer", "error");
+        return;
+    }
+
+    const flatIndex = findFlatIndexByPath(error.titrePath);
+    if (flatIndex === -1) {
+        showToast("Titre introuvable (le document a changé depuis la validation)", "error");
+        return;
+    }
+
+    closeModal('validationModal');
+    revealTitre(flatIndex);
+
+    if (error.contenuIndex !== null) {
+        highlightContenu(error.contenuIndex);
+    }
+}
+
+/**
+ * Configure les gestionnaires d'événements pour la validation
+ */
+export function setupValidationEventHandlers() {
+    const validateBtn = document.querySelector('[data-action="validate-plu"]');
+    if (validateBtn) {
+        validateBtn.addEventListener('click', runValidation);
+    }
+
+    const revalidateBtn = document.querySelector('[data-action="revalidate-plu"]');
+    if (revalidateBtn) {
+        revalidateBtn.addEventListener('click', runValidation);
+    }
+
+    const closeBtn = document.querySelector('[data-action="close-validation"]');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => closeModal('validationModal'));
+    }
+
+    const modeSelect = document.getElementById('validation-export-mode');
+    if (modeSelect) {
+        modeSelect.value = getExportValidationMode();
+        modeSelect.addEventListener('change', () => setExportValidationMode(modeSelect.value));
+    }
+
+    const list = document.getElementById('validation-errors');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-error-index]');
+            if (!item) return;
+
+            const error = lastErrors[parseInt(item.dataset.errorIndex)];
+            if (error) {
+                goToError(error);
+            }
+        });
+    }
+}
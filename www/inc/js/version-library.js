@@ -0,0 +1,267 @@
+/**
+ * Module du panneau des versions nommées du document ouvert
+ * (création, restauration comme copie de travail, comparaison, export ZIP, suppression)
+ */
+
+import { state, setPluData } from './state.js';
+import { showToast, showModal, closeModal, handleError } from './ui.js';
+import { createVersion, listVersions, getVersion, deleteVersion, restoreVersionImages } from './versions.js';
+import { preloadPluImages } from './images.js';
+import { captureState, getCurrentSelection, restoreSelection } from './history.js';
+import { renderTree } from './tree.js';
+import { manualSave } from './autosave.js';
+import { exportPLUPackage } from './storage.js';
+import { showCompare } from './compare.js';
+
+// Dernier auteur saisi, proposé par défaut
+const AUTHOR_KEY = 'plu_editor_version_author';
+
+/**
+ * Refuse les opérations sur les versions pendant l'édition d'un contenu
+ */
+function ensureNotEditing() {
+    if (state.isEditing) {
+        showToast("Veuillez sauvegarder ou annuler vos modifications avant de gérer les versions", "error");
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Ouvre le panneau des versions
+ */
+export async function showVersions() {
+    try {
+        if (!state.pluData || !state.documentId) {
+            throw new Error("Aucun PLU chargé");
+        }
+
+        const authorInput = document.getElementById('version-author');
+        if (authorInput && !authorInput.value) {
+            authorInput.value = localStorage.getItem(AUTHOR_KEY) || '';
+        }
+
+        await renderVersions();
+        showModal('versionsModal');
+    } catch (error) {
+        handleError(error, "ouverture des versions");
+    }
+}
+
+/**
+ * Affiche la liste des versions du document ouvert
+ */
+async function renderVersions() {
+    const list = document.getElementById('versions-list');
+    if (!list) return;
+
+    const versions = await listVersions(state.documentId);
+    list.innerHTML = '';
+
+    if (versions.length === 0) {
+        list.innerHTML = '<li class="versions-empty">Aucune version enregistrée pour ce document</li>';
+        return;
+    }
+
+    versions.forEach(version => {
+        const item = document.createElement('li');
+        item.className = 'versions-item';
+
+        const info = document.createElement('div');
+        info.className = 'versions-info';
+
+        const label = document.createElement('div');
+        label.className = 'versions-label';
+        label.textContent = version.label;
+
+        const details = document.createElement('div');
+        details.className = 'versions-details';
+        details.textContent = `${version.author ? `par ${version.author} — ` : ''}${version.dateFormatted} — ${version.imageCount} image(s)`;
+
+        info.appendChild(label);
+        info.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'versions-actions';
+        actions.innerHTML = `
+            <button class="btn btn-secondary" data-action="restore-version">↩️ Restaurer</button>
+            <button class="btn btn-secondary" data-action="compare-version">🔍 Comparer</button>
+            <button class="btn btn-secondary" data-action="export-version">💾 Exporter</button>
+            <button class="btn btn-secondary versions-delete" data-action="delete-version">🗑️ Supprimer</button>
+        `;
+        actions.querySelectorAll('button').forEach(button => {
+            button.dataset.versionId = version.id;
+        });
+
+        item.appendChild(info);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Crée une version à partir du formulaire du panneau
+ */
+async function createVersionFromForm() {
+    if (!ensureNotEditing()) return;
+
+    const labelInput = document.getElementById('version-label');
+    const authorInput = document.getElementById('version-author');
+
+    try {
+        const author = authorInput.value.trim();
+        const version = await createVersion(state.documentId, state.pluData, {
+            label: labelInput.value,
+            author
+        });
+
+        localStorage.setItem(AUTHOR_KEY, author);
+        labelInput.value = '';
+
+        await renderVersions();
+        showToast(`Version « ${version.label} » créée`);
+    } catch (error) {
+        handleError(error, "création de la version");
+    }
+}
+
+/**
+ * Remplace la copie de travail par une version (annulable)
+ * @param {string} versionId - ID de la version
+ */
+async function restoreVersion(versionId) {
+    if (!ensureNotEditing()) return;
+
+    try {
+        const version = await getVersion(versionId);
+        if (!version) {
+            throw new Error("Version introuvable");
+        }
+
+        const confirmed = confirm(
+            `Restaurer la version « ${version.label} » (${version.dateFormatted}) ?\n\n` +
+            "La copie de travail sera remplacée. Cette opération peut être annulée."
+        );
+        if (!confirmed) return;
+
+        captureState(`Restauration de la version « ${version.label} »`);
+        const selection = getCurrentSelection();
+
+        // Remettre les images avant d'afficher les contenus
+        await restoreVersionImages(version, state.documentId);
+        await preloadPluImages(state.documentId);
+
+        setPluData(JSON.parse(JSON.stringify(version.pluData)));
+        renderTree();
+
+        // Le titre ouvert appartient à l'ancienne copie : le resélectionner dans la version restaurée
+        restoreSelection(selection);
+        await manualSave();
+
+        closeModal('versionsModal');
+        showToast(`Version « ${version.label} » restaurée`);
+    } catch (error) {
+        handleError(error, "restauration de la version");
+    }
+}
+
+/**
+ * Exporte une version seule en ZIP (JSON + images de la version)
+ * @param {string} versionId - ID de la version
+ */
+async function exportVersion(versionId) {
+    try {
+        const version = await getVersion(versionId);
+        if (!version) {
+            throw new Error("Version introuvable");
+        }
+
+        const labelPart = version.label
+            .toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+
+        await exportPLUPackage(version.pluData, version.images, `${version.pluData.idUrba || 'plu'}_${labelPart || 'version'}`);
+    } catch (error) {
+        handleError(error, "exportation de la version");
+    }
+}
+
+/**
+ * Supprime définitivement une version
+ * @param {string} versionId - ID de la version
+ */
+async function removeVersion(versionId) {
+    try {
+        const version = await getVersion(versionId);
+        if (!version) {
+            throw new Error("Version introuvable");
+        }
+
+        if (!confirm(`Supprimer définitivement la version « ${version.label} » ?`)) return;
+
+        await deleteVersion(versionId);
+
+        await renderVersions();
+        showToast(`Version « ${version.label} » supprimée`);
+    } catch (error) {
+        handleError(error, "suppression de la version");
+    }
+}
+
+/**
+ * Configure les gestionnaires d'événements du panneau des versions
+ */
+export function setupVersionLibraryEventHandlers() {
+    const showBtn = document.querySelector('[data-action="show-versions"]');
+    if (showBtn) {
+        showBtn.addEventListener('click', showVersions);
+    }
+
+    const closeBtn = document.querySelector('[data-action="close-versions"]');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => closeModal('versionsModal'));
+    }
+
+    const createBtn = document.querySelector('[data-action="create-version"]');
+    if (createBtn) {
+        createBtn.addEventListener('click', createVersionFromForm);
+    }
+
+    const labelInput = document.getElementById('version-label');
+    if (labelInput) {
+        labelInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                createVersionFromForm();
+            }
+        });
+    }
+
+    const list = document.getElementById('versions-list');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            if (!target) return;
+
+            const versionId = target.dataset.versionId;
+
+            switch (target.dataset.action) {
+                case 'restore-version':
+                    restoreVersion(versionId);
+                    break;
+                case 'compare-version':
+                    closeModal('versionsModal');
+                    showCompare(`version:${versionId}`, 'current');
+                    break;
+                case 'export-version':
+                    exportVersion(versionId);
+                    break;
+                case 'delete-version':
+                    removeVersion(versionId);
+                    break;
+            }
+        });
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Module des versions nommées d'un document (arrêt, enquête publique, approbation...)
+ *
+ * Une version fige le règlement et une copie de ses images ; elle est conservée
+ * dans IndexedDB indépendamment de la copie de travail.
+ */
+
+import { STORES, dbGet, dbGetAll, dbDelete, dbTransaction } from './db.js';
+
+/**
+ * Génère un identifiant de version
+ * @returns {string}
+ */
+function createVersionId() {
+    return `version-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Crée une version nommée d'un document (avec une copie de ses images)
+ * @param {string} documentId - ID du document
+ * @param {Object} pluData - Données du PLU à figer
+ * @param {Object} options - { label, author }
+ * @returns {Promise<Object>} - Résumé de la version créée
+ */
+export async function createVersion(documentId, pluData, { label, author = '' }) {
+    if (!label || !label.trim()) {
+        throw new Error("Le libellé de la version est requis");
+    }
+
+    const timestamp = Date.now();
+    const version = {
+        id: createVersionId(),
+        documentId,
+        label: label.trim(),
+        author: author.trim(),
+        timestamp,
+        dateFormatted: new Date(timestamp).toLocaleString('fr-FR'),
+        pluData: JSON.parse(JSON.stringify(pluData)),
+        images: []
+    };
+
+    await dbTransaction([STORES.images, STORES.versions], ({ images, versions }) => {
+        const request = images.index('documentId').getAll(documentId);
+        request.onsuccess = () => {
+            version.images = request.result.map(({ filename, contentType, blob, size, timestamp }) =>
+                ({ filename, contentType, blob, size, timestamp }));
+            versions.put(version);
+        };
+    });
+
+    return summarizeVersion(version);
+}
+
+/**
+ * Résumé d'une version pour l'affichage
+ */
+function summarizeVersion(version) {
+    return {
+        id: version.id,
+        documentId: version.documentId,
+        label: version.label,
+        author: version.author,
+        timestamp: version.timestamp,
+        dateFormatted: version.dateFormatted,
+        imageCount: version.images.length
+    };
+}
+
+/**
+ * Liste les versions d'un document, de la plus récente à la plus ancienne
+ * @param {string} documentId - ID du document
+ * @returns {Promise<Array>} - Résumés des versions
+ */
+export async function listVersions(documentId) {
+    const versions = await dbGetAll(STORES.versions, 'documentId', documentId);
+
+    return versions
+        .map(summarizeVersion)
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Récupère une version complète (données du PLU et images)
+ * @param {string} versionId - ID de la version
+ * @returns {Promise<Object|null>}
+ */
+export async function getVersion(versionId) {
+    return (await dbGet(STORES.versions, versionId)) || null;
+}
+
+/**
+ * Supprime une version
+ * @param {string} versionId - ID de la version
+ */
+export async function deleteVersion(versionId) {
+    await dbDelete(STORES.versions, versionId);
+}
+
+/**
+ * Remet les images d'une version dans la copie de travail du document
+ * Les images de même nom sont remplacées ; les autres sont conservées
+ * (elles peuvent encore servir à annuler la restauration)
+ * @param {Object} version - Version complète
+ * @param {string} documentId - ID du document restauré
+ * @returns {Promise<number>} - Nombre d'images remises en place
+ */
+export async function restoreVersionImages(version, documentId) {
+    await dbTransaction([STORES.images], ({ images }) => {
+        version.images.forEach(image => images.put({ ...image, documentId }));
+    });
+
+    return version.images.length;
+}
+
+/**
+ * Supprime toutes les versions d'un document
+ * @param {Object} versions - Magasin des versions (transaction en cours)
+ * @param {string} documentId - ID du document
+ */
+export function deleteDocumentVersions(versions, documentId) {
+    const request = versions.index('documentId').getAllKeys(documentId);
+    request.onsuccess = () => {
+        request.result.forEach(key => versions.delete(key));
+    };
+}
@@ -0,0 +1,266 @@
+/**
+ * Module de l'espace de travail : liste des règlements stockés localement
+ * (ouverture, duplication, renommage, suppression, export)
+ */
+
+import { state } from './state.js';
+import { showToast, showModal, closeModal, handleError } from './ui.js';
+import { listDocuments, getDocument, duplicateDocument, renameDocument, deleteDocument } from './documents.js';
+import { openDocument, exportPLUDocument } from './storage.js';
+import { manualSave } from './autosave.js';
+import { captureState } from './history.js';
+
+/**
+ * Refuse les opérations sur les documents pendant l'édition d'un contenu
+ */
+function ensureNotEditing() {
+    if (state.isEditing) {
+        showToast("Veuillez sauvegarder ou annuler vos modifications avant de changer de document", "error");
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Ouvre l'espace de travail
+ */
+export async function showWorkspace() {
+    try {
+        // Les informations du document ouvert doivent être à jour dans la liste
+        await manualSave();
+        await renderWorkspace();
+        showModal('workspaceModal');
+    } catch (error) {
+        handleError(error, "ouverture de l'espace de travail");
+    }
+}
+
+/**
+ * Affiche la liste des documents stockés
+ */
+async function renderWorkspace() {
+    const list = document.getElementById('workspace-list');
+    if (!list) return;
+
+    const documents = await listDocuments();
+    list.innerHTML = '';
+
+    if (documents.length === 0) {
+        list.innerHTML = '<li class="workspace-empty">Aucun document enregistré dans ce navigateur</li>';
+        return;
+    }
+
+    documents.forEach(doc => {
+        const isOpen = doc.id === state.documentId;
+
+        const item = document.createElement('li');
+        item.className = 'workspace-item';
+        if (isOpen) {
+            item.classList.add('workspace-item-open');
+        }
+
+        const info = document.createElement('div');
+        info.className = 'workspace-info';
+
+        const name = document.createElement('div');
+        name.className = 'workspace-name';
+        name.textContent = isOpen ? `${doc.nom} (ouvert)` : doc.nom;
+
+        const details = document.createElement('div');
+        details.className = 'workspace-details';
+        details.textContent = `${doc.typeDoc || '?'} — ${doc.idUrba || 'idUrba non défini'} — modifié le ${doc.dateFormatted || new Date(doc.timestamp).toLocaleString('fr-FR')}`;
+
+        info.appendChild(name);
+        info.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'workspace-actions';
+        actions.innerHTML = `
+            <button class="btn btn-primary" data-action="open-document">📂 Ouvrir</button>
+            <button class="btn btn-secondary" data-action="duplicate-document">📑 Dupliquer</button>
+            <button class="btn btn-secondary" data-action="rename-document">✏️ Renommer</button>
+            <button class="btn btn-secondary" data-action="export-document">💾 Exporter</button>
+            <button class="btn btn-secondary workspace-delete" data-action="delete-document">🗑️ Supprimer</button>
+        `;
+        actions.querySelectorAll('button').forEach(button => {
+            button.dataset.documentId = doc.id;
+        });
+
+        if (isOpen) {
+            actions.querySelector('[data-action="open-document"]').disabled = true;
+            actions.querySelector('[data-action="delete-document"]').disabled = true;
+        }
+
+        item.appendChild(info);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Ouvre un document de l'espace de travail
+ * @param {string} documentId - ID du document
+ */
+async function openStoredDocument(documentId) {
+    if (!ensureNotEditing()) return;
+
+    try {
+        const record = await getDocument(documentId);
+        if (!record) {
+            throw new Error("Document introuvable");
+        }
+
+        // Rouvrir avec le brouillon et l'historique sauvegardés
+        await openDocument(documentId, record.pluData, record.session);
+
+        closeModal('workspaceModal');
+        showToast(`Document « ${record.pluData.nom || 'Document sans nom'} » ouvert`);
+    } catch (error) {
+        handleError(error, "ouverture du document");
+    }
+}
+
+/**
+ * Duplique un document (avec ses images)
+ * @param {string} documentId - ID du document
+ */
+async function duplicateStoredDocument(documentId) {
+    try {
+        // Dupliquer la dernière version du document ouvert
+        if (documentId === state.documentId) {
+            await manualSave();
+        }
+
+        await duplicateDocument(documentId);
+
+        await renderWorkspace();
+        showToast("Document dupliqué");
+    } catch (error) {
+        handleError(error, "duplication du document");
+    }
+}
+
+/**
+ * Renomme un document (nom du règlement)
+ * @param {string} documentId - ID du document
+ */
+async function renameStoredDocument(documentId) {
+    try {
+        const isOpen = documentId === state.documentId;
+        const record = isOpen ? { pluData: state.pluData } : await getDocument(documentId);
+        if (!record) {
+            throw new Error("Document introuvable");
+        }
+
+        const input = prompt("Nouveau nom du règlement :", record.pluData.nom || '');
+        if (input === null) return;
+
+        const nom = input.trim();
+        if (!nom) {
+            throw new Error("Le nom ne peut pas être vide");
+        }
+
+        if (isOpen) {
+            captureState("Renommer le document");
+            state.pluData.nom = nom;
+            await manualSave();
+        } else {
+            await renameDocument(documentId, nom);
+        }
+
+        await renderWorkspace();
+        showToast("Document renommé");
+    } catch (error) {
+        handleError(error, "renommage du document");
+    }
+}
+
+/**
+ * Exporte un document en ZIP (JSON + images)
+ * @param {string} documentId - ID du document
+ */
+async function exportStoredDocument(documentId) {
+    try {
+        const isOpen = documentId === state.documentId;
+        const record = isOpen ? { pluData: state.pluData } : await getDocument(documentId);
+        if (!record) {
+            throw new Error("Document introuvable");
+        }
+
+        await exportPLUDocument(documentId, record.pluData);
+    } catch (error) {
+        handleError(error, "exportation du document");
+    }
+}
+
+/**
+ * Supprime définitivement un document, ses images et ses versions
+ * @param {string} documentId - ID du document
+ */
+async function deleteStoredDocument(documentId) {
+    if (documentId === state.documentId) {
+        showToast("Impossible de supprimer le document ouvert", "error");
+        return;
+    }
+
+    try {
+        const record = await getDocument(documentId);
+        const nom = record?.pluData.nom || 'Document sans nom';
+
+        const confirmed = confirm(
+            `Supprimer définitivement « ${nom} », ses images et ses versions ?\n\n` +
+            "Pensez à l'exporter auparavant si vous souhaitez le conserver."
+        );
+        if (!confirmed) return;
+
+        await deleteDocument(documentId);
+
+        await renderWorkspace();
+        showToast(`Document « ${nom} » supprimé`);
+    } catch (error) {
+        handleError(error, "suppression du document");
+    }
+}
+
+/**
+ * Configure les gestionnaires d'événements de l'espace de travail
+ */
+export function setupWorkspaceEventHandlers() {
+    const showBtn = document.querySelector('[data-action="show-workspace"]');
+    if (showBtn) {
+        showBtn.addEventListener('click', showWorkspace);
+    }
+
+    const closeBtn = document.querySelector('[data-action="close-workspace"]');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => closeModal('workspaceModal'));
+    }
+
+    const list = document.getElementById('workspace-list');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            if (!target || target.disabled) return;
+
+            const documentId = target.dataset.documentId;
+
+            switch (target.dataset.action) {
+                case 'open-document':
+                    openStoredDocument(documentId);
+                    break;
+                case 'duplicate-document':
+                    duplicateStoredDocument(documentId);
+                    break;
+                case 'rename-document':
+                    renameStoredDocument(documentId);
+                    break;
+                case 'export-document':
+                    exportStoredDocument(documentId);
+                    break;
+                case 'delete-document':
+                    deleteStoredDocument(documentId);
+                    break;
+            }
+        });
+    }
+}